@@ -3,19 +3,12 @@
 // Smooth window animations for mosaic tiling
 
 import * as Logger from './logger.js';
-import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
 import * as constants from './constants.js';
 import * as WindowState from './windowState.js';
 
 import GObject from 'gi://GObject';
 
-// Animation configuration
-const ANIMATION_DURATION = constants.ANIMATION_DURATION_MS;
-const ANIMATION_MODE = Clutter.AnimationMode.EASE_OUT_BACK;
-const ANIMATION_MODE_MOMENTUM = Clutter.AnimationMode.EASE_OUT_BACK;
-const ANIMATION_MODE_SUBTLE = Clutter.AnimationMode.EASE_OUT_QUAD;
-
 export const AnimationsManager = GObject.registerClass({
     GTypeName: 'MosaicAnimationsManager',
     Signals: {
@@ -111,7 +104,7 @@ export const AnimationsManager = GObject.registerClass({
 
     animateWindow(window, targetRect, options = {}) {
         const {
-            duration = ANIMATION_DURATION,
+            duration = constants.ANIMATION_DURATION_MS,
             mode = null,
             onComplete = null,
             draggedWindow = null,
@@ -144,11 +137,11 @@ export const AnimationsManager = GObject.registerClass({
         if (mode !== null) {
             animationMode = mode;
         } else if (subtle) {
-            animationMode = ANIMATION_MODE_SUBTLE;
+            animationMode = constants.ANIMATION_MODE_SUBTLE;
         } else if (this._justEndedDrag) {
-            animationMode = ANIMATION_MODE_SUBTLE;
+            animationMode = constants.ANIMATION_MODE_SUBTLE;
         } else {
-            animationMode = ANIMATION_MODE;
+            animationMode = constants.ANIMATION_MODE;
         }
         
         // Calculate scale and translation for smooth animation
@@ -237,8 +230,8 @@ export const AnimationsManager = GObject.registerClass({
             scale_x: 1.0,
             scale_y: 1.0,
             opacity: 255,
-            duration: ANIMATION_DURATION,
-            mode: ANIMATION_MODE,
+            duration: constants.ANIMATION_OPEN_CLOSE_DURATION_MS,
+            mode: constants.ANIMATION_MODE,
             onComplete: () => {
                 windowActor.set_scale(1.0, 1.0);
                 windowActor.set_opacity(255);
@@ -263,8 +256,8 @@ export const AnimationsManager = GObject.registerClass({
             scale_x: 0.9,
             scale_y: 0.9,
             opacity: 0,
-            duration: ANIMATION_DURATION,
-            mode: ANIMATION_MODE,
+            duration: constants.ANIMATION_OPEN_CLOSE_DURATION_MS,
+            mode: constants.ANIMATION_MODE,
             onComplete: () => {
                 this._animatingWindows.delete(window.get_id());
                 this._checkAllAnimationsComplete();
@@ -275,8 +268,8 @@ export const AnimationsManager = GObject.registerClass({
 
     animateWindowMove(window, fromRect, toRect, options = {}) {
         const {
-            duration = ANIMATION_DURATION,
-            mode = ANIMATION_MODE_MOMENTUM,
+            duration = constants.ANIMATION_DURATION_MS,
+            mode = constants.ANIMATION_MODE_MOMENTUM,
             onComplete = null
         } = options;
         
@@ -6,7 +6,13 @@
 import Clutter from 'gi://Clutter';
 import Meta from 'gi://Meta';
 
-export const WINDOW_SPACING = 8; // Pixels
+// Values declared with `let` are tunables mirrored from GSettings by
+// bindSettings(); ESM bindings are live, so readers always see the current value.
+export let WINDOW_SPACING = 8; // Pixels, inner gap between windows
+export let OUTER_MARGIN = 0;   // Pixels between windows and the work area's edges
+
+// Rounding of the mosaic and edge tile previews
+export let CORNER_RADIUS = 12;
 
 export const TILE_INTERVAL_MS = 60000 * 5; // 5 minutes
 
@@ -20,27 +26,91 @@ export const TileZone = {
     TOP_RIGHT: 4,
     BOTTOM_LEFT: 5,
     BOTTOM_RIGHT: 6,
-    FULLSCREEN: 7
+    FULLSCREEN: 7,
+    TOP_FULL: 8,
+    BOTTOM_FULL: 9
 };
 
+// User-defined snap zones (snapZones.js) are numbered from here, in settings order
+export const SNAP_ZONE_BASE = 100;
+
+// Per-workspace layout strategies
+export const LayoutMode = {
+    MOSAIC: 'mosaic',
+    COLUMNS: 'columns',
+    GRID: 'grid',
+    MASTER_STACK: 'master-stack',
+    FLOATING: 'floating',   // Windows are left alone, like a disabled workspace
+};
+
+// Share of the work area width taken by the master window
+export let MASTER_RATIO = 0.55;
+
+// Relayouts start from the previous layout and avoid moving windows that were placed
+export let INCREMENTAL_LAYOUT = false;
+
+// Weight of each objective the mosaic order is scored on (layoutEngine.js Objective),
+// from the score-<objective> settings
+export let LAYOUT_WEIGHTS = {
+    'compactness': 50,
+    'centralization': 30,
+    'size-efficiency': 20,
+    'displacement': 0,
+    'order-stability': 0,
+};
+
+// Offer the other windows for the empty half after snapping a window to one
+export let SNAP_ASSIST = false;
+export let SNAP_ASSIST_ALL_WORKSPACES = false;
+
+// Dropping a window on the centre of another stacks them in one slot instead of swapping
+export let STACK_ON_DROP = true;
+// Share of the target's width and height, around its centre, that stacks on drop
+export const STACK_DROP_AREA = 0.5;
+// Height of the tab strip drawn above a stack
+export const STACK_TAB_HEIGHT = 28;
+
+// The focused tile grows toward its preferred size while the others make room
+export let FOCUS_ZOOM = false;
+
+// Recalling a layout snapshot launches the apps that have no window to rearrange
+export let SNAPSHOT_LAUNCH_APPS = false;
+// How long a launched app has to open its window and get placed by the snapshot
+export const SNAPSHOT_LAUNCH_TIMEOUT_MS = 30000;
+
+// Focus keybindings continue on the adjacent monitor at the screen edge
+export let FOCUS_WRAP_MONITORS = false;
+
 export const STARTUP_TILE_DELAY_MS = 300;
 
-export const ANIMATION_DURATION_MS = 350;
+export let ANIMATION_DURATION_MS = 350;
 
-export const ANIMATION_OPEN_CLOSE_DURATION_MS = 350;
+export let ANIMATION_OPEN_CLOSE_DURATION_MS = 350;
 
 // Animation Modes
-export const ANIMATION_MODE = Clutter.AnimationMode.EASE_OUT_EXPO;
-export const ANIMATION_MODE_SUBTLE = Clutter.AnimationMode.EASE_OUT_QUAD;
-export const ANIMATION_MODE_MOMENTUM = Clutter.AnimationMode.EASE_OUT_BACK; // Bouncy
+export let ANIMATION_MODE = Clutter.AnimationMode.EASE_OUT_BACK;
+export let ANIMATION_MODE_SUBTLE = Clutter.AnimationMode.EASE_OUT_QUAD;
+export let ANIMATION_MODE_MOMENTUM = Clutter.AnimationMode.EASE_OUT_BACK; // Bouncy
+
+// Easing names accepted by the animation-mode* settings keys
+const ANIMATION_MODES = {
+    'linear': Clutter.AnimationMode.LINEAR,
+    'ease-out-quad': Clutter.AnimationMode.EASE_OUT_QUAD,
+    'ease-out-cubic': Clutter.AnimationMode.EASE_OUT_CUBIC,
+    'ease-out-expo': Clutter.AnimationMode.EASE_OUT_EXPO,
+    'ease-out-back': Clutter.AnimationMode.EASE_OUT_BACK,
+    'ease-in-out-quad': Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+    'ease-in-out-cubic': Clutter.AnimationMode.EASE_IN_OUT_CUBIC,
+    'ease-in-out-expo': Clutter.AnimationMode.EASE_IN_OUT_EXPO,
+};
 
 // Minimum dimensions for tiling
-export const MIN_WINDOW_WIDTH = 400;
-export const MIN_WINDOW_HEIGHT = 100;
+export let MIN_WINDOW_WIDTH = 400;
+export let MIN_WINDOW_HEIGHT = 100;
 export const ABSOLUTE_MIN_HEIGHT = 200;
 
 // Edge detection threshold
-export const EDGE_TILING_THRESHOLD = 10;
+export let EDGE_TILING_THRESHOLD = 10;
 // Tolerance for grouping windows into virtual columns (Virtual Columns Algorithm)
 export const COLUMN_ALIGNMENT_TOLERANCE = 50;
 
@@ -58,21 +128,29 @@ export const RESIZE_SETTLE_DELAY_MS = 150;       // Delay to let Mutter apply re
 export const ISRESIZING_FLAG_RESET_MS = 2;       // Delay to reset isResizing flag
 export const MIN_AVAILABLE_SPACE_PX = 50;        // Minimum available space threshold for smart resize
 export const OVERFLOW_MOVE_DEBOUNCE_MS = 2000;   // Debounce to prevent infinite loops after overflow move
+export const LAYOUT_STATE_SAVE_DELAY_MS = 1000;  // Debounce for persisting layout state to GSettings
+export const HISTORY_SETTLE_DELAY_MS = 1500;     // Quiet time before a layout change is recorded for undo
+export const FOCUS_ZOOM_DELAY_MS = 150;          // Lets quick focus hops (Alt+Tab) settle before reflowing
+export const HISTORY_LIMIT = 50;                 // Undoable layout changes kept
+
+// Order search time for more than 5 windows in drag previews and fit simulations, which run
+// often; other retiles use the layout engine's SEARCH_BUDGET_MS
+export const LAYOUT_SEARCH_QUICK_BUDGET_MS = 1;
 
 // Threshold for identifying significant changes in window geometry for animations
 export const ANIMATION_DIFF_THRESHOLD = 10;
 
 // Smart resize
-export const SMART_RESIZE_ANIMATION_MS = 400; // Dedicated animation duration for auto-resize (smoother)
+export let SMART_RESIZE_ANIMATION_MS = 400; // Dedicated animation duration for auto-resize (smoother)
 
 // Smart Resize Iterative - Democratic Proportional Resizing
-export const SMART_RESIZE_STEP_PERCENTAGE = 20;      // Reduce 20% per cycle (multiply by 0.8) - aggressive to fit quickly
-export const SMART_RESIZE_DETECTION_DELTA_PX = 2;    // Tolerance (in pixels) to detect if window actually shrank
-export const SMART_RESIZE_MAX_ITERATIONS = 10;       // Maximum cycles before declaring overflow
-export const SMART_RESIZE_ITERATION_DEBOUNCE_MS = 100;  // Delay between cycles to let Mutter apply resize
-export const SMART_RESIZE_LEARNING_DEBOUNCE_MS = 200;  // Delay before checking window movement
-export const SMART_RESIZE_MIN_WINDOW_WIDTH = 250;    // Minimum window size during smart resize
-export const SMART_RESIZE_MIN_WINDOW_HEIGHT = 250;   // Minimum window size during smart resize
+export let SMART_RESIZE_STEP_PERCENTAGE = 20;      // Reduce 20% per cycle (multiply by 0.8) - aggressive to fit quickly
+export let SMART_RESIZE_DETECTION_DELTA_PX = 2;    // Tolerance (in pixels) to detect if window actually shrank
+export let SMART_RESIZE_MAX_ITERATIONS = 10;       // Maximum cycles before declaring overflow
+export let SMART_RESIZE_ITERATION_DEBOUNCE_MS = 100;  // Delay between cycles to let Mutter apply resize
+export let SMART_RESIZE_LEARNING_DEBOUNCE_MS = 200;  // Delay before checking window movement
+export let SMART_RESIZE_MIN_WINDOW_WIDTH = 250;    // Minimum window size during smart resize
+export let SMART_RESIZE_MIN_WINDOW_HEIGHT = 250;   // Minimum window size during smart resize
 
 // Slide-in animation for new windows
 export const SLIDE_IN_OFFSET_PX = 100;        // Offset in pixels for new window slide-in animation
@@ -92,3 +170,58 @@ export const RESIZE_GRAB_OPS = [
     GRAB_OP_SUPER_RESIZE_S, GRAB_OP_SUPER_RESIZE_SE,
     Meta.GrabOp.COMPOSITOR_RESIZE || 769
 ];
+
+
+// GSettings binding
+let _settings = null;
+let _settingsChangedId = 0;
+
+function _syncFromSettings() {
+    WINDOW_SPACING = _settings.get_int('window-spacing');
+    OUTER_MARGIN = _settings.get_int('outer-margin');
+    CORNER_RADIUS = _settings.get_int('corner-radius');
+    MIN_WINDOW_WIDTH = _settings.get_int('min-window-width');
+    MIN_WINDOW_HEIGHT = _settings.get_int('min-window-height');
+    MASTER_RATIO = _settings.get_int('master-ratio') / 100;
+    INCREMENTAL_LAYOUT = _settings.get_boolean('incremental-layout');
+    LAYOUT_WEIGHTS = Object.fromEntries(Object.keys(LAYOUT_WEIGHTS)
+        .map(name => [name, _settings.get_int(`score-${name}`)]));
+    FOCUS_WRAP_MONITORS = _settings.get_boolean('focus-wrap-monitors');
+
+    ANIMATION_DURATION_MS = _settings.get_int('animation-duration');
+    ANIMATION_OPEN_CLOSE_DURATION_MS = _settings.get_int('animation-open-close-duration');
+    ANIMATION_MODE = ANIMATION_MODES[_settings.get_string('animation-mode')] ?? ANIMATION_MODE;
+    ANIMATION_MODE_SUBTLE = ANIMATION_MODES[_settings.get_string('animation-mode-subtle')] ?? ANIMATION_MODE_SUBTLE;
+    ANIMATION_MODE_MOMENTUM = ANIMATION_MODES[_settings.get_string('animation-mode-momentum')] ?? ANIMATION_MODE_MOMENTUM;
+
+    EDGE_TILING_THRESHOLD = _settings.get_int('edge-tiling-threshold');
+    SNAP_ASSIST = _settings.get_boolean('snap-assist');
+    SNAP_ASSIST_ALL_WORKSPACES = _settings.get_boolean('snap-assist-all-workspaces');
+    STACK_ON_DROP = _settings.get_boolean('stack-on-drop');
+    FOCUS_ZOOM = _settings.get_boolean('focus-zoom');
+    SNAPSHOT_LAUNCH_APPS = _settings.get_boolean('snapshot-launch-apps');
+
+    SMART_RESIZE_ANIMATION_MS = _settings.get_int('smart-resize-animation-duration');
+    SMART_RESIZE_STEP_PERCENTAGE = _settings.get_int('smart-resize-step-percentage');
+    SMART_RESIZE_DETECTION_DELTA_PX = _settings.get_int('smart-resize-detection-delta');
+    SMART_RESIZE_MAX_ITERATIONS = _settings.get_int('smart-resize-max-iterations');
+    SMART_RESIZE_ITERATION_DEBOUNCE_MS = _settings.get_int('smart-resize-iteration-debounce');
+    SMART_RESIZE_LEARNING_DEBOUNCE_MS = _settings.get_int('smart-resize-learning-debounce');
+    SMART_RESIZE_MIN_WINDOW_WIDTH = _settings.get_int('smart-resize-min-window-width');
+    SMART_RESIZE_MIN_WINDOW_HEIGHT = _settings.get_int('smart-resize-min-window-height');
+}
+
+export function bindSettings(settings) {
+    unbindSettings();
+    _settings = settings;
+    _syncFromSettings();
+    _settingsChangedId = _settings.connect('changed', () => _syncFromSettings());
+}
+
+export function unbindSettings() {
+    if (_settings && _settingsChangedId) {
+        _settings.disconnect(_settingsChangedId);
+    }
+    _settings = null;
+    _settingsChangedId = 0;
+}
@@ -0,0 +1,241 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// D-Bus interface for scripting Mosaic WM
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import { TileZone, LayoutMode } from './constants.js';
+import { ComputedLayouts } from './tiling.js';
+
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/MosaicWM';
+
+// Zones use the TileZone values from constants.js, or SNAP_ZONE_BASE + n for the nth
+// entry of the snap-zones setting. Directions are left/right/up/down.
+// GetLayout returns (window id, x, y, width, height, zone) for every tiled window.
+// Snapshots are named workspace arrangements, see snapshots.js.
+const IFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.MosaicWM">
+    <method name="TileWindow">
+      <arg type="u" direction="in" name="windowId"/>
+      <arg type="i" direction="in" name="zone"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="SwapWindow">
+      <arg type="u" direction="in" name="windowId"/>
+      <arg type="s" direction="in" name="direction"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="RetileWorkspace">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="SetWorkspaceEnabled">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="b" direction="in" name="enabled"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="SetWorkspaceLayout">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="s" direction="in" name="layout"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="GetLayout">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="i" direction="in" name="monitor"/>
+      <arg type="a(uiiiii)" direction="out" name="windows"/>
+    </method>
+    <method name="SaveSnapshot">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="RestoreSnapshot">
+      <arg type="i" direction="in" name="workspace"/>
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="in" name="launchMissing"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="DeleteSnapshot">
+      <arg type="s" direction="in" name="name"/>
+      <arg type="b" direction="out" name="success"/>
+    </method>
+    <method name="ListSnapshots">
+      <arg type="as" direction="out" name="names"/>
+    </method>
+    <signal name="OverflowMoved">
+      <arg type="u" name="windowId"/>
+      <arg type="i" name="fromWorkspace"/>
+      <arg type="i" name="toWorkspace"/>
+    </signal>
+    <signal name="LayoutChanged">
+      <arg type="i" name="workspace"/>
+    </signal>
+  </interface>
+</node>`;
+
+const DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+export const DBusService = GObject.registerClass({
+    GTypeName: 'MosaicDBusService',
+}, class DBusService extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(IFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+
+        this._layoutChangedId = this.tilingManager.connect('mosaic-changed', (_, workspace) => {
+            this._emit('LayoutChanged', new GLib.Variant('(i)', [workspace.index()]));
+        });
+        this._overflowId = this.windowingManager.connect('window-overflowed', (_, window, from, to) => {
+            this._emit('OverflowMoved', new GLib.Variant('(uii)', [window.get_id(), from, to]));
+        });
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get swappingManager() { return this._ext.swappingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get snapshotManager() { return this._ext.snapshotManager; }
+
+    _emit(name, params) {
+        if (this._dbusImpl)
+            this._dbusImpl.emit_signal(name, params);
+    }
+
+    _findWindow(windowId) {
+        const allWindows = global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null);
+        return allWindows.find(w => w.get_id() === windowId) || null;
+    }
+
+    _getWorkspace(index) {
+        const workspaceManager = global.workspace_manager;
+        if (index < 0 || index >= workspaceManager.get_n_workspaces()) return null;
+        return workspaceManager.get_workspace_by_index(index);
+    }
+
+    TileWindow(windowId, zone) {
+        const window = this._findWindow(windowId);
+        if (!window || this.windowingManager.isExcluded(window)) {
+            Logger.log(`[DBUS] TileWindow: window ${windowId} not found or excluded`);
+            return false;
+        }
+        if (!Object.values(TileZone).includes(zone) && !this.edgeTilingManager.isSnapZone(zone)) {
+            Logger.log(`[DBUS] TileWindow: invalid zone ${zone}`);
+            return false;
+        }
+
+        if (zone === TileZone.NONE) {
+            if (!this.edgeTilingManager.isEdgeTiled(window)) return false;
+            this.edgeTilingManager.removeTile(window);
+            return true;
+        }
+
+        const workArea = window.get_workspace().get_work_area_for_monitor(window.get_monitor());
+        return !!this.edgeTilingManager.applyTile(window, zone, workArea);
+    }
+
+    SwapWindow(windowId, direction) {
+        const window = this._findWindow(windowId);
+        if (!window || this.windowingManager.isExcluded(window)) {
+            Logger.log(`[DBUS] SwapWindow: window ${windowId} not found or excluded`);
+            return false;
+        }
+        if (!DIRECTIONS.includes(direction)) {
+            Logger.log(`[DBUS] SwapWindow: invalid direction '${direction}'`);
+            return false;
+        }
+        return !!this.swappingManager.swapWindow(window, direction);
+    }
+
+    RetileWorkspace(index) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace) return false;
+
+        const nMonitors = global.display.get_n_monitors();
+        for (let monitor = 0; monitor < nMonitors; monitor++)
+            this.tilingManager.tileWorkspaceWindows(workspace, null, monitor, false);
+        return true;
+    }
+
+    SetWorkspaceEnabled(index, enabled) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace) return false;
+
+        this._ext.setMosaicEnabledForWorkspace(workspace, enabled);
+        return true;
+    }
+
+    SetWorkspaceLayout(index, layout) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace) return false;
+        if (!Object.values(LayoutMode).includes(layout)) {
+            Logger.log(`[DBUS] SetWorkspaceLayout: invalid layout '${layout}'`);
+            return false;
+        }
+
+        this._ext.setWorkspaceLayout(workspace, layout);
+        return true;
+    }
+
+    GetLayout(index, monitor) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace || monitor < 0 || monitor >= global.display.get_n_monitors())
+            return [];
+
+        const windows = this.windowingManager.getMonitorWorkspaceWindows(workspace, monitor)
+            .filter(w => !this.windowingManager.isExcluded(w));
+
+        return windows.map(w => {
+            const state = this.edgeTilingManager.getWindowState(w);
+            const zone = state ? state.zone : TileZone.NONE;
+            // Prefer the computed target so callers don't see mid-animation geometry
+            const rect = (zone === TileZone.NONE && ComputedLayouts.get(w)) || w.get_frame_rect();
+            return [w.get_id(), Math.round(rect.x), Math.round(rect.y),
+                Math.round(rect.width), Math.round(rect.height), zone];
+        });
+    }
+
+    SaveSnapshot(index, name) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace) return false;
+        return this.snapshotManager.save(workspace, name);
+    }
+
+    RestoreSnapshot(index, name, launchMissing) {
+        const workspace = this._getWorkspace(index);
+        if (!workspace) return false;
+        return this.snapshotManager.restore(workspace, name, launchMissing);
+    }
+
+    DeleteSnapshot(name) {
+        return this.snapshotManager.delete(name);
+    }
+
+    ListSnapshots() {
+        return this.snapshotManager.getNames();
+    }
+
+    destroy() {
+        if (this._layoutChangedId && this.tilingManager) {
+            this.tilingManager.disconnect(this._layoutChangedId);
+            this._layoutChangedId = 0;
+        }
+        if (this._overflowId && this.windowingManager) {
+            this.windowingManager.disconnect(this._overflowId);
+            this._overflowId = 0;
+        }
+        if (this._dbusImpl) {
+            this._dbusImpl.unexport();
+            this._dbusImpl = null;
+        }
+        this._ext = null;
+    }
+});
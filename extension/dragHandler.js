@@ -83,6 +83,9 @@ export const DragHandler = GObject.registerClass({
             Logger.log(`Edge tiling: grab begin`);
             this._draggedWindow = window;
             
+            // Dragging a stacked window pulls it out, the next one in the stack takes its slot
+            this._ext.stackManager?.removeFromStack(window, false);
+            
             const windowState = this.edgeTilingManager.getWindowState(window);
             
             // Initialize _currentZone with window's zone if it's already edge-tiled
@@ -152,6 +155,8 @@ export const DragHandler = GObject.registerClass({
                 this._currentZone = TileZone.NONE;
             }
             
+            this._dragMonitorId = window.get_monitor();
+            
             // Connect signal-based listeners for edge tiling (replaces polling)
             Logger.log(`Connecting signal-based edge tiling listeners`);
             this._dragPositionChangedId = this._draggedWindow.connect('position-changed', this._onDragPositionChanged.bind(this));
@@ -179,7 +184,8 @@ export const DragHandler = GObject.registerClass({
             this.drawingManager.removeBoxes();
             
             const oldWorkspace = window.get_workspace();
-            this.windowingManager.moveOversizedWindow(window);
+            // The user dropped it on this monitor, don't hop it over to another one
+            this.windowingManager.moveOversizedWindow(window, true);
             afterAnimations(this.animationsManager, () => {
                 const monitor = window.get_monitor();
                 if (monitor !== null) {
@@ -189,6 +195,7 @@ export const DragHandler = GObject.registerClass({
             
             this._dragOverflowWindow = null;
             this._draggedWindow = null;
+            this._dragMonitorId = null;
             this._currentZone = TileZone.NONE;
             
             if (this._dragPositionChangedId && window) {
@@ -269,6 +276,7 @@ export const DragHandler = GObject.registerClass({
             
             this.drawingManager.hideTilePreview();
             this._draggedWindow = null;
+            this._dragMonitorId = null;
             this._currentZone = TileZone.NONE;
             
             this.tilingManager.clearDragRemainingSpace();
@@ -349,6 +357,7 @@ export const DragHandler = GObject.registerClass({
         
         const draggedWindow = this._draggedWindow;
         this._draggedWindow = null;
+        this._dragMonitorId = null;
         this._currentZone = TileZone.NONE;
         
         this.reorderingManager.stopDrag(draggedWindow, false, true);
@@ -366,10 +375,56 @@ export const DragHandler = GObject.registerClass({
         return Clutter.EVENT_PROPAGATE;
     }
 
+    // The dragged window crossed onto another monitor: collapse the one it left and
+    // restart the live preview against the new one, or mark it as overflowing there
+    _onDragMonitorChanged(window, fromMonitor, toMonitor) {
+        const workspace = window.get_workspace();
+        Logger.log(`Drag: window ${window.get_id()} crossed from monitor ${fromMonitor} to ${toMonitor}`);
+        
+        if (this._currentZone !== TileZone.NONE) {
+            this._currentZone = TileZone.NONE;
+            this.edgeTilingManager.setEdgeTilingActive(false, null);
+            this.drawingManager.hideTilePreview();
+            this.tilingManager.setDragRemainingSpace(null);
+            this.clearGhostWindows();
+        }
+        
+        // Drag context and masks were built for the old monitor
+        this.reorderingManager.stopDrag(window, true, true);
+        this._ext.windowHandler.collapseMonitor(workspace, fromMonitor);
+        
+        if (this._dragOverflowWindow === window) {
+            const actor = window.get_compositor_private();
+            if (actor) actor.opacity = 255;
+            this.tilingManager.clearExcludedWindow();
+            this._dragOverflowWindow = null;
+        }
+        
+        if (this.tilingManager.canFitWindow(window, workspace, toMonitor, true)) {
+            this.reorderingManager.startDrag(window);
+            return;
+        }
+        
+        Logger.log(`Drag: window doesn't fit on monitor ${toMonitor} - applying overflow opacity`);
+        const actor = window.get_compositor_private();
+        if (actor) actor.opacity = 128;
+        this._dragOverflowWindow = window;
+        this.tilingManager.setExcludedWindow(window);
+        this.drawingManager.hideTilePreview();
+        this.drawingManager.removeBoxes();
+    }
+
     _onDragPositionChanged() {
         if (!this._draggedWindow) return;
         
         const monitor = this._draggedWindow.get_monitor();
+        if (this._dragMonitorId !== null && monitor !== this._dragMonitorId) {
+            const fromMonitor = this._dragMonitorId;
+            this._dragMonitorId = monitor;
+            this._onDragMonitorChanged(this._draggedWindow, fromMonitor, monitor);
+        }
+
+        
         const workspace = this._draggedWindow.get_workspace();
         const workArea = workspace.get_work_area_for_monitor(monitor);
         const [x, y] = global.get_pointer();
@@ -401,7 +456,7 @@ export const DragHandler = GObject.registerClass({
                  this.edgeTilingManager.setEdgeTilingActive(true, this._draggedWindow);
                  this.drawingManager.showTilePreview(zone, workArea, this._draggedWindow);
                  
-                 const remainingSpace = this.edgeTilingManager.calculateRemainingSpaceForZone(zone, workArea);
+                 const remainingSpace = this.edgeTilingManager.calculateRemainingSpaceForZone(zone, workArea, workspace);
                  this.tilingManager.setDragRemainingSpace(remainingSpace);
                  
                  this.clearGhostWindows();
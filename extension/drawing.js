@@ -2,6 +2,8 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 // Visual feedback and preview rendering
 import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import Pango from 'gi://Pango';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
@@ -19,14 +21,26 @@ export const DrawingManager = GObject.registerClass({
         
         // Tile preview overlay for edge tiling
         this._tilePreview = null;
+        // Cell outlines shown behind the preview of a snap zone
+        this._gridCells = [];
+        this._gridKey = null;
+        // Outline over the window a dragged window would be stacked onto
+        this._stackPreview = null;
+        // Tab strips of window stacks, keyed by stack
+        this._stackTabs = new Map();
         
         this._edgeTilingManager = null;
+        this._snapZoneManager = null;
     }
 
     setEdgeTilingManager(manager) {
         this._edgeTilingManager = manager;
     }
 
+    setSnapZoneManager(manager) {
+        this._snapZoneManager = manager;
+    }
+
     rect(x, y, w, h) {
         // Managed by Extension.js
         
@@ -44,6 +58,7 @@ export const DrawingManager = GObject.registerClass({
         
         box.set_position(x, y);
         box.set_size(w, h);
+        box.set_style(this._cornerStyle());
         
         this._boxes.push(box);
     }
@@ -77,19 +92,139 @@ export const DrawingManager = GObject.registerClass({
             Main.uiGroup.add_child(this._tilePreview);
         }
         
+        if (this._edgeTilingManager.isSnapZone(zone)) {
+            this._showSnapGrid(workArea);
+        } else {
+            this._hideSnapGrid();
+        }
+        
         this._tilePreview.set_position(rect.x, rect.y);
         this._tilePreview.set_size(rect.width, rect.height);
+        this._tilePreview.set_style(this._cornerStyle());
         this._tilePreview.show();
     }
 
+    // Mosaic and edge tile previews share the corner radius setting
+    _cornerStyle() {
+        return `border-radius: ${constants.CORNER_RADIUS}px;`;
+    }
+
     hideTilePreview() {
         if (this._tilePreview) {
             this._tilePreview.hide();
         }
+        this._hideSnapGrid();
+    }
+
+    _showSnapGrid(workArea) {
+        if (!this._snapZoneManager) return;
+        
+        // Only rebuild when the work area or the grid changed since the last zone
+        const { columns, rows } = this._snapZoneManager.gridSize;
+        const key = `${workArea.x},${workArea.y},${workArea.width},${workArea.height},${columns}x${rows}`;
+        if (key === this._gridKey) return;
+        
+        this._hideSnapGrid();
+        this._gridKey = key;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const rect = this._snapZoneManager.getCellRect(column, row, workArea);
+                const cell = new St.Widget({ style_class: 'snap-grid-cell' });
+                // Keep the cells behind the zone preview
+                Main.uiGroup.insert_child_below(cell, this._tilePreview);
+                cell.set_position(rect.x, rect.y);
+                cell.set_size(rect.width, rect.height);
+                this._gridCells.push(cell);
+            }
+        }
+    }
+
+    _hideSnapGrid() {
+        for (const cell of this._gridCells) {
+            cell.destroy();
+        }
+        this._gridCells = [];
+        this._gridKey = null;
+    }
+
+    showStackPreview(rect) {
+        if (!this._stackPreview) {
+            this._stackPreview = new St.Widget({ style_class: 'stack-preview' });
+            Main.uiGroup.add_child(this._stackPreview);
+        }
+        this._stackPreview.set_position(rect.x, rect.y);
+        this._stackPreview.set_size(rect.width, rect.height);
+        this._stackPreview.set_style(this._cornerStyle());
+        this._stackPreview.show();
+    }
+
+    hideStackPreview() {
+        if (this._stackPreview) {
+            this._stackPreview.hide();
+        }
+    }
+
+    // One tab per window of the stack, kept right above its active window.
+    // The strip lives in the window group so it stacks and hides along with windows.
+    showStackTabs(stack, rect, visible, onSelect) {
+        let strip = this._stackTabs.get(stack);
+        if (!strip) {
+            strip = new St.BoxLayout({ style_class: 'stack-tabs', reactive: true });
+            strip._tabsKey = null;
+            global.window_group.add_child(strip);
+            this._stackTabs.set(stack, strip);
+        }
+        
+        // Only rebuild the tabs when the windows, their titles or the active one changed
+        const key = stack.windows.map(w => `${w.get_id()}:${w === stack.active}:${w.get_title()}`).join('|');
+        if (key !== strip._tabsKey) {
+            strip._tabsKey = key;
+            strip.destroy_all_children();
+            for (const window of stack.windows) {
+                const tab = new St.Button({
+                    style_class: 'stack-tab',
+                    label: window.get_title() ?? '',
+                    x_expand: true,
+                    can_focus: false,
+                    checked: window === stack.active,
+                });
+                tab.get_child().clutter_text.ellipsize = Pango.EllipsizeMode.END;
+                tab.connect('clicked', () => onSelect(window));
+                strip.add_child(tab);
+            }
+        }
+        
+        strip.set_position(rect.x, rect.y);
+        strip.set_size(rect.width, rect.height);
+        strip.visible = visible;
+        
+        const actor = stack.active?.get_compositor_private();
+        if (actor && actor.get_parent() === global.window_group) {
+            global.window_group.set_child_above_sibling(strip, actor);
+        }
+    }
+
+    hideStackTabs(stack) {
+        const strip = this._stackTabs.get(stack);
+        if (strip) {
+            strip.destroy();
+            this._stackTabs.delete(stack);
+        }
     }
 
     clearActors() {
         this.removeBoxes();
+        this._hideSnapGrid();
+        
+        for (const strip of this._stackTabs.values()) {
+            strip.destroy();
+        }
+        this._stackTabs.clear();
+        
+        if (this._stackPreview) {
+            this._stackPreview.destroy();
+            this._stackPreview = null;
+        }
         
         // Clean up pool
         while(this._boxPool.length > 0) {
@@ -104,6 +239,7 @@ export const DrawingManager = GObject.registerClass({
             this._tilePreview = null;
         }
         this._edgeTilingManager = null;
+        this._snapZoneManager = null;
     }
 
     destroy() {
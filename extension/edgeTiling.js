@@ -6,15 +6,68 @@ import * as Logger from './logger.js';
 import GLib from 'gi://GLib';
 import Meta from 'gi://Meta';
 import * as constants from './constants.js';
-import { TileZone } from './constants.js';
+import { TileZone, SNAP_ZONE_BASE } from './constants.js';
 import * as WindowState from './windowState.js';
+import * as LayoutEngine from './layoutEngine.js';
 
 import GObject from 'gi://GObject';
 
+// Each side lists its half first, then the quarters splitting it
+const LEFT_ZONES = [TileZone.LEFT_FULL, TileZone.TOP_LEFT, TileZone.BOTTOM_LEFT];
+const RIGHT_ZONES = [TileZone.RIGHT_FULL, TileZone.TOP_RIGHT, TileZone.BOTTOM_RIGHT];
+const TOP_ZONES = [TileZone.TOP_FULL, TileZone.TOP_LEFT, TileZone.TOP_RIGHT];
+const BOTTOM_ZONES = [TileZone.BOTTOM_FULL, TileZone.BOTTOM_LEFT, TileZone.BOTTOM_RIGHT];
+
+// Portrait monitors are split into top and bottom halves, so their quarters pair
+// up side by side instead of stacked
+function _isPortrait(workArea) {
+    return workArea.height > workArea.width;
+}
+
+function _quarterSides(portrait) {
+    return portrait ? [TOP_ZONES, BOTTOM_ZONES] : [LEFT_ZONES, RIGHT_ZONES];
+}
+
+// Gaps left in [start, end) by a list of [from, to) spans
+function _freeSpans(start, end, spans) {
+    const free = [];
+    let cursor = start;
+    for (const [from, to] of [...spans].sort((a, b) => a[0] - b[0])) {
+        if (from > cursor) free.push([cursor, Math.min(from, end)]);
+        cursor = Math.max(cursor, to);
+    }
+    if (cursor < end) free.push([cursor, end]);
+    return free.filter(([from, to]) => to > from);
+}
+
+// Widest full-height column of the work area not covered by any rect. Only when
+// the rects span the whole width (e.g. a top half) fall back to the tallest row;
+// preferRows swaps the two, for portrait monitors.
+function _largestFreeBand(workArea, rects, preferRows = false) {
+    const widest = (spans, start, end) => _freeSpans(start, end, spans)
+        .reduce((best, span) => (span[1] - span[0] > best[1] - best[0] ? span : best), [start, start]);
+
+    const column = () => {
+        const [left, right] = widest(rects.map(r => [r.x, r.x + r.width]),
+            workArea.x, workArea.x + workArea.width);
+        return { x: left, y: workArea.y, width: right - left, height: workArea.height };
+    };
+    const row = () => {
+        const [top, bottom] = widest(rects.map(r => [r.y, r.y + r.height]),
+            workArea.y, workArea.y + workArea.height);
+        return { x: workArea.x, y: top, width: workArea.width, height: bottom - top };
+    };
+
+    const [first, fallback] = preferRows ? [row, column] : [column, row];
+    const band = first();
+    return band.width > 0 && band.height > 0 ? band : fallback();
+}
+
 export const EdgeTilingManager = GObject.registerClass({
     GTypeName: 'MosaicEdgeTilingManager',
     Signals: {
         'edge-tiling-changed': { param_types: [GObject.TYPE_OBJECT, GObject.TYPE_INT] }, // (window, zone)
+        'window-snapped': { param_types: [GObject.TYPE_OBJECT, GObject.TYPE_INT] }, // (window, zone), user-initiated tiles only
     },
 }, class EdgeTilingManager extends GObject.Object {
     _init() {
@@ -24,12 +77,92 @@ export const EdgeTilingManager = GObject.registerClass({
         this._activeEdgeTilingWindow = null;
         this._isResizing = false;
         this._animationsManager = null;
+        this._snapZoneManager = null;
     }
 
     setAnimationsManager(manager) {
         this._animationsManager = manager;
     }
 
+    setSnapZoneManager(manager) {
+        this._snapZoneManager = manager;
+    }
+
+    isSnapZone(zone) {
+        return !!this._snapZoneManager?.isSnapZone(zone);
+    }
+
+    _getGaps(workspace) {
+        return this._tilingManager?.getGaps(workspace) ?? { inner: constants.WINDOW_SPACING, outer: constants.OUTER_MARGIN };
+    }
+
+    // Zone geometry is worked out on cells, shares of the work area without gaps;
+    // windows sit inside their cell with the gaps taken out (LayoutEngine.insetCell)
+    _getTileCell(window, workArea) {
+        return LayoutEngine.outsetFrame(window.get_frame_rect(), workArea, this._getGaps(window.get_workspace()));
+    }
+
+    _moveToCell(window, cell, workArea) {
+        const rect = LayoutEngine.insetCell(cell, workArea, this._getGaps(window.get_workspace()));
+        window.move_frame(false, rect.x, rect.y);
+        window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
+        return rect;
+    }
+
+    // Two halves side by side, the left one leftWidth wide
+    _placeSideBySidePair(left, right, leftWidth, workArea) {
+        return [
+            this._moveToCell(left, { x: workArea.x, y: workArea.y, width: leftWidth, height: workArea.height }, workArea),
+            this._moveToCell(right, { x: workArea.x + leftWidth, y: workArea.y, width: workArea.width - leftWidth, height: workArea.height }, workArea),
+        ];
+    }
+
+    // Two quarters stacked in the column of the given cell, the top one topHeight tall
+    _placeStackedPair(top, bottom, column, topHeight, workArea) {
+        return [
+            this._moveToCell(top, { x: column.x, y: workArea.y, width: column.width, height: topHeight }, workArea),
+            this._moveToCell(bottom, { x: column.x, y: workArea.y + topHeight, width: column.width, height: workArea.height - topHeight }, workArea),
+        ];
+    }
+
+    // Follow edits of the snap zone settings: tiles move to their zone's new geometry,
+    // windows whose zone was removed are handed back to the mosaic where they are
+    reapplySnapZones() {
+        for (const window of global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null)) {
+            const state = this.getWindowState(window);
+            if (!state || state.zone < SNAP_ZONE_BASE) continue;
+
+            if (this.isSnapZone(state.zone)) {
+                const workArea = window.get_workspace().get_work_area_for_monitor(window.get_monitor());
+                this.applyTile(window, state.zone, workArea, true);
+            } else {
+                Logger.log(`[SNAP] Zone ${state.zone} of window ${window.get_id()} no longer exists`);
+                this._removeResizeListener(window);
+                state.zone = TileZone.NONE;
+                this.emit('edge-tiling-changed', window, TileZone.NONE);
+            }
+        }
+    }
+
+    // Move the tiles of a workspace from the gaps they were placed with to the current ones
+    reapplyGaps(workspace, previousGaps) {
+        this._isResizing = true;
+        try {
+            for (let monitor = 0; monitor < global.display.get_n_monitors(); monitor++) {
+                const workArea = workspace.get_work_area_for_monitor(monitor);
+                for (const { window, zone } of this.getEdgeTiledWindows(workspace, monitor)) {
+                    if (zone === TileZone.FULLSCREEN) continue;
+                    this._moveToCell(window, LayoutEngine.outsetFrame(window.get_frame_rect(), workArea, previousGaps), workArea);
+                }
+            }
+        } finally {
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.ISRESIZING_FLAG_RESET_MS, () => {
+                this._isResizing = false;
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+    }
+
     isEdgeTilingActive() {
         return this._isEdgeTilingActive;
     }
@@ -71,42 +204,51 @@ export const EdgeTilingManager = GObject.registerClass({
     destroy() {
         this.clearAllStates();
         this._animationsManager = null;
+        this._snapZoneManager = null;
     }
 
-    // Check for edge-tiled windows on a specific side
+    // Check for edge-tiled windows on a specific side ('left', 'right', 'top' or 'bottom')
     // cachedEdgeTiledIds is ignored in WeakMap implementation
     _hasEdgeTiledWindowsOnSide(workspace, side, cachedEdgeTiledIds = null) {
         if (!workspace) return false;
 
+        const sideZones = { left: LEFT_ZONES, right: RIGHT_ZONES, top: TOP_ZONES, bottom: BOTTOM_ZONES }[side];
+
         // Iterating WeakMap is not possible in GJS, so query workspace windows instead
         // This is robust but slightly more expensive than a Map lookup
 
         const windows = workspace.list_windows();
         for (const win of windows) {
             const state = WindowState.get(win, 'edgeTilingState');
-            if (!state || state.zone === TileZone.NONE || state.zone === TileZone.FULLSCREEN) continue;
-
-            if (side === 'left') {
-                if (state.zone === TileZone.LEFT_FULL ||
-                    state.zone === TileZone.TOP_LEFT ||
-                    state.zone === TileZone.BOTTOM_LEFT) {
-                    return true;
-                }
-            } else if (side === 'right') {
-                if (state.zone === TileZone.RIGHT_FULL ||
-                    state.zone === TileZone.TOP_RIGHT ||
-                    state.zone === TileZone.BOTTOM_RIGHT) {
-                    return true;
-                }
-            }
+            if (state && sideZones.includes(state.zone)) return true;
         }
         return false;
     }
 
     // cachedEdgeTiledIds: optional array of window IDs to avoid list_windows() call
     detectZone(cursorX, cursorY, workArea, workspace, cachedEdgeTiledIds = null) {
+        // Holding the grid modifier snaps to the user's zones anywhere on the work area
+        if (this._snapZoneManager?.isGridModifierActive())
+            return this._snapZoneManager.zoneAt(cursorX, cursorY, workArea) ?? TileZone.NONE;
+
         const threshold = constants.EDGE_TILING_THRESHOLD;
         const thirdY = workArea.height / 3;
+        const thirdX = workArea.width / 3;
+        const portrait = _isPortrait(workArea);
+
+        // Portrait monitors split at the top and bottom edges, like the sides of a landscape one
+        if (portrait && (cursorY < workArea.y + threshold || cursorY > workArea.y + workArea.height - threshold)) {
+            const top = cursorY < workArea.y + threshold;
+            const hasWindows = this._hasEdgeTiledWindowsOnSide(workspace, top ? 'top' : 'bottom', cachedEdgeTiledIds);
+            const [full, leftQuarter, rightQuarter] = top ? TOP_ZONES : BOTTOM_ZONES;
+
+            if (!hasWindows) return full;
+
+            const relX = cursorX - workArea.x;
+            if (relX < thirdX) return leftQuarter;
+            if (relX > workArea.width - thirdX) return rightQuarter;
+            return full;
+        }
 
         // Check TOP edge first (maximize)
         if (cursorY < workArea.y + threshold) {
@@ -116,7 +258,8 @@ export const EdgeTilingManager = GObject.registerClass({
         if (cursorX < workArea.x + threshold) {
             const hasLeftWindows = this._hasEdgeTiledWindowsOnSide(workspace, 'left', cachedEdgeTiledIds);
 
-            if (!hasLeftWindows) return TileZone.LEFT_FULL;
+            // Quarters of a portrait monitor belong to its top and bottom halves
+            if (!hasLeftWindows || portrait) return TileZone.LEFT_FULL;
 
             const relY = cursorY - workArea.y;
             if (relY < thirdY) return TileZone.TOP_LEFT;
@@ -127,7 +270,7 @@ export const EdgeTilingManager = GObject.registerClass({
         if (cursorX > workArea.x + workArea.width - threshold) {
             const hasRightWindows = this._hasEdgeTiledWindowsOnSide(workspace, 'right', cachedEdgeTiledIds);
 
-            if (!hasRightWindows) return TileZone.RIGHT_FULL;
+            if (!hasRightWindows || portrait) return TileZone.RIGHT_FULL;
 
             const relY = cursorY - workArea.y;
             if (relY < thirdY) return TileZone.TOP_RIGHT;
@@ -170,8 +313,7 @@ export const EdgeTilingManager = GObject.registerClass({
         }
 
         if (existing) {
-            const frame = existing.get_frame_rect();
-            return frame.width;
+            return this._getTileCell(existing, workspace.get_work_area_for_monitor(monitor)).width;
         }
         return null;
     }
@@ -192,16 +334,66 @@ export const EdgeTilingManager = GObject.registerClass({
         });
 
         if (existing) {
-            const frame = existing.get_frame_rect();
-            return frame.height;
+            return this._getTileCell(existing, workspace.get_work_area_for_monitor(monitor)).height;
         }
         return null;
     }
 
+    // Cell of the first tiled window in any of the zones
+    _getExistingFrame(workspace, monitor, zones) {
+        if (!workspace || monitor === undefined) return null;
+
+        const existing = workspace.list_windows().find(w => {
+            if (w.get_monitor() !== monitor || w.is_hidden() || w.get_window_type() !== Meta.WindowType.NORMAL)
+                return false;
+            const state = this.getWindowState(w);
+            return state && zones.includes(state.zone);
+        });
+        return existing ? this._getTileCell(existing, workspace.get_work_area_for_monitor(monitor)) : null;
+    }
+
+    // Quarters of a portrait monitor: as tall as the tiles already on their half,
+    // as wide as the neighbouring quarter leaves
+    _getPortraitQuarterRect(zone, workArea, workspace, monitor) {
+        const isTop = zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT;
+        const isLeft = zone === TileZone.TOP_LEFT || zone === TileZone.BOTTOM_LEFT;
+        const halfWidth = Math.floor(workArea.width / 2);
+        const halfHeight = Math.floor(workArea.height / 2);
+
+        const sideFrame = this._getExistingFrame(workspace, monitor, isTop ? TOP_ZONES : BOTTOM_ZONES);
+        const height = sideFrame ? sideFrame.height : (isTop ? halfHeight : workArea.height - halfHeight);
+
+        const neighbourFrame = this._getExistingFrame(workspace, monitor, [this._getAdjacentQuarterZone(zone, true)]);
+        const leftWidth = isLeft
+            ? (neighbourFrame ? workArea.width - neighbourFrame.width : halfWidth)
+            : (neighbourFrame ? neighbourFrame.width : halfWidth);
+
+        return {
+            x: isLeft ? workArea.x : workArea.x + leftWidth,
+            y: isTop ? workArea.y : workArea.y + workArea.height - height,
+            width: isLeft ? leftWidth : workArea.width - leftWidth,
+            height
+        };
+    }
+
+    // Where a window tiled to the zone goes: its cell with the gaps taken out.
+    // Maximizing ignores gaps.
     getZoneRect(zone, workArea, windowToTile = null) {
+        const cell = this._getZoneCell(zone, workArea, windowToTile);
+        if (!cell || zone === TileZone.FULLSCREEN) return cell;
+
+        const workspace = windowToTile?.get_workspace() ?? global.workspace_manager.get_active_workspace();
+        return LayoutEngine.insetCell(cell, workArea, this._getGaps(workspace));
+    }
+
+    _getZoneCell(zone, workArea, windowToTile = null) {
         if (!workArea) return null;
 
+        if (this.isSnapZone(zone))
+            return this._snapZoneManager.getZoneRect(zone, workArea);
+
         let existingWidth = null;
+        let existingHeight = null;
 
         if (windowToTile) {
             const workspace = windowToTile.get_workspace();
@@ -216,6 +408,8 @@ export const EdgeTilingManager = GObject.registerClass({
             let oppositeZone = null;
             if (zone === TileZone.LEFT_FULL) oppositeZone = TileZone.RIGHT_FULL;
             else if (zone === TileZone.RIGHT_FULL) oppositeZone = TileZone.LEFT_FULL;
+            else if (zone === TileZone.TOP_FULL) oppositeZone = TileZone.BOTTOM_FULL;
+            else if (zone === TileZone.BOTTOM_FULL) oppositeZone = TileZone.TOP_FULL;
 
             if (oppositeZone) {
                 const existingWindow = workspaceWindows.find(w => {
@@ -224,9 +418,10 @@ export const EdgeTilingManager = GObject.registerClass({
                 });
 
                 if (existingWindow) {
-                    const frame = existingWindow.get_frame_rect();
+                    const frame = this._getTileCell(existingWindow, workArea);
                     existingWidth = frame.width;
-                    Logger.log(`getZoneRect: Found existing tiled window with width ${existingWidth}px`);
+                    existingHeight = frame.height;
+                    Logger.log(`getZoneRect: Found existing tiled window of ${existingWidth}x${existingHeight}px`);
                 }
             }
         }
@@ -237,6 +432,9 @@ export const EdgeTilingManager = GObject.registerClass({
         const workspace = windowToTile?.get_workspace();
         const monitor = windowToTile?.get_monitor();
 
+        if (this._isQuarterZone(zone) && _isPortrait(workArea))
+            return this._getPortraitQuarterRect(zone, workArea, workspace, monitor);
+
         switch(zone) {
             case TileZone.LEFT_FULL:
                 return {
@@ -298,6 +496,22 @@ export const EdgeTilingManager = GObject.registerClass({
                 };
             }
 
+            case TileZone.TOP_FULL:
+                return {
+                    x: workArea.x,
+                    y: workArea.y,
+                    width: workArea.width,
+                    height: existingHeight ? (workArea.height - existingHeight) : halfHeight
+                };
+
+            case TileZone.BOTTOM_FULL:
+                return {
+                    x: workArea.x,
+                    y: existingHeight ? (workArea.y + existingHeight) : (workArea.y + halfHeight),
+                    width: workArea.width,
+                    height: existingHeight ? (workArea.height - existingHeight) : (workArea.height - halfHeight)
+                };
+
             case TileZone.FULLSCREEN:
                 return {
                     x: workArea.x,
@@ -334,9 +548,11 @@ export const EdgeTilingManager = GObject.registerClass({
         return WindowState.get(window, 'edgeTilingState');
     }
 
+    // Minimized tiles keep their zone for later but don't hold on to the space
     getEdgeTiledWindows(workspace, monitor) {
         const windows = workspace.list_windows().filter(w =>
             w.get_monitor() === monitor &&
+            !w.minimized &&
             !w.is_skip_taskbar() &&
             w.window_type === Meta.WindowType.NORMAL
         );
@@ -385,88 +601,45 @@ export const EdgeTilingManager = GObject.registerClass({
         }
 
         const workArea = workspace.get_work_area_for_monitor(monitor);
+        const gaps = this._getGaps(workspace);
         const edgeTiledWindows = this.getEdgeTiledWindows(workspace, monitor);
 
-        if (edgeTiledWindows.length === 0) return workArea;
-
-        const hasLeftFull = edgeTiledWindows.some(w => w.zone === TileZone.LEFT_FULL);
-        const hasLeftQuarters = edgeTiledWindows.some(w =>
-            w.zone === TileZone.TOP_LEFT || w.zone === TileZone.BOTTOM_LEFT
-        );
-
-        const hasRightFull = edgeTiledWindows.some(w => w.zone === TileZone.RIGHT_FULL);
-        const hasRightQuarters = edgeTiledWindows.some(w =>
-            w.zone === TileZone.TOP_RIGHT || w.zone === TileZone.BOTTOM_RIGHT
-        );
-
-        const halfWidth = Math.floor(workArea.width / 2);
-
-        if (hasLeftFull || hasLeftQuarters) {
-            // Find the rightmost edge of all left-tiled windows
-            let maxRight = workArea.x;
-            edgeTiledWindows.forEach(w => {
-                 if (w.zone === TileZone.LEFT_FULL || w.zone === TileZone.TOP_LEFT || w.zone === TileZone.BOTTOM_LEFT) {
-                     const rect = w.window.get_frame_rect();
-                     maxRight = Math.max(maxRight, rect.x + rect.width);
-                 }
-            });
-
-            return {
-                x: maxRight,
-                y: workArea.y,
-                width: (workArea.x + workArea.width) - maxRight,
-                height: workArea.height
-            };
-        }
-
-        if (hasRightFull || hasRightQuarters) {
-            // Find the leftmost edge of all right-tiled windows
-            let minLeft = workArea.x + workArea.width;
-            edgeTiledWindows.forEach(w => {
-                 if (w.zone === TileZone.RIGHT_FULL || w.zone === TileZone.TOP_RIGHT || w.zone === TileZone.BOTTOM_RIGHT) {
-                     const rect = w.window.get_frame_rect();
-                     minLeft = Math.min(minLeft, rect.x);
-                 }
-            });
-
-            return {
-                x: workArea.x,
-                y: workArea.y,
-                width: minLeft - workArea.x,
-                height: workArea.height
-            };
-        }
+        if (edgeTiledWindows.length === 0) return LayoutEngine.insetCell(workArea, workArea, gaps);
 
-        return workArea;
+        // Maximized windows don't take space from the mosaic
+        const cells = edgeTiledWindows
+            .filter(w => w.zone !== TileZone.FULLSCREEN)
+            .map(w => this._getTileCell(w.window, workArea));
+        return LayoutEngine.insetCell(_largestFreeBand(workArea, cells, _isPortrait(workArea)), workArea, gaps);
     }
 
-    calculateRemainingSpaceForZone(zone, workArea) {
-        const halfWidth = Math.floor(workArea.width / 2);
+    // True when edge tiles leave no room for mosaic windows: halves or quarters on
+    // both sides, or other zones (snap zones, halves across the monitor's split)
+    // leaving less than the smallest smart-resize window
+    isFullyOccupied(workspace, monitor, excludeWindow = null) {
+        const edgeTiledWindows = this.getEdgeTiledWindows(workspace, monitor)
+            .filter(w => w.window !== excludeWindow && w.zone !== TileZone.FULLSCREEN);
+        const zones = edgeTiledWindows.map(w => w.zone);
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        const sides = _quarterSides(_isPortrait(workArea));
 
-        switch (zone) {
-            case TileZone.LEFT_FULL:
-            case TileZone.TOP_LEFT:
-            case TileZone.BOTTOM_LEFT:
-                return {
-                    x: workArea.x + halfWidth,
-                    y: workArea.y,
-                    width: workArea.width - halfWidth,
-                    height: workArea.height
-                };
+        if (sides.every(side => zones.some(z => side.includes(z))))
+            return true;
+        if (zones.every(z => sides.some(side => side.includes(z))))
+            return false;
 
-            case TileZone.RIGHT_FULL:
-            case TileZone.TOP_RIGHT:
-            case TileZone.BOTTOM_RIGHT:
-                return {
-                    x: workArea.x,
-                    y: workArea.y,
-                    width: halfWidth,
-                    height: workArea.height
-                };
+        const free = _largestFreeBand(workArea, edgeTiledWindows.map(w => this._getTileCell(w.window, workArea)),
+            _isPortrait(workArea));
+        return free.width < constants.SMART_RESIZE_MIN_WINDOW_WIDTH ||
+               free.height < constants.SMART_RESIZE_MIN_WINDOW_HEIGHT;
+    }
 
-            default:
-                return workArea;
-        }
+    // Mosaic area left next to a zone while dragging a window to it
+    calculateRemainingSpaceForZone(zone, workArea, workspace = null) {
+        const gaps = this._getGaps(workspace ?? global.workspace_manager.get_active_workspace());
+        const cell = zone === TileZone.FULLSCREEN ? null : this._getZoneCell(zone, workArea);
+        const free = cell ? _largestFreeBand(workArea, [cell], _isPortrait(workArea)) : workArea;
+        return LayoutEngine.insetCell(free, workArea, gaps);
     }
 
     clearWindowState(window) {
@@ -477,14 +650,15 @@ export const EdgeTilingManager = GObject.registerClass({
         if (state && state.zone && this._isQuarterZone(state.zone)) {
             Logger.log(`Quarter tile ${winId} being removed from zone ${state.zone}`);
 
-            const adjacentZone = this._getAdjacentQuarterZone(state.zone);
+            const portrait = this._isOnPortraitMonitor(window);
+            const adjacentZone = this._getAdjacentQuarterZone(state.zone, portrait);
             if (adjacentZone) {
                 const adjacentWindow = this._findWindowInZone(adjacentZone, window.get_workspace());
 
                 if (adjacentWindow) {
                     Logger.log(`Found adjacent quarter ${adjacentWindow.get_id()} in zone ${adjacentZone}, expanding to FULL`);
 
-                    const fullZone = this._getFullZoneFromQuarter(state.zone);
+                    const fullZone = this._getFullZoneFromQuarter(state.zone, portrait);
                     const workspace = window.get_workspace();
                     const monitor = window.get_monitor();
                     const workArea = workspace.get_work_area_for_monitor(monitor);
@@ -536,41 +710,19 @@ export const EdgeTilingManager = GObject.registerClass({
 
         const workArea = workspace.get_work_area_for_monitor(monitor);
 
-        // Check left side
-        const leftQuarters = edgeTiledWindows.filter(w =>
-            w.zone === TileZone.TOP_LEFT || w.zone === TileZone.BOTTOM_LEFT
-        );
-
-        if (leftQuarters.length === 1) {
-            const window = leftQuarters[0].window;
-            Logger.log(`Single quarter on left - expanding to LEFT_FULL`);
-
-            const state = WindowState.get(window, 'edgeTilingState');
-            if (state) state.zone = TileZone.LEFT_FULL;
-
-            const rect = this.getZoneRect(TileZone.LEFT_FULL, workArea, window);
-            if (rect) {
-                if (this._animationsManager) {
-                    this._animationsManager.animateWindow(window, rect, { subtle: true });
-                } else {
-                    window.move_resize_frame(false, rect.x, rect.y, rect.width, rect.height);
-                }
-            }
-        }
-
-        // Check right side
-        const rightQuarters = edgeTiledWindows.filter(w =>
-            w.zone === TileZone.TOP_RIGHT || w.zone === TileZone.BOTTOM_RIGHT
-        );
+        // A quarter left alone on its half grows back into the half: left/right on
+        // landscape monitors, top/bottom on portrait ones
+        for (const [fullZone, ...quarterZones] of _quarterSides(_isPortrait(workArea))) {
+            const quarters = edgeTiledWindows.filter(w => quarterZones.includes(w.zone));
+            if (quarters.length !== 1) continue;
 
-        if (rightQuarters.length === 1) {
-            const window = rightQuarters[0].window;
-            Logger.log(`Single quarter on right - expanding to RIGHT_FULL`);
+            const window = quarters[0].window;
+            Logger.log(`Single quarter in zone ${quarters[0].zone} - expanding to ${fullZone}`);
 
             const state = WindowState.get(window, 'edgeTilingState');
-            if (state) state.zone = TileZone.RIGHT_FULL;
+            if (state) state.zone = fullZone;
 
-            const rect = this.getZoneRect(TileZone.RIGHT_FULL, workArea, window);
+            const rect = this.getZoneRect(fullZone, workArea, window);
             if (rect) {
                 if (this._animationsManager) {
                     this._animationsManager.animateWindow(window, rect, { subtle: true });
@@ -587,22 +739,19 @@ export const EdgeTilingManager = GObject.registerClass({
                zone === TileZone.TOP_RIGHT || zone === TileZone.BOTTOM_RIGHT;
     }
 
-    _getAdjacentQuarterZone(zone) {
-        switch (zone) {
-            case TileZone.TOP_LEFT: return TileZone.BOTTOM_LEFT;
-            case TileZone.BOTTOM_LEFT: return TileZone.TOP_LEFT;
-            case TileZone.TOP_RIGHT: return TileZone.BOTTOM_RIGHT;
-            case TileZone.BOTTOM_RIGHT: return TileZone.TOP_RIGHT;
-            default: return null;
-        }
+    // The other quarter of the same half: stacked on landscape, side by side on portrait
+    _getAdjacentQuarterZone(zone, portrait = false) {
+        if (!this._isQuarterZone(zone)) return null;
+        const [, ...quarters] = _quarterSides(portrait).find(side => side.includes(zone));
+        return quarters.find(quarter => quarter !== zone);
     }
 
-    _getFullZoneFromQuarter(zone) {
-        if (zone === TileZone.TOP_LEFT || zone === TileZone.BOTTOM_LEFT) {
-            return TileZone.LEFT_FULL;
-        } else {
-            return TileZone.RIGHT_FULL;
-        }
+    _getFullZoneFromQuarter(zone, portrait = false) {
+        return _quarterSides(portrait).find(side => side.includes(zone))[0];
+    }
+
+    _isOnPortraitMonitor(window) {
+        return _isPortrait(window.get_workspace().get_work_area_for_monitor(window.get_monitor()));
     }
 
     _findWindowInZone(zone, workspace) {
@@ -667,31 +816,13 @@ export const EdgeTilingManager = GObject.registerClass({
         const monitor = window.get_monitor();
         let fullToQuarterConversion = null;
 
-        if (zone === TileZone.BOTTOM_LEFT || zone === TileZone.TOP_LEFT) {
-            Logger.log(`Checking for LEFT_FULL conversion, zone=${zone}`);
-            const workspaceWindows = workspace.list_windows().filter(w =>
-                w.get_monitor() === monitor &&
-                w.get_id() !== window.get_id() &&
-                !w.is_hidden() &&
-                w.get_window_type() === Meta.WindowType.NORMAL
-            );
-
-            Logger.log(`Found ${workspaceWindows.length} potential windows`);
-
-            const leftFullWindow = workspaceWindows.find(w => {
-                const state = this.getWindowState(w);
-                Logger.log(`Window ${w.get_id()} state: ${state ? `zone=${state.zone}` : 'no state'}`);
-                return state && state.zone === TileZone.LEFT_FULL;
-            });
+        const portrait = _isPortrait(workArea);
 
-            if (leftFullWindow) {
-                Logger.log(`Found LEFT_FULL window ${leftFullWindow.get_id()} for conversion`);
-                const newZone = (zone === TileZone.BOTTOM_LEFT) ? TileZone.TOP_LEFT : TileZone.BOTTOM_LEFT;
-                fullToQuarterConversion = { window: leftFullWindow, newZone };
-            } else {
-                Logger.log(`No LEFT_FULL window found for conversion`);
-            }
-        } else if (zone === TileZone.BOTTOM_RIGHT || zone === TileZone.TOP_RIGHT) {
+        // Tiling a quarter next to a half turns that half into the other quarter
+        const side = this._isQuarterZone(zone) && _quarterSides(portrait).find(zones => zones.includes(zone));
+        if (side) {
+            const [fullZone, ...quarterZones] = side;
+            Logger.log(`Checking for zone ${fullZone} conversion, zone=${zone}`);
             const workspaceWindows = workspace.list_windows().filter(w =>
                 w.get_monitor() === monitor &&
                 w.get_id() !== window.get_id() &&
@@ -699,22 +830,23 @@ export const EdgeTilingManager = GObject.registerClass({
                 w.get_window_type() === Meta.WindowType.NORMAL
             );
 
-            const rightFullWindow = workspaceWindows.find(w => {
+            const fullWindow = workspaceWindows.find(w => {
                 const state = this.getWindowState(w);
-                return state && state.zone === TileZone.RIGHT_FULL;
+                return state && state.zone === fullZone;
             });
 
-            if (rightFullWindow) {
-                const newZone = (zone === TileZone.BOTTOM_RIGHT) ? TileZone.TOP_RIGHT : TileZone.BOTTOM_RIGHT;
-                fullToQuarterConversion = { window: rightFullWindow, newZone };
+            if (fullWindow) {
+                Logger.log(`Found zone ${fullZone} window ${fullWindow.get_id()} for conversion`);
+                const newZone = quarterZones.find(quarter => quarter !== zone);
+                fullToQuarterConversion = { window: fullWindow, newZone };
             }
         }
 
-        let savedFullTileWidth = null;
-        if (fullToQuarterConversion) {
-            const fullFrame = fullToQuarterConversion.window.get_frame_rect();
-            savedFullTileWidth = fullFrame.width;
-            Logger.log(`Converting FULL tile ${fullToQuarterConversion.window.get_id()} to quarter zone ${fullToQuarterConversion.newZone}, preserving width=${savedFullTileWidth}px`);
+        // Portrait halves keep their height instead, see the portrait branch below
+        let fullTileCell = null;
+        if (fullToQuarterConversion && !portrait) {
+            fullTileCell = this._getTileCell(fullToQuarterConversion.window, workArea);
+            Logger.log(`Converting FULL tile ${fullToQuarterConversion.window.get_id()} to quarter zone ${fullToQuarterConversion.newZone}, preserving width=${fullTileCell.width}px`);
         }
 
         window.unmaximize();
@@ -733,87 +865,49 @@ export const EdgeTilingManager = GObject.registerClass({
 
             Logger.log(`Applied edge tile zone ${zone} to window ${winId}`);
 
-            if (fullToQuarterConversion && savedFullTileWidth) {
-                const convertedRect = this.getZoneRect(fullToQuarterConversion.newZone, workArea, fullToQuarterConversion.window);
-
-                convertedRect.width = savedFullTileWidth;
-                rect.width = savedFullTileWidth;
-
-                if (fullToQuarterConversion.newZone === TileZone.TOP_LEFT || fullToQuarterConversion.newZone === TileZone.BOTTOM_LEFT) {
-                    convertedRect.x = workArea.x;
-                    rect.x = workArea.x;
-                } else {
-                    convertedRect.x = workArea.x + workArea.width - savedFullTileWidth;
-                    rect.x = workArea.x + workArea.width - savedFullTileWidth;
-                }
-
+            if (fullToQuarterConversion && fullTileCell) {
+                // The quarters split the column of the half they came from
+                const convertedWindow = fullToQuarterConversion.window;
+                const isTop = zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT;
+                const [top, bottom] = isTop ? [window, convertedWindow] : [convertedWindow, window];
                 const halfHeight = Math.floor(workArea.height / 2);
+                const gaps = this._getGaps(workspace);
+                const topRect = LayoutEngine.insetCell({ x: fullTileCell.x, y: workArea.y, width: fullTileCell.width, height: halfHeight }, workArea, gaps);
+                const bottomRect = LayoutEngine.insetCell({ x: fullTileCell.x, y: workArea.y + halfHeight, width: fullTileCell.width, height: workArea.height - halfHeight }, workArea, gaps);
+                const newRect = isTop ? topRect : bottomRect;
+                const convertedRect = isTop ? bottomRect : topRect;
 
                 if (this._animationsManager) {
-                    this._animationsManager.animateWindow(fullToQuarterConversion.window, {
-                        x: convertedRect.x,
-                        y: convertedRect.y,
-                        width: convertedRect.width,
-                        height: halfHeight
-                    }, { subtle: true });
-
-                    this._animationsManager.animateWindow(window, {
-                        x: rect.x,
-                        y: rect.y,
-                        width: rect.width,
-                        height: halfHeight
-                    });
+                    this._animationsManager.animateWindow(convertedWindow, convertedRect, { subtle: true });
+                    this._animationsManager.animateWindow(window, newRect);
                 } else {
-                    fullToQuarterConversion.window.move_resize_frame(false, convertedRect.x, convertedRect.y, convertedRect.width, halfHeight);
-                    window.move_resize_frame(false, rect.x, rect.y, rect.width, halfHeight);
+                    convertedWindow.move_resize_frame(false, convertedRect.x, convertedRect.y, convertedRect.width, convertedRect.height);
+                    window.move_resize_frame(false, newRect.x, newRect.y, newRect.width, newRect.height);
                 }
 
-                Logger.log(`Applied quarter tiles with halfHeight=${halfHeight}px, width=${savedFullTileWidth}px`);
+                Logger.log(`Applied quarter tiles with halfHeight=${halfHeight}px, width=${fullTileCell.width}px`);
 
-                const convertedState = WindowState.get(fullToQuarterConversion.window, 'edgeTilingState');
+                const convertedState = WindowState.get(convertedWindow, 'edgeTilingState');
                 if (convertedState) {
                     Logger.log(`Converted window original state: ${convertedState.width}x${convertedState.height} (preserving for restore)`);
                     convertedState.zone = fullToQuarterConversion.newZone;
                 }
 
                 this.emit('edge-tiling-changed', window, zone);
-                if (fullToQuarterConversion) {
-                    this.emit('edge-tiling-changed', fullToQuarterConversion.window, fullToQuarterConversion.newZone);
-                }
+                this.emit('edge-tiling-changed', convertedWindow, fullToQuarterConversion.newZone);
 
-            GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.POLL_INTERVAL_MS, () => {
+                GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.POLL_INTERVAL_MS, () => {
                     // Safety check: ensure windows are still valid
-                    if (!window.get_compositor_private() ||
-                        !fullToQuarterConversion.window.get_compositor_private()) {
+                    if (!window.get_compositor_private() || !convertedWindow.get_compositor_private()) {
                         return GLib.SOURCE_REMOVE;
                     }
 
-                    const actualConvertedFrame = fullToQuarterConversion.window.get_frame_rect();
-                    const actualNewFrame = window.get_frame_rect();
-
-                    if (actualConvertedFrame.height !== halfHeight || actualNewFrame.height !== halfHeight) {
-                        if (zone === TileZone.BOTTOM_LEFT || zone === TileZone.BOTTOM_RIGHT) {
-                            if (actualNewFrame.height > halfHeight) {
-                                const topHeight = workArea.height - actualNewFrame.height;
-                                const bottomY = workArea.y + topHeight;
-                                fullToQuarterConversion.window.move_resize_frame(false, convertedRect.x, workArea.y, convertedRect.width, topHeight);
-                                window.move_resize_frame(false, rect.x, bottomY, rect.width, actualNewFrame.height);
-                            } else {
-                                const bottomY = actualConvertedFrame.y + actualConvertedFrame.height;
-                                const bottomHeight = (workArea.y + workArea.height) - bottomY;
-                                window.move_resize_frame(false, rect.x, bottomY, rect.width, bottomHeight);
-                            }
-                        } else {
-                            if (actualNewFrame.height > halfHeight) {
-                                const bottomHeight = workArea.height - actualNewFrame.height;
-                                const bottomY = workArea.y + actualNewFrame.height;
-                                fullToQuarterConversion.window.move_resize_frame(false, convertedRect.x, bottomY, convertedRect.width, bottomHeight);
-                            } else {
-                                const bottomY = actualNewFrame.y + actualNewFrame.height;
-                                const bottomHeight = (workArea.y + workArea.height) - bottomY;
-                                fullToQuarterConversion.window.move_resize_frame(false, convertedRect.x, bottomY, convertedRect.width, bottomHeight);
-                            }
-                        }
+                    // A quarter that couldn't shrink to half height keeps its height, the other one takes the rest
+                    const topCell = this._getTileCell(top, workArea);
+                    const bottomCell = this._getTileCell(bottom, workArea);
+                    if (topCell.height !== halfHeight || bottomCell.height !== workArea.height - halfHeight) {
+                        const topHeight = topCell.height > halfHeight ? topCell.height : workArea.height - bottomCell.height;
+                        this._placeStackedPair(top, bottom, fullTileCell, topHeight, workArea);
                     }
 
                     if (this._tilingManager) {
@@ -821,11 +915,36 @@ export const EdgeTilingManager = GObject.registerClass({
                     }
                     return GLib.SOURCE_REMOVE;
                 });
+            } else if (fullToQuarterConversion) {
+                // Portrait: the half keeps its height and gives up the width the new quarter took
+                const convertedWindow = fullToQuarterConversion.window;
+                const gaps = this._getGaps(workspace);
+                const cell = LayoutEngine.outsetFrame(rect, workArea, gaps);
+                const convertedRect = LayoutEngine.insetCell({
+                    x: cell.x === workArea.x ? workArea.x + cell.width : workArea.x,
+                    y: cell.y,
+                    width: workArea.width - cell.width,
+                    height: cell.height
+                }, workArea, gaps);
+
+                if (this._animationsManager) {
+                    this._animationsManager.animateWindow(convertedWindow, convertedRect, { subtle: true });
+                } else {
+                    convertedWindow.move_resize_frame(false, convertedRect.x, convertedRect.y, convertedRect.width, convertedRect.height);
+                }
+
+                const convertedState = WindowState.get(convertedWindow, 'edgeTilingState');
+                if (convertedState) convertedState.zone = fullToQuarterConversion.newZone;
+
+                Logger.log(`Applied side-by-side quarters with width=${rect.width}px, height=${rect.height}px`);
+                this.emit('edge-tiling-changed', window, zone);
+                this.emit('edge-tiling-changed', convertedWindow, fullToQuarterConversion.newZone);
             }
 
             // Handle mosaic windows that can't fit in remaining space
             if (!skipOverflowCheck) {
                 this._handleMosaicOverflow(window, zone);
+                this.emit('window-snapped', window, zone);
             }
 
             return GLib.SOURCE_REMOVE;
@@ -882,12 +1001,13 @@ export const EdgeTilingManager = GObject.registerClass({
         if (this._isQuarterZone(savedState.zone)) {
             Logger.log(`Quarter tile ${winId} being removed from zone ${savedState.zone}`);
 
-            const adjacentZone = this._getAdjacentQuarterZone(savedState.zone);
+            const portrait = this._isOnPortraitMonitor(window);
+            const adjacentZone = this._getAdjacentQuarterZone(savedState.zone, portrait);
             if (adjacentZone) {
                 const adjacentWindow = this._findWindowInZone(adjacentZone, window.get_workspace());
 
                 if (adjacentWindow) {
-                    const fullZone = this._getFullZoneFromQuarter(savedState.zone);
+                    const fullZone = this._getFullZoneFromQuarter(savedState.zone, portrait);
                     const workspace = window.get_workspace();
                     const monitor = window.get_monitor();
                     const workArea = workspace.get_work_area_for_monitor(monitor);
@@ -957,22 +1077,13 @@ export const EdgeTilingManager = GObject.registerClass({
         const monitor = tiledWindow.get_monitor();
         const workArea = workspace.get_work_area_for_monitor(monitor);
 
-        // Check if BOTH sides are now edge-tiled (including the window just tiled)
-        const edgeTiledWindows = this.getEdgeTiledWindows(workspace, monitor);
-        const zones = edgeTiledWindows.map(w => w.zone);
-
-        const hasLeft = zones.includes(TileZone.LEFT_FULL) ||
-                        zones.some(z => z === TileZone.TOP_LEFT || z === TileZone.BOTTOM_LEFT);
-        const hasRight = zones.includes(TileZone.RIGHT_FULL) ||
-                         zones.some(z => z === TileZone.TOP_RIGHT || z === TileZone.BOTTOM_RIGHT);
-
         const mosaicWindows = this.getNonEdgeTiledWindows(workspace, monitor);
 
         if (mosaicWindows.length === 0) return;
 
-        // If both sides are occupied, move ALL mosaic windows to new workspace
-        if (hasLeft && hasRight) {
-            Logger.log(`Both sides edge-tiled - moving ${mosaicWindows.length} mosaic windows to new workspace`);
+        // If the edge tiles (including the window just tiled) leave no room, move ALL mosaic windows to new workspace
+        if (this.isFullyOccupied(workspace, monitor)) {
+            Logger.log(`Workspace fully edge-tiled - moving ${mosaicWindows.length} mosaic windows to new workspace`);
             const workspaceManager = global.workspace_manager;
             const newWorkspace = workspaceManager.append_new_workspace(false, global.get_current_time());
 
@@ -998,8 +1109,13 @@ export const EdgeTilingManager = GObject.registerClass({
 
             // Only auto-tile to opposite side for FULL zones
             // When only one mosaic window remains, always auto-tile it to the opposite side
-            if (zone === TileZone.LEFT_FULL || zone === TileZone.RIGHT_FULL) {
-                const oppositeZone = (zone === TileZone.LEFT_FULL) ? TileZone.RIGHT_FULL : TileZone.LEFT_FULL;
+            const oppositeZone = {
+                [TileZone.LEFT_FULL]: TileZone.RIGHT_FULL,
+                [TileZone.RIGHT_FULL]: TileZone.LEFT_FULL,
+                [TileZone.TOP_FULL]: TileZone.BOTTOM_FULL,
+                [TileZone.BOTTOM_FULL]: TileZone.TOP_FULL,
+            }[zone];
+            if (oppositeZone) {
 
                 Logger.log(`_handleMosaicOverflow: auto-tiling single window ${mosaicWindow.get_id()} to opposite zone ${oppositeZone}`);
 
@@ -1017,6 +1133,8 @@ export const EdgeTilingManager = GObject.registerClass({
         // Use tiling manager to check if mosaic windows fit in remaining space
         if (!this._tilingManager) return;
 
+        const remainingSpace = this.calculateRemainingSpace(workspace, monitor);
+
         // Try to tile and check for overflow
         const testTileInfo = this._tilingManager._tile(
             mosaicWindows.map((w, i) => ({
@@ -1024,7 +1142,10 @@ export const EdgeTilingManager = GObject.registerClass({
                 width: w.get_frame_rect().width,
                 height: w.get_frame_rect().height
             })),
-            remainingSpace
+            remainingSpace,
+            false,
+            this._tilingManager.getLayoutMode(workspace),
+            this._getGaps(workspace).inner
         );
 
         Logger.log(`_handleMosaicOverflow: Checking ${mosaicWindows.length} windows in ${remainingSpace.width}x${remainingSpace.height}. Overflow: ${testTileInfo.overflow}`);
@@ -1081,8 +1202,11 @@ export const EdgeTilingManager = GObject.registerClass({
 
         if (state.zone === TileZone.LEFT_FULL || state.zone === TileZone.RIGHT_FULL) {
             this._handleHorizontalResize(window, state.zone);
-        } else if (this._isQuarterZone(state.zone)) {
+        } else if (this._isQuarterZone(state.zone) && !this._isOnPortraitMonitor(window)) {
             this._handleVerticalResize(window, state.zone);
+        } else if (state.zone !== TileZone.FULLSCREEN) {
+            // Snap zones, top/bottom halves and portrait quarters only reflow the mosaic
+            this._handleResizeWithMosaic(window, window.get_workspace(), window.get_monitor());
         }
     }
 
@@ -1126,38 +1250,24 @@ export const EdgeTilingManager = GObject.registerClass({
             return;
         }
 
-        const newAdjacentHeight = workArea.height - resizedFrame.height;
+        const resizedCell = this._getTileCell(window, workArea);
+        const newAdjacentHeight = workArea.height - resizedCell.height;
         const minHeight = constants.MIN_WINDOW_HEIGHT;
         const maxResizedHeight = workArea.height - minHeight;
 
-        if (resizedFrame.height > maxResizedHeight) return;
+        if (resizedCell.height > maxResizedHeight) return;
         if (newAdjacentHeight < minHeight) return;
 
         const isResizedTop = (zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT);
         this._isResizing = true;
 
         try {
-            if (isResizedTop) {
-                window.move_frame(false, resizedFrame.x, workArea.y);
-                window.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, resizedFrame.height);
-
-                const adjacentY = workArea.y + resizedFrame.height;
-                adjacentWindow.move_frame(false, resizedFrame.x, adjacentY);
-                adjacentWindow.move_resize_frame(false, resizedFrame.x, adjacentY, resizedFrame.width, newAdjacentHeight);
-
-                WindowState.set(window, 'edgePreviousSize', { width: resizedFrame.width, height: resizedFrame.height, y: workArea.y });
-                WindowState.set(adjacentWindow, 'edgePreviousSize', { width: resizedFrame.width, height: newAdjacentHeight, y: adjacentY });
-            } else {
-                adjacentWindow.move_frame(false, resizedFrame.x, workArea.y);
-                adjacentWindow.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, newAdjacentHeight);
+            const [top, bottom] = isResizedTop ? [window, adjacentWindow] : [adjacentWindow, window];
+            const topHeight = isResizedTop ? resizedCell.height : newAdjacentHeight;
+            const rects = this._placeStackedPair(top, bottom, resizedCell, topHeight, workArea);
 
-                const resizedY = workArea.y + newAdjacentHeight;
-                window.move_frame(false, resizedFrame.x, resizedY);
-                window.move_resize_frame(false, resizedFrame.x, resizedY, resizedFrame.width, resizedFrame.height);
-
-                WindowState.set(adjacentWindow, 'edgePreviousSize', { width: resizedFrame.width, height: newAdjacentHeight, y: workArea.y });
-                WindowState.set(window, 'edgePreviousSize', { width: resizedFrame.width, height: resizedFrame.height, y: resizedY });
-            }
+            WindowState.set(top, 'edgePreviousSize', { width: rects[0].width, height: rects[0].height, y: rects[0].y });
+            WindowState.set(bottom, 'edgePreviousSize', { width: rects[1].width, height: rects[1].height, y: rects[1].y });
         } finally {
             GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.ISRESIZING_FLAG_RESET_MS, () => {
                 this._isResizing = false;
@@ -1180,37 +1290,23 @@ export const EdgeTilingManager = GObject.registerClass({
             return;
         }
 
+        const resizedCell = this._getTileCell(resizedWindow, workArea);
         const minWidth = 400;
         const maxResizedWidth = workArea.width - minWidth;
 
-        if (resizedFrame.width > maxResizedWidth) return;
+        if (resizedCell.width > maxResizedWidth) return;
 
-        const newAdjacentWidth = workArea.width - resizedFrame.width;
+        const newAdjacentWidth = workArea.width - resizedCell.width;
 
         this._isResizing = true;
 
         try {
             const isResizedLeft = (zone === TileZone.LEFT_FULL);
+            const [left, right] = isResizedLeft ? [resizedWindow, adjacentWindow] : [adjacentWindow, resizedWindow];
+            const rects = this._placeSideBySidePair(left, right, isResizedLeft ? resizedCell.width : newAdjacentWidth, workArea);
 
-            if (isResizedLeft) {
-                resizedWindow.move_frame(false, workArea.x, workArea.y);
-                resizedWindow.move_resize_frame(false, workArea.x, workArea.y, resizedFrame.width, workArea.height);
-
-                adjacentWindow.move_frame(false, workArea.x + resizedFrame.width, workArea.y);
-                adjacentWindow.move_resize_frame(false, workArea.x + resizedFrame.width, workArea.y, newAdjacentWidth, workArea.height);
-
-                WindowState.set(resizedWindow, 'edgePreviousSize', { width: resizedFrame.width, height: workArea.height, x: workArea.x });
-                WindowState.set(adjacentWindow, 'edgePreviousSize', { width: newAdjacentWidth, height: workArea.height, x: workArea.x + resizedFrame.width });
-            } else {
-                adjacentWindow.move_frame(false, workArea.x, workArea.y);
-                adjacentWindow.move_resize_frame(false, workArea.x, workArea.y, newAdjacentWidth, workArea.height);
-
-                resizedWindow.move_frame(false, workArea.x + newAdjacentWidth, workArea.y);
-                resizedWindow.move_resize_frame(false, workArea.x + newAdjacentWidth, workArea.y, resizedFrame.width, workArea.height);
-
-                WindowState.set(adjacentWindow, 'edgePreviousSize', { width: newAdjacentWidth, height: workArea.height, x: workArea.x });
-                WindowState.set(resizedWindow, 'edgePreviousSize', { width: resizedFrame.width, height: workArea.height, x: workArea.x + newAdjacentWidth });
-            }
+            WindowState.set(left, 'edgePreviousSize', { width: rects[0].width, height: rects[0].height, x: rects[0].x });
+            WindowState.set(right, 'edgePreviousSize', { width: rects[1].width, height: rects[1].height, x: rects[1].x });
         } finally {
             GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.ISRESIZING_FLAG_RESET_MS, () => {
                 this._isResizing = false;
@@ -1245,68 +1341,31 @@ export const EdgeTilingManager = GObject.registerClass({
 
         if (!adjacentWindow) return;
 
-        const resizedFrame = resizedWindow.get_frame_rect();
+        const resizedCell = this._getTileCell(resizedWindow, workArea);
+        const adjacentCell = this._getTileCell(adjacentWindow, workArea);
         const minWidth = 400;
-        const impliedAdjacentWidth = workArea.width - resizedFrame.width;
-
-        if (impliedAdjacentWidth < minWidth) {
-            const newAdjacentWidth = minWidth;
-            const newResizedWidth = workArea.width - newAdjacentWidth;
-
-            this._isResizing = true;
-            try {
-                const isResizedLeft = (zone === TileZone.LEFT_FULL);
-                if (isResizedLeft) {
-                    resizedWindow.move_frame(false, workArea.x, workArea.y);
-                    resizedWindow.move_resize_frame(false, workArea.x, workArea.y, newResizedWidth, workArea.height);
-
-                    adjacentWindow.move_frame(false, workArea.x + newResizedWidth, workArea.y);
-                    adjacentWindow.move_resize_frame(false, workArea.x + newResizedWidth, workArea.y, newAdjacentWidth, workArea.height);
-                } else {
-                    adjacentWindow.move_frame(false, workArea.x, workArea.y);
-                    adjacentWindow.move_resize_frame(false, workArea.x, workArea.y, newAdjacentWidth, workArea.height);
 
-                    resizedWindow.move_frame(false, workArea.x + newAdjacentWidth, workArea.y);
-                    resizedWindow.move_resize_frame(false, workArea.x + newAdjacentWidth, workArea.y, newResizedWidth, workArea.height);
-                }
-            } finally {
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                    this._isResizing = false;
-                    return GLib.SOURCE_REMOVE;
-                });
-            }
+        // The resized half either squeezes its neighbour below the minimum width or
+        // leaves a hole between them; any other case is already a proper pair
+        let newResizedWidth;
+        if (workArea.width - resizedCell.width < minWidth) {
+            newResizedWidth = workArea.width - minWidth;
+        } else if (resizedCell.width + adjacentCell.width < workArea.width) {
+            newResizedWidth = workArea.width - adjacentCell.width;
+        } else {
             return;
         }
 
-        const adjacentFrame = adjacentWindow.get_frame_rect();
-        const totalWidth = resizedFrame.width + adjacentFrame.width;
-
-        if (totalWidth < workArea.width) {
-            const gap = workArea.width - totalWidth;
-            const newResizedWidth = resizedFrame.width + gap;
-
-            this._isResizing = true;
-            try {
-                const isResizedLeft = (zone === TileZone.LEFT_FULL);
-                if (isResizedLeft) {
-                    resizedWindow.move_frame(false, workArea.x, workArea.y);
-                    resizedWindow.move_resize_frame(false, workArea.x, workArea.y, newResizedWidth, workArea.height);
-
-                    adjacentWindow.move_frame(false, workArea.x + newResizedWidth, workArea.y);
-                    adjacentWindow.move_resize_frame(false, workArea.x + newResizedWidth, workArea.y, adjacentFrame.width, workArea.height);
-                } else {
-                    adjacentWindow.move_frame(false, workArea.x, workArea.y);
-                    adjacentWindow.move_resize_frame(false, workArea.x, workArea.y, adjacentFrame.width, workArea.height);
-
-                    resizedWindow.move_frame(false, workArea.x + adjacentFrame.width, workArea.y);
-                    resizedWindow.move_resize_frame(false, workArea.x + adjacentFrame.width, workArea.y, newResizedWidth, workArea.height);
-                }
-            } finally {
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                    this._isResizing = false;
-                    return GLib.SOURCE_REMOVE;
-                });
-            }
+        this._isResizing = true;
+        try {
+            const isResizedLeft = (zone === TileZone.LEFT_FULL);
+            const [left, right] = isResizedLeft ? [resizedWindow, adjacentWindow] : [adjacentWindow, resizedWindow];
+            this._placeSideBySidePair(left, right, isResizedLeft ? newResizedWidth : workArea.width - newResizedWidth, workArea);
+        } finally {
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+                this._isResizing = false;
+                return GLib.SOURCE_REMOVE;
+            });
         }
     }
 
@@ -1314,7 +1373,8 @@ export const EdgeTilingManager = GObject.registerClass({
         const workspace = edgeTiledWindow.get_workspace();
         const monitor = edgeTiledWindow.get_monitor();
         const workArea = workspace.get_work_area_for_monitor(monitor);
-        const edgeFrame = edgeTiledWindow.get_frame_rect();
+        const edgeCell = this._getTileCell(edgeTiledWindow, workArea);
+        const isLeft = (zone === TileZone.LEFT_FULL);
 
         // Get mosaic windows that need space
         const mosaicWindows = this.getNonEdgeTiledWindows(workspace, monitor);
@@ -1323,12 +1383,11 @@ export const EdgeTilingManager = GObject.registerClass({
             const minFreeSpace = 400;
             const maxWidth = workArea.width - minFreeSpace;
 
-            if (edgeFrame.width > maxWidth) {
+            if (edgeCell.width > maxWidth) {
                  this._isResizing = true;
                 try {
-                    const isLeft = (zone === TileZone.LEFT_FULL);
                     const x = isLeft ? workArea.x : (workArea.x + workArea.width - maxWidth);
-                    edgeTiledWindow.move_resize_frame(false, x, workArea.y, maxWidth, workArea.height);
+                    this._moveToCell(edgeTiledWindow, { x, y: workArea.y, width: maxWidth, height: workArea.height }, workArea);
                 } finally {
                     GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
                         this._isResizing = false;
@@ -1353,16 +1412,17 @@ export const EdgeTilingManager = GObject.registerClass({
         const actualMosaicWidth = mosaicMaxX - mosaicMinX;
 
         // Edge tile max = workArea - actualMosaicWidth
-        // This means edge tile cannot exceed the space NOT occupied by mosaic
-        const isLeft = (zone === TileZone.LEFT_FULL);
+        // This means edge tile cannot exceed the space NOT occupied by mosaic,
+        // nor the inner gap in front of it
+        const halfGap = Math.ceil(this._getGaps(workspace).inner / 2);
         let maxEdgeWidth;
 
         if (isLeft) {
             // Left edge tile: max = mosaicMinX - workArea.x (space before mosaic)
-            maxEdgeWidth = mosaicMinX - workArea.x;
+            maxEdgeWidth = mosaicMinX - halfGap - workArea.x;
         } else {
             // Right edge tile: max = (workArea.x + workArea.width) - mosaicMaxX (space after mosaic)
-            maxEdgeWidth = (workArea.x + workArea.width) - mosaicMaxX;
+            maxEdgeWidth = (workArea.x + workArea.width) - mosaicMaxX - halfGap;
         }
 
         // Use 400px as fallback if mosaic width is somehow 0
@@ -1370,16 +1430,12 @@ export const EdgeTilingManager = GObject.registerClass({
             maxEdgeWidth = workArea.width - 400;
         }
 
-        if (edgeFrame.width > maxEdgeWidth) {
-            Logger.log(`Edge tile exceeds max (${edgeFrame.width} > ${maxEdgeWidth}) - constraining to mosaic boundary`);
+        if (edgeCell.width > maxEdgeWidth) {
+            Logger.log(`Edge tile exceeds max (${edgeCell.width} > ${maxEdgeWidth}) - constraining to mosaic boundary`);
             this._isResizing = true;
             try {
-                if (isLeft) {
-                    edgeTiledWindow.move_resize_frame(false, workArea.x, workArea.y, maxEdgeWidth, workArea.height);
-                } else {
-                    const newX = workArea.x + workArea.width - maxEdgeWidth;
-                    edgeTiledWindow.move_resize_frame(false, newX, workArea.y, maxEdgeWidth, workArea.height);
-                }
+                const x = isLeft ? workArea.x : workArea.x + workArea.width - maxEdgeWidth;
+                this._moveToCell(edgeTiledWindow, { x, y: workArea.y, width: maxEdgeWidth, height: workArea.height }, workArea);
             } finally {
                 GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
                     this._isResizing = false;
@@ -1399,6 +1455,9 @@ export const EdgeTilingManager = GObject.registerClass({
     }
 
     fixQuarterPairSizes(resizedWindow, zone) {
+        // Side-by-side portrait quarters aren't kept paired, their resize only reflows the mosaic
+        if (this._isOnPortraitMonitor(resizedWindow)) return;
+
         const workspace = resizedWindow.get_workspace();
         const monitor = resizedWindow.get_monitor();
         const workArea = workspace.get_work_area_for_monitor(monitor);
@@ -1408,73 +1467,30 @@ export const EdgeTilingManager = GObject.registerClass({
         const adjacentWindow = this._findWindowInZone(adjacentZone, workspace);
         if (!adjacentWindow) return;
 
-        const resizedFrame = resizedWindow.get_frame_rect();
-        const adjacentFrame = adjacentWindow.get_frame_rect();
-        const absoluteMinHeight = constants.ABSOLUTE_MIN_HEIGHT;
-        const minHeight = Math.max(adjacentFrame.height, absoluteMinHeight);
-        const impliedAdjacentHeight = workArea.height - resizedFrame.height;
-
-        if (impliedAdjacentHeight < minHeight) {
-            const newAdjacentHeight = minHeight;
-            const newResizedHeight = workArea.height - newAdjacentHeight;
+        const resizedCell = this._getTileCell(resizedWindow, workArea);
+        const adjacentCell = this._getTileCell(adjacentWindow, workArea);
+        const minHeight = Math.max(adjacentCell.height, constants.ABSOLUTE_MIN_HEIGHT);
 
-            this._isResizing = true;
-            try {
-                const isResizedTop = (zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT);
-                if (isResizedTop) {
-                    resizedWindow.move_frame(false, resizedFrame.x, workArea.y);
-                    resizedWindow.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, newResizedHeight);
-
-                    const adjacentY = workArea.y + newResizedHeight;
-                    adjacentWindow.move_frame(false, resizedFrame.x, adjacentY);
-                    adjacentWindow.move_resize_frame(false, resizedFrame.x, adjacentY, resizedFrame.width, newAdjacentHeight);
-                } else {
-                    adjacentWindow.move_frame(false, resizedFrame.x, workArea.y);
-                    adjacentWindow.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, newAdjacentHeight);
-
-                    const resizedY = workArea.y + newAdjacentHeight;
-                    resizedWindow.move_frame(false, resizedFrame.x, resizedY);
-                    resizedWindow.move_resize_frame(false, resizedFrame.x, resizedY, resizedFrame.width, newResizedHeight);
-                }
-            } finally {
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                    this._isResizing = false;
-                    return GLib.SOURCE_REMOVE;
-                });
-            }
+        let newResizedHeight;
+        if (workArea.height - resizedCell.height < minHeight) {
+            newResizedHeight = workArea.height - minHeight;
+        } else if (resizedCell.height + adjacentCell.height < workArea.height) {
+            newResizedHeight = workArea.height - adjacentCell.height;
+        } else {
             return;
         }
 
-        const totalHeight = resizedFrame.height + adjacentFrame.height;
-
-        if (totalHeight < workArea.height) {
-            const gap = workArea.height - totalHeight;
-            const newResizedHeight = resizedFrame.height + gap;
-
-            this._isResizing = true;
-            try {
-                const isResizedTop = (zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT);
-                if (isResizedTop) {
-                    resizedWindow.move_frame(false, resizedFrame.x, workArea.y);
-                    resizedWindow.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, newResizedHeight);
-
-                    const adjacentY = workArea.y + newResizedHeight;
-                    adjacentWindow.move_frame(false, resizedFrame.x, adjacentY);
-                    adjacentWindow.move_resize_frame(false, resizedFrame.x, adjacentY, resizedFrame.width, adjacentFrame.height);
-                } else {
-                    adjacentWindow.move_frame(false, resizedFrame.x, workArea.y);
-                    adjacentWindow.move_resize_frame(false, resizedFrame.x, workArea.y, resizedFrame.width, adjacentFrame.height);
-
-                    const resizedY = workArea.y + adjacentFrame.height;
-                    resizedWindow.move_frame(false, resizedFrame.x, resizedY);
-                    resizedWindow.move_resize_frame(false, resizedFrame.x, resizedY, resizedFrame.width, newResizedHeight);
-                }
-            } finally {
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                    this._isResizing = false;
-                    return GLib.SOURCE_REMOVE;
-                });
-            }
+        this._isResizing = true;
+        try {
+            const isResizedTop = (zone === TileZone.TOP_LEFT || zone === TileZone.TOP_RIGHT);
+            const [top, bottom] = isResizedTop ? [resizedWindow, adjacentWindow] : [adjacentWindow, resizedWindow];
+            this._placeStackedPair(top, bottom, resizedCell,
+                isResizedTop ? newResizedHeight : workArea.height - newResizedHeight, workArea);
+        } finally {
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+                this._isResizing = false;
+                return GLib.SOURCE_REMOVE;
+            });
         }
     }
 
@@ -12,12 +12,13 @@ import * as Workspace from 'resource:///org/gnome/shell/ui/workspace.js';
 
 import { WindowingManager } from './windowing.js';
 import * as constants from './constants.js';
+import * as WindowState from './windowState.js';
 
 import { SettingsOverrider } from './settingsOverrider.js';
 
 // Import new Managers
 import { EdgeTilingManager } from './edgeTiling.js';
-import { TileZone } from './constants.js';
+import { TileZone, LayoutMode, SNAP_ZONE_BASE } from './constants.js';
 import { TilingManager } from './tiling.js';
 import { ReorderingManager } from './reordering.js';
 import { SwappingManager } from './swapping.js';
@@ -29,6 +30,27 @@ import { WindowHandler } from './windowHandler.js';
 import { DragHandler } from './dragHandler.js';
 import { ResizeHandler } from './resizeHandler.js';
 import { MosaicIndicator } from './quickSettings.js';
+import { DBusService } from './dbus.js';
+import { LayoutStateManager } from './persistence.js';
+import { WindowRulesManager } from './windowRules.js';
+import { SnapZoneManager } from './snapZones.js';
+import { SnapAssist } from './snapAssist.js';
+import { StackManager } from './stacking.js';
+import { LayoutHistory } from './history.js';
+import { SnapshotManager } from './snapshots.js';
+import { FocusZoom } from './focusZoom.js';
+import { ScratchpadManager } from './scratchpad.js';
+
+// Named like the stock GNOME bindings they take over
+const MOVE_TO_WORKSPACE_COUNT = 9;
+const MOVE_TO_WORKSPACE_KEYBINDINGS = [
+    'move-to-workspace-left',
+    'move-to-workspace-right',
+    ...Array.from({ length: MOVE_TO_WORKSPACE_COUNT }, (_, i) => `move-to-workspace-${i + 1}`),
+];
+const MOVE_TO_MONITOR_KEYBINDINGS = ['move-to-monitor-left', 'move-to-monitor-right'];
+// tile-snap-zone-N tiles to the Nth entry of the snap-zones setting
+const SNAP_ZONE_KEYBINDING_COUNT = 9;
 
 // Module-level accessor for TilingManager (used by overviewLayout.js for on-demand cache)
 let _tilingManagerInstance = null;
@@ -53,6 +75,8 @@ export default class WindowMosaicExtension extends Extension {
         this._overflowInProgress = false;  // Flag to prevent empty workspace navigation during overflow
 
         this._settingsOverrider = null;
+        this._settings = null;
+        this._settingsChangedIds = [];
 
         this.edgeTilingManager = null;
         this.tilingManager = null;
@@ -61,11 +85,21 @@ export default class WindowMosaicExtension extends Extension {
         this.drawingManager = null;
         this.animationsManager = null;
         this.windowingManager = null;
+        this.windowRulesManager = null;
+        this.snapZoneManager = null;
 
         // Handler classes
         this.windowHandler = null;
         this.dragHandler = null;
         this.resizeHandler = null;
+        this._snapAssist = null;
+
+        this._dbusService = null;
+        this.layoutStateManager = null;
+        this.layoutHistory = null;
+        this.snapshotManager = null;
+        this.focusZoom = null;
+        this.scratchpadManager = null;
 
         this._injectionManager = null;
 
@@ -74,14 +108,123 @@ export default class WindowMosaicExtension extends Extension {
 
         // Per-workspace toggle for mosaic behavior.
         this._disabledWorkspaceStates = new WeakMap();
+        // Per-workspace layout strategy, absent means mosaic.
+        this._workspaceLayouts = new WeakMap();
+        // Workspaces tiled without gaps, e.g. on a small laptop screen
+        this._zeroGapWorkspaces = new WeakMap();
+        // Gaps the windows were last placed with, to move edge tiles when they change
+        this._appliedGaps = null;
+    }
+
+    getWorkspaceGaps(workspace) {
+        if (workspace && this._zeroGapWorkspaces.get(workspace)) return { inner: 0, outer: 0 };
+        return { inner: constants.WINDOW_SPACING, outer: constants.OUTER_MARGIN };
+    }
+
+    hasZeroGaps(workspace) {
+        return !!workspace && !!this._zeroGapWorkspaces.get(workspace);
+    }
+
+    setZeroGapsForWorkspace(workspace, zeroGaps) {
+        const previousGaps = this.getWorkspaceGaps(workspace);
+        if (zeroGaps) {
+            this._zeroGapWorkspaces.set(workspace, true);
+        } else {
+            this._zeroGapWorkspaces.delete(workspace);
+        }
+
+        Logger.log(`Workspace ${workspace.index()} gaps ${zeroGaps ? 'off' : 'on'}`);
+
+        this.edgeTilingManager.reapplyGaps(workspace, previousGaps);
+        this.tilingManager.invalidateLayoutCache();
+        this.tilingManager.tileWorkspaceWindows(workspace, null, null, false);
+        this.layoutStateManager?.scheduleSave();
+    }
+
+    // Edge tiles keep their cells when the gap settings change, the mosaic retiles below
+    _onGapsChanged() {
+        const previousGaps = this._appliedGaps;
+        this._appliedGaps = { inner: constants.WINDOW_SPACING, outer: constants.OUTER_MARGIN };
+        if (!previousGaps || (previousGaps.inner === this._appliedGaps.inner && previousGaps.outer === this._appliedGaps.outer))
+            return;
+
+        for (let i = 0; i < this._workspaceManager.get_n_workspaces(); i++) {
+            const workspace = this._workspaceManager.get_workspace_by_index(i);
+            if (!this.hasZeroGaps(workspace))
+                this.edgeTilingManager.reapplyGaps(workspace, previousGaps);
+        }
+    }
+
+    getWorkspaceLayout(workspace) {
+        if (!workspace) return LayoutMode.MOSAIC;
+        return this._workspaceLayouts.get(workspace) ?? LayoutMode.MOSAIC;
+    }
+
+    setWorkspaceLayout(workspace, layout) {
+        if (layout === LayoutMode.MOSAIC) {
+            this._workspaceLayouts.delete(workspace);
+        } else {
+            this._workspaceLayouts.set(workspace, layout);
+        }
+
+        Logger.log(`Workspace ${workspace.index()} layout set to ${layout}`);
+
+        if (this._mosaicIndicator) {
+            this._mosaicIndicator.refresh();
+        }
+
+        this.tilingManager.tileWorkspaceWindows(workspace, null, null, false);
+        this.layoutStateManager?.scheduleSave();
+    }
+
+    // Workspace settings read back by the layout state manager. Unlike the setters above
+    // this neither retiles nor saves; only the settings given are changed.
+    restoreWorkspaceSettings(workspace, { enabled, zeroGaps, layout } = {}) {
+        if (enabled === true) {
+            this._disabledWorkspaceStates.delete(workspace);
+        } else if (enabled === false) {
+            this._disabledWorkspaceStates.set(workspace, true);
+        }
+
+        if (zeroGaps === true) {
+            this._zeroGapWorkspaces.set(workspace, true);
+        } else if (zeroGaps === false) {
+            this._zeroGapWorkspaces.delete(workspace);
+        }
+
+        if (layout === LayoutMode.MOSAIC) {
+            this._workspaceLayouts.delete(workspace);
+        } else if (layout !== undefined) {
+            this._workspaceLayouts.set(workspace, layout);
+        }
     }
 
     isMosaicEnabledForWorkspace(workspace) {
         if (!workspace) return true;
+        // The floating layout leaves windows alone just like a disabled workspace
+        if (this.getWorkspaceLayout(workspace) === LayoutMode.FLOATING) return false;
         // If explicitly set to true in WeakMap, it is disabled. Otherwise enabled.
         return !this._disabledWorkspaceStates.get(workspace);
     }
 
+    setMosaicEnabledForWorkspace(workspace, enabled) {
+        if (enabled) {
+            this._disabledWorkspaceStates.delete(workspace);
+        } else {
+            this._disabledWorkspaceStates.set(workspace, true);
+        }
+
+        if (this._mosaicIndicator) {
+            this._mosaicIndicator.refresh();
+        }
+
+        if (enabled) {
+            this.tilingManager.tileWorkspaceWindows(workspace, null, null, false);
+        }
+
+        this.layoutStateManager?.scheduleSave();
+    }
+
     _updateIndicatorIcon() {
         if (this._mosaicIndicator) {
             this._mosaicIndicator._updateIcon();
@@ -161,6 +304,10 @@ export default class WindowMosaicExtension extends Extension {
             // Ignore - setting may not exist
         }
 
+        // Mirror tunables from GSettings into constants.js so changes apply live
+        this._settings = this.getSettings('org.gnome.shell.extensions.mosaic-wm');
+        constants.bindSettings(this._settings);
+
         // Create managers
         this.edgeTilingManager = new EdgeTilingManager();
         this.tilingManager = new TilingManager();
@@ -171,12 +318,15 @@ export default class WindowMosaicExtension extends Extension {
         this.drawingManager = new DrawingManager();
         this.animationsManager = new AnimationsManager();
         this.windowingManager = new WindowingManager();
+        this.windowRulesManager = new WindowRulesManager(this._settings);
+        this.snapZoneManager = new SnapZoneManager(this._settings);
 
         // Wire up dependencies
         this.windowingManager.setEdgeTilingManager(this.edgeTilingManager);
         this.windowingManager.setAnimationsManager(this.animationsManager);
         this.windowingManager.setTilingManager(this.tilingManager);
         this.windowingManager.setTimeoutRegistry(this._timeoutRegistry);
+        this.windowingManager.setWindowRulesManager(this.windowRulesManager);
         this.windowingManager.setOverflowCallbacks(
             () => { this._overflowInProgress = true; },
             () => { this._overflowInProgress = false; }
@@ -191,18 +341,31 @@ export default class WindowMosaicExtension extends Extension {
         this.reorderingManager.setEdgeTilingManager(this.edgeTilingManager);
         this.reorderingManager.setAnimationsManager(this.animationsManager);
         this.reorderingManager.setWindowingManager(this.windowingManager);
+        this.reorderingManager.setDrawingManager(this.drawingManager);
 
         this.swappingManager.setTilingManager(this.tilingManager);
         this.swappingManager.setEdgeTilingManager(this.edgeTilingManager);
 
         this.drawingManager.setEdgeTilingManager(this.edgeTilingManager);
+        this.drawingManager.setSnapZoneManager(this.snapZoneManager);
 
         this.edgeTilingManager.setAnimationsManager(this.animationsManager);
+        this.edgeTilingManager.setSnapZoneManager(this.snapZoneManager);
+
+        // Bring back sizes, swaps and disabled workspaces from the previous session
+        this.layoutStateManager = new LayoutStateManager(this);
+        this.layoutStateManager.restore();
 
         // Create handler classes (receive extension reference)
         this.windowHandler = new WindowHandler(this);
         this.dragHandler = new DragHandler(this);
         this.resizeHandler = new ResizeHandler(this);
+        this._snapAssist = new SnapAssist(this);
+        this.stackManager = new StackManager(this);
+        this.reorderingManager.setStackManager(this.stackManager);
+        this.snapshotManager = new SnapshotManager(this);
+        this.scratchpadManager = new ScratchpadManager(this);
+        this.focusZoom = new FocusZoom(this);
 
         // Initialize Quick Settings indicator
         this._mosaicIndicator = new MosaicIndicator(this);
@@ -234,6 +397,17 @@ export default class WindowMosaicExtension extends Extension {
             this._settingsOverrider.add(mutterKeybindings, 'toggle-tiled-right', emptyArray);
         }
 
+        // Our workspace and monitor moves replace the stock ones sharing an accelerator with them
+        const wmKeybindings = new Gio.Settings({ schema_id: 'org.gnome.desktop.wm.keybindings' });
+        for (const key of [...MOVE_TO_WORKSPACE_KEYBINDINGS, ...MOVE_TO_MONITOR_KEYBINDINGS]) {
+            const ours = this._settings.get_strv(key);
+            const stock = wmKeybindings.get_strv(key);
+            const remaining = stock.filter(accel => !ours.includes(accel));
+            if (remaining.length !== stock.length) {
+                this._settingsOverrider.add(wmKeybindings, key, new GLib.Variant('as', remaining));
+            }
+        }
+
         // Override Overview layout to preserve mosaic positions
         this._injectionManager = new InjectionManager();
         const layoutProto = Workspace.WorkspaceLayout.prototype;
@@ -250,7 +424,7 @@ export default class WindowMosaicExtension extends Extension {
                     }
                 }
 
-                const isEnabled = workspace ? !extension._disabledWorkspaceStates.get(workspace) : true;
+                const isEnabled = workspace ? extension.isMosaicEnabledForWorkspace(workspace) : true;
 
                 // Determine if we should use Mosaic or Fallback to Native
                 let useMosaic = isEnabled;
@@ -296,6 +470,11 @@ export default class WindowMosaicExtension extends Extension {
 
         this._workspaceManEventIds.push(global.workspace_manager.connect("active-workspace-changed", this._workspaceSwitchedHandler));
         this._workspaceManEventIds.push(global.workspace_manager.connect("workspace-added", this._workspaceAddSignal));
+        // Per-workspace state follows the workspace object; only the saved indices need updating
+        this._workspaceManEventIds.push(global.workspace_manager.connect("workspaces-reordered", () => {
+            this.layoutStateManager?.scheduleSave();
+            this._mosaicIndicator?.refresh();
+        }));
 
         let nWorkspaces = this._workspaceManager.get_n_workspaces();
         for(let i = 0; i < nWorkspaces; i++) {
@@ -311,7 +490,7 @@ export default class WindowMosaicExtension extends Extension {
             let windows = workspace.list_windows();
             for (let window of windows) {
                 // Initialize preferredSize if not set (for veteran windows)
-                if (this.windowingManager.isRelated(window)) {
+                if (this.windowingManager.isRelated(window) && !WindowState.has(window, 'preferredSize')) {
                     this.tilingManager.savePreferredSize(window);
                 }
 
@@ -320,12 +499,54 @@ export default class WindowMosaicExtension extends Extension {
             }
         }
 
+        // Geometry-affecting settings need a retile to become visible
+        this._appliedGaps = { inner: constants.WINDOW_SPACING, outer: constants.OUTER_MARGIN };
+        for (const key of ['window-spacing', 'outer-margin', 'min-window-width', 'min-window-height', 'master-ratio']) {
+            this._settingsChangedIds.push(this._settings.connect(`changed::${key}`, () => {
+                this._onGapsChanged();
+                this.tilingManager.invalidateLayoutCache();
+                this._tileAllWorkspaces();
+            }));
+        }
+
+        // Other scoring weights or incremental relayout can settle on another window order
+        for (const key of ['incremental-layout', ...Object.keys(constants.LAYOUT_WEIGHTS).map(name => `score-${name}`)]) {
+            this._settingsChangedIds.push(this._settings.connect(`changed::${key}`, () => {
+                this.tilingManager.invalidateLayoutCache();
+                this._tileAllWorkspaces();
+            }));
+        }
+
+        this.layoutStateManager.connectSignals();
+
+        // Records layout changes for undo/redo once they settle
+        this.layoutHistory = new LayoutHistory(this);
+        this.layoutHistory.connectSignals();
+
+        // Edited rules may float or re-include windows that are already open
+        this._windowRulesChangedId = this.windowRulesManager.connect('rules-changed', () => {
+            for (const window of global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null))
+                this.windowHandler.handleExclusionStateChange(window);
+        });
+
+        // Edited zones move the windows snapped to them and free the space of removed ones
+        this._snapZonesChangedId = this.snapZoneManager.connect('zones-changed', () => {
+            this.edgeTilingManager.reapplySnapZones();
+            this._tileAllWorkspaces();
+        });
+
+        // Scripting entry point (org.gnome.Shell.Extensions.MosaicWM)
+        this._dbusService = new DBusService(this);
+
         Logger.log('About to call _setupKeybindings()');
         this._setupKeybindings();
         Logger.log('_setupKeybindings() completed');
 
         // Use GLib.timeout_add for better GJS integration
         GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.STARTUP_TILE_DELAY_MS, () => {
+            if (!this.layoutStateManager) return GLib.SOURCE_REMOVE;
+            this.layoutStateManager.restoreEdgeTiles();
+            this.layoutStateManager.restoreStacks();
             this._tileAllWorkspaces();
             return GLib.SOURCE_REMOVE;
         });
@@ -334,7 +555,7 @@ export default class WindowMosaicExtension extends Extension {
     _setupKeybindings() {
         Logger.log('*** _setupKeybindings called ***');
 
-        const settings = this.getSettings('org.gnome.shell.extensions.mosaic-wm');
+        const settings = this._settings;
 
         Main.wm.addKeybinding('tile-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._tileActiveWindow(TileZone.LEFT_FULL));
@@ -342,6 +563,12 @@ export default class WindowMosaicExtension extends Extension {
         Main.wm.addKeybinding('tile-right', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._tileActiveWindow(TileZone.RIGHT_FULL));
 
+        Main.wm.addKeybinding('tile-top', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._tileActiveWindow(TileZone.TOP_FULL));
+
+        Main.wm.addKeybinding('tile-bottom', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._tileActiveWindow(TileZone.BOTTOM_FULL));
+
         Main.wm.addKeybinding('tile-top-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._tileActiveWindow(TileZone.TOP_LEFT));
 
@@ -354,6 +581,11 @@ export default class WindowMosaicExtension extends Extension {
         Main.wm.addKeybinding('tile-bottom-right', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._tileActiveWindow(TileZone.BOTTOM_RIGHT));
 
+        for (let n = 1; n <= SNAP_ZONE_KEYBINDING_COUNT; n++) {
+            Main.wm.addKeybinding(`tile-snap-zone-${n}`, settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+                () => this._tileActiveWindow(SNAP_ZONE_BASE + n - 1));
+        }
+
         Logger.log('Registering swap-left keybinding');
         Main.wm.addKeybinding('swap-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._swapActiveWindow('left'));
@@ -370,7 +602,55 @@ export default class WindowMosaicExtension extends Extension {
         Main.wm.addKeybinding('swap-down', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
             () => this._swapActiveWindow('down'));
 
+        Main.wm.addKeybinding('focus-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._focusInDirection('left'));
+        Main.wm.addKeybinding('focus-right', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._focusInDirection('right'));
+        Main.wm.addKeybinding('focus-up', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._focusInDirection('up'));
+        Main.wm.addKeybinding('focus-down', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._focusInDirection('down'));
+
+        Main.wm.addKeybinding('move-to-workspace-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._moveActiveWindowToWorkspace(index => index - 1));
+        Main.wm.addKeybinding('move-to-workspace-right', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._moveActiveWindowToWorkspace(index => index + 1));
+        for (let n = 1; n <= MOVE_TO_WORKSPACE_COUNT; n++) {
+            Main.wm.addKeybinding(`move-to-workspace-${n}`, settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+                () => this._moveActiveWindowToWorkspace(() => n - 1));
+        }
+
+        Main.wm.addKeybinding('move-to-monitor-left', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._moveActiveWindowToMonitor(Meta.DisplayDirection.LEFT));
+        Main.wm.addKeybinding('move-to-monitor-right', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._moveActiveWindowToMonitor(Meta.DisplayDirection.RIGHT));
+
         Logger.log('All swap keybindings registered successfully');
+
+        Main.wm.addKeybinding('toggle-master-stack', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._toggleMasterStack());
+
+        Main.wm.addKeybinding('stack-next', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._cycleActiveStack(1));
+        Main.wm.addKeybinding('stack-previous', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._cycleActiveStack(-1));
+        Main.wm.addKeybinding('unstack-window', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._unstackActiveWindow());
+
+        Main.wm.addKeybinding('undo-layout', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this.layoutHistory.undo());
+        Main.wm.addKeybinding('redo-layout', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this.layoutHistory.redo());
+
+        Main.wm.addKeybinding('save-layout-snapshot', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._saveWorkspaceSnapshot());
+        Main.wm.addKeybinding('restore-layout-snapshot', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this._restoreWorkspaceSnapshot());
+
+        Main.wm.addKeybinding('toggle-scratchpad', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this.scratchpadManager.toggle());
+        Main.wm.addKeybinding('mark-scratchpad', settings, Meta.KeyBindingFlags.NONE, Shell.ActionMode.NORMAL,
+            () => this.scratchpadManager.toggleMark(global.display.focus_window));
         Logger.log('Keyboard shortcuts registered');
     }
 
@@ -391,9 +671,48 @@ export default class WindowMosaicExtension extends Extension {
         const workArea = workspace.get_work_area_for_monitor(monitor);
 
         Logger.log(`Keyboard shortcut: tiling window ${window.get_id()} to zone ${zone}`);
+        // Edge tiles are single windows, the rest of its stack stays in the mosaic
+        this.stackManager.removeFromStack(window, false);
         this.edgeTilingManager.applyTile(window, zone, workArea);
     }
 
+    // Keyboard snapshots use one slot per workspace, named after it
+    _getWorkspaceSnapshotName(workspace) {
+        return `Workspace ${workspace.index() + 1}`;
+    }
+
+    _saveWorkspaceSnapshot() {
+        const workspace = global.workspace_manager.get_active_workspace();
+        this.snapshotManager.save(workspace, this._getWorkspaceSnapshotName(workspace));
+    }
+
+    _restoreWorkspaceSnapshot() {
+        const workspace = global.workspace_manager.get_active_workspace();
+        this.snapshotManager.restore(workspace, this._getWorkspaceSnapshotName(workspace));
+    }
+
+    _toggleMasterStack() {
+        const workspace = global.workspace_manager.get_active_workspace();
+        const layout = this.getWorkspaceLayout(workspace) === LayoutMode.MASTER_STACK
+            ? LayoutMode.MOSAIC
+            : LayoutMode.MASTER_STACK;
+        this.setWorkspaceLayout(workspace, layout);
+    }
+
+    _cycleActiveStack(step) {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow || !this.stackManager.cycle(focusedWindow, step)) {
+            Logger.log('STACK: Focused window is not in a stack');
+        }
+    }
+
+    _unstackActiveWindow() {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow || !this.stackManager.removeFromStack(focusedWindow)) {
+            Logger.log('STACK: Focused window is not in a stack');
+        }
+    }
+
     _swapActiveWindow(direction) {
         Logger.log(`*** SWAP SHORTCUT TRIGGERED *** Direction: ${direction}`);
         const focusedWindow = global.display.get_focus_window();
@@ -413,9 +732,68 @@ export default class WindowMosaicExtension extends Extension {
         Logger.log(`SWAP: swapWindow call completed`);
     }
 
+    _focusInDirection(direction) {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow || !this.windowingManager.isRelated(focusedWindow)) {
+            Logger.log('FOCUS: No focused window to navigate from');
+            return;
+        }
+
+        this.swappingManager.focusWindow(focusedWindow, direction, constants.FOCUS_WRAP_MONITORS);
+    }
+
+    // targetIndex maps the current workspace index to the destination index
+    _moveActiveWindowToWorkspace(targetIndex) {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow || !this.windowingManager.isRelated(focusedWindow) || focusedWindow.is_on_all_workspaces()) {
+            Logger.log('MOVE: No focused window to move');
+            return;
+        }
+
+        const workspaceManager = global.workspace_manager;
+        const index = targetIndex(focusedWindow.get_workspace().index());
+        if (index < 0 || index >= workspaceManager.get_n_workspaces()) {
+            Logger.log(`MOVE: No workspace at index ${index}`);
+            return;
+        }
+
+        this.windowHandler.moveWindowToWorkspace(focusedWindow, workspaceManager.get_workspace_by_index(index));
+    }
+
+    _moveActiveWindowToMonitor(direction) {
+        const focusedWindow = global.display.get_focus_window();
+        if (!focusedWindow || !this.windowingManager.isRelated(focusedWindow)) {
+            Logger.log('MOVE: No focused window to move');
+            return;
+        }
+
+        const monitor = global.display.get_monitor_neighbor_index(focusedWindow.get_monitor(), direction);
+        if (monitor < 0) {
+            Logger.log('MOVE: No monitor in that direction');
+            return;
+        }
+
+        this.windowHandler.moveWindowToMonitor(focusedWindow, monitor);
+    }
+
     disable() {
         Logger.log('Disabling extension');
 
+        // Persist before managers tear down their per-window state
+        if (this.layoutStateManager) {
+            this.layoutStateManager.save();
+            this.layoutStateManager.destroy();
+            this.layoutStateManager = null;
+        }
+        if (this.layoutHistory) {
+            this.layoutHistory.destroy();
+            this.layoutHistory = null;
+        }
+        if (this.focusZoom) {
+            this.focusZoom.destroy();
+            this.focusZoom = null;
+        }
+
         // Clear all managed timeouts first
         if (this._timeoutRegistry) {
             this._timeoutRegistry.clearAll();
@@ -445,17 +823,87 @@ export default class WindowMosaicExtension extends Extension {
 
         Main.wm.removeKeybinding('tile-left');
         Main.wm.removeKeybinding('tile-right');
+        Main.wm.removeKeybinding('tile-top');
+        Main.wm.removeKeybinding('tile-bottom');
         Main.wm.removeKeybinding('tile-top-left');
         Main.wm.removeKeybinding('tile-top-right');
         Main.wm.removeKeybinding('tile-bottom-left');
         Main.wm.removeKeybinding('tile-bottom-right');
+        for (let n = 1; n <= SNAP_ZONE_KEYBINDING_COUNT; n++) {
+            Main.wm.removeKeybinding(`tile-snap-zone-${n}`);
+        }
         Main.wm.removeKeybinding('swap-left');
         Main.wm.removeKeybinding('swap-right');
         Main.wm.removeKeybinding('swap-up');
         Main.wm.removeKeybinding('swap-down');
+        Main.wm.removeKeybinding('focus-left');
+        Main.wm.removeKeybinding('focus-right');
+        Main.wm.removeKeybinding('focus-up');
+        Main.wm.removeKeybinding('focus-down');
+        for (const key of [...MOVE_TO_WORKSPACE_KEYBINDINGS, ...MOVE_TO_MONITOR_KEYBINDINGS]) {
+            Main.wm.removeKeybinding(key);
+        }
+        Main.wm.removeKeybinding('toggle-master-stack');
+        Main.wm.removeKeybinding('stack-next');
+        Main.wm.removeKeybinding('stack-previous');
+        Main.wm.removeKeybinding('unstack-window');
+        Main.wm.removeKeybinding('undo-layout');
+        Main.wm.removeKeybinding('redo-layout');
+        Main.wm.removeKeybinding('save-layout-snapshot');
+        Main.wm.removeKeybinding('restore-layout-snapshot');
+        Main.wm.removeKeybinding('toggle-scratchpad');
+        Main.wm.removeKeybinding('mark-scratchpad');
         Logger.log('Keyboard shortcuts removed');
 
+        if (this._settings) {
+            for (const id of this._settingsChangedIds)
+                this._settings.disconnect(id);
+            this._settingsChangedIds = [];
+            constants.unbindSettings();
+            this._settings = null;
+        }
+
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
+
+        if (this.windowRulesManager) {
+            if (this._windowRulesChangedId) {
+                this.windowRulesManager.disconnect(this._windowRulesChangedId);
+                this._windowRulesChangedId = 0;
+            }
+            this.windowRulesManager.destroy();
+            this.windowRulesManager = null;
+        }
+
+        if (this.snapZoneManager) {
+            if (this._snapZonesChangedId) {
+                this.snapZoneManager.disconnect(this._snapZonesChangedId);
+                this._snapZonesChangedId = 0;
+            }
+            this.snapZoneManager.destroy();
+            this.snapZoneManager = null;
+        }
+
         if (this.dragHandler) this.dragHandler.destroy();
+        if (this._snapAssist) {
+            this._snapAssist.destroy();
+            this._snapAssist = null;
+        }
+        if (this.snapshotManager) {
+            this.snapshotManager.destroy();
+            this.snapshotManager = null;
+        }
+        if (this.scratchpadManager) {
+            this.scratchpadManager.destroy();
+            this.scratchpadManager = null;
+        }
+        // Shows the hidden windows of every stack again
+        if (this.stackManager) {
+            this.stackManager.destroy();
+            this.stackManager = null;
+        }
 
         if (this.edgeTilingManager) this.edgeTilingManager.destroy();
         if (this.drawingManager) this.drawingManager.destroy();
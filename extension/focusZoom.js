@@ -0,0 +1,106 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Focus zoom: the focused tile grows toward its preferred size while it has focus
+
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import { LayoutMode } from './constants.js';
+import * as WindowState from './windowState.js';
+import { createDebounced } from './timing.js';
+
+// Follows the focused window and hands it to TilingManager, which grows it as far as the
+// mosaic allows when retiling (_applyFocusZoom) and gives the previous one its size back.
+// The retile goes through the usual animated path, so zooming eases like any other reflow.
+export const FocusZoom = GObject.registerClass({
+    GTypeName: 'MosaicFocusZoom',
+}, class FocusZoom extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._zoomed = null; // { window, workspace, monitor }
+
+        this._update = createDebounced(() => this._sync(),
+            constants.FOCUS_ZOOM_DELAY_MS, this._timeoutRegistry);
+
+        this._focusId = global.display.connect('notify::focus-window', () => this._update());
+        this._settingsId = this._settings.connect('changed::focus-zoom', () => this._update());
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get _settings() { return this._ext._settings; }
+    get _timeoutRegistry() { return this._ext._timeoutRegistry; }
+
+    // The focused window if it's a tile of a mosaic workspace, null otherwise
+    _getTarget() {
+        if (!constants.FOCUS_ZOOM) return null;
+
+        const window = global.display.focus_window;
+        if (!window || !this.windowingManager.isRelated(window)) return null;
+        if (this.windowingManager.isExcluded(window) || this.windowingManager.isMaximizedOrFullscreen(window))
+            return null;
+        if (this.edgeTilingManager.isEdgeTiled(window)) return null;
+
+        const workspace = window.get_workspace();
+        if (!workspace || !this._ext.isMosaicEnabledForWorkspace(workspace)) return null;
+        if (this._ext.getWorkspaceLayout(workspace) !== LayoutMode.MOSAIC) return null;
+        return window;
+    }
+
+    _sync() {
+        // Wait for drags and smart resizes to finish, they own the sizes meanwhile
+        if (this.tilingManager.isDragging || this.tilingManager.isSmartResizeActive) {
+            this._update();
+            return;
+        }
+
+        const window = this._getTarget();
+        const previous = this._zoomed;
+        if (window === previous?.window) return;
+
+        this.tilingManager.setFocusZoomWindow(window);
+        this._zoomed = window ? { window, workspace: window.get_workspace(), monitor: window.get_monitor() } : null;
+
+        if (previous && previous.workspace.index() >= 0 &&
+            (previous.workspace !== this._zoomed?.workspace || previous.monitor !== this._zoomed?.monitor)) {
+            Logger.log(`[FOCUS ZOOM] Releasing window ${previous.window.get_id()}`);
+            this.tilingManager.tileWorkspaceWindows(previous.workspace, null, previous.monitor, true);
+        }
+        if (window) {
+            Logger.log(`[FOCUS ZOOM] Zooming window ${window.get_id()}`);
+            // With focus following the mouse the window isn't raised by itself
+            window.raise();
+            this.tilingManager.tileWorkspaceWindows(this._zoomed.workspace, null, this._zoomed.monitor, true);
+        }
+    }
+
+    destroy() {
+        this._update.cancel();
+        if (this._focusId) {
+            global.display.disconnect(this._focusId);
+            this._focusId = 0;
+        }
+        if (this._settingsId) {
+            this._settings.disconnect(this._settingsId);
+            this._settingsId = 0;
+        }
+
+        // Give the zoomed window its own size back
+        if (this._zoomed) {
+            const { window } = this._zoomed;
+            const base = WindowState.get(window, 'focusZoomBaseSize');
+            if (base && window.get_compositor_private()) {
+                const frame = window.get_frame_rect();
+                window.move_resize_frame(true, frame.x, frame.y, base.width, base.height);
+            }
+            WindowState.remove(window, 'focusZoomBaseSize');
+            this._zoomed = null;
+        }
+        this.tilingManager?.setFocusZoomWindow(null);
+        this._ext = null;
+    }
+});
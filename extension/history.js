@@ -0,0 +1,269 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Undo/redo history of layout-changing operations
+
+import Meta from 'gi://Meta';
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import { TileZone } from './constants.js';
+import * as WindowState from './windowState.js';
+import { createDebounced, afterAnimations } from './timing.js';
+
+// Operations don't report themselves: swaps, edge tiles, overflow moves, smart resizes and
+// drag reorders all end up in a 'mosaic-changed', 'edge-tiling-changed' or 'window-overflowed'.
+// Once those settle, the layout is snapshotted and compared with the previous snapshot, so
+// a drag with its whole overflow cascade becomes a single history entry.
+export const LayoutHistory = GObject.registerClass({
+    GTypeName: 'MosaicLayoutHistory',
+}, class LayoutHistory extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._signalIds = [];
+        this._undoStack = [];
+        this._redoStack = [];
+        this._baseline = null;  // Last settled layout
+        this._restoring = false;
+
+        this._scheduleSnapshot = createDebounced(() => this._onSettled(),
+            constants.HISTORY_SETTLE_DELAY_MS, this._ext._timeoutRegistry);
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get animationsManager() { return this._ext.animationsManager; }
+    get _timeoutRegistry() { return this._ext._timeoutRegistry; }
+
+    connectSignals() {
+        this._signalIds.push([this.tilingManager,
+            this.tilingManager.connect('mosaic-changed', () => this._scheduleSnapshot())]);
+        this._signalIds.push([this.edgeTilingManager,
+            this.edgeTilingManager.connect('edge-tiling-changed', () => this._scheduleSnapshot())]);
+        this._signalIds.push([this.windowingManager,
+            this.windowingManager.connect('window-overflowed', () => this._scheduleSnapshot())]);
+    }
+
+    _isBusy() {
+        return this.tilingManager.isDragging || this.tilingManager.isSmartResizeActive ||
+            this._ext._overflowInProgress;
+    }
+
+    // Tiled windows of mosaic-enabled workspaces; everything else is left alone
+    _listWindows() {
+        return global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null).filter(w =>
+            this.windowingManager.isRelated(w) &&
+            !this.windowingManager.isExcluded(w) &&
+            !this.windowingManager.isMaximizedOrFullscreen(w) &&
+            w.get_workspace() &&
+            this._ext.isMosaicEnabledForWorkspace(w.get_workspace()));
+    }
+
+    _capture() {
+        const windows = new Map();
+        for (const window of this._listWindows()) {
+            // Focus zoom is temporary, record the size the window goes back to
+            const frame = WindowState.get(window, 'focusZoomBaseSize') ?? window.get_frame_rect();
+            const edgeState = this.edgeTilingManager.getWindowState(window);
+            const preferredSize = WindowState.get(window, 'preferredSize');
+            windows.set(window, {
+                workspace: window.get_workspace().index(),
+                monitor: window.get_monitor(),
+                x: frame.x,
+                y: frame.y,
+                width: frame.width,
+                height: frame.height,
+                zone: edgeState?.zone ?? TileZone.NONE,
+                edgeState: edgeState ? { ...edgeState } : null,
+                preferredSize: preferredSize ? { ...preferredSize } : null,
+            });
+        }
+
+        const swaps = [];
+        const workspaceManager = global.workspace_manager;
+        for (let i = 0; i < workspaceManager.get_n_workspaces(); i++) {
+            const workspace = workspaceManager.get_workspace_by_index(i);
+            swaps.push((workspace.swaps ?? []).map(swap => [...swap]));
+        }
+        return { windows, swaps };
+    }
+
+    // What changed between two snapshots, for windows present in both
+    _describeChanges(before, after) {
+        const changes = new Set();
+        for (const [window, a] of after.windows) {
+            const b = before.windows.get(window);
+            if (!b) continue;
+            if (a.workspace !== b.workspace) changes.add('workspace');
+            if (a.monitor !== b.monitor) changes.add('monitor');
+            if (a.zone !== b.zone) changes.add('zone');
+            else if (a.width !== b.width || a.height !== b.height)
+                changes.add('size');
+        }
+        for (let i = 0; i < Math.min(before.swaps.length, after.swaps.length); i++) {
+            if (JSON.stringify(before.swaps[i]) !== JSON.stringify(after.swaps[i]))
+                changes.add('order');
+        }
+        return [...changes];
+    }
+
+    _onSettled() {
+        if (this._isBusy()) {
+            this._scheduleSnapshot();
+            return;
+        }
+
+        const current = this._capture();
+        const before = this._baseline;
+        this._baseline = current;
+
+        // The layout we just went back or forward to is not a new operation
+        if (this._restoring) {
+            this._restoring = false;
+            return;
+        }
+        if (!before) return;
+
+        const changes = this._describeChanges(before, current);
+        if (changes.length === 0) return;
+
+        this._undoStack.push({ before, after: current });
+        if (this._undoStack.length > constants.HISTORY_LIMIT)
+            this._undoStack.shift();
+        this._redoStack = [];
+        Logger.log(`[HISTORY] Recorded ${changes.join(', ')} change (${this._undoStack.length} undoable)`);
+    }
+
+    // Record anything still settling so undo applies to the latest operation
+    _flush() {
+        this._scheduleSnapshot.cancel();
+        if (!this._restoring && !this._isBusy())
+            this._onSettled();
+    }
+
+    undo() {
+        this._flush();
+        const entry = this._undoStack.pop();
+        if (!entry) {
+            Logger.log('[HISTORY] Nothing to undo');
+            return false;
+        }
+        this._redoStack.push(entry);
+        Logger.log(`[HISTORY] Undo (${this._undoStack.length} left)`);
+        this._apply(entry.before);
+        return true;
+    }
+
+    redo() {
+        this._flush();
+        const entry = this._redoStack.pop();
+        if (!entry) {
+            Logger.log('[HISTORY] Nothing to redo');
+            return false;
+        }
+        this._undoStack.push(entry);
+        Logger.log(`[HISTORY] Redo (${this._redoStack.length} left)`);
+        this._apply(entry.after);
+        return true;
+    }
+
+    // Put every window that still exists back to its workspace, zone and size in snapshot,
+    // restore the swap order and retile whatever was touched
+    _apply(snapshot) {
+        this._restoring = true;
+        const workspaceManager = global.workspace_manager;
+        const live = new Set(this._listWindows());
+        const retiles = new Map();
+        const edgeFrames = [];
+        const queueRetile = (workspace, monitor) =>
+            retiles.set(`${workspace.index()}:${monitor}`, [workspace, monitor]);
+
+        for (const [window, saved] of snapshot.windows) {
+            if (!live.has(window)) continue;
+            queueRetile(window.get_workspace(), window.get_monitor());
+
+            // Overflow and monitor moves can have sent the window to another monitor
+            if (saved.monitor !== window.get_monitor() && saved.monitor < global.display.get_n_monitors()) {
+                Logger.log(`[HISTORY] Moving window ${window.get_id()} back to monitor ${saved.monitor}`);
+                window.move_to_monitor(saved.monitor);
+                queueRetile(window.get_workspace(), saved.monitor);
+            }
+            const monitor = window.get_monitor();
+
+            const target = workspaceManager.get_workspace_by_index(saved.workspace);
+            if (target && target !== window.get_workspace()) {
+                Logger.log(`[HISTORY] Moving window ${window.get_id()} back to workspace ${saved.workspace}`);
+                // Same path as keyboard moves, so the fit and overflow heuristics stay out of it
+                WindowState.set(window, 'movedByKeybinding', true);
+                window.change_workspace(target);
+                WindowState.remove(window, 'movedByKeybinding');
+                WindowState.set(window, 'previousWorkspace', saved.workspace);
+                queueRetile(target, monitor);
+            }
+
+            const zone = this.edgeTilingManager.getWindowState(window)?.zone ?? TileZone.NONE;
+            if (saved.zone !== zone) {
+                if (saved.zone === TileZone.NONE) {
+                    this.edgeTilingManager.removeTile(window);
+                } else {
+                    // Keep the pre-tile geometry so untiling returns the window to where it was
+                    if (!this.edgeTilingManager.getWindowState(window) && saved.edgeState)
+                        WindowState.set(window, 'edgeTilingState', { ...saved.edgeState, zone: TileZone.NONE });
+                    const workArea = window.get_workspace().get_work_area_for_monitor(monitor);
+                    this.edgeTilingManager.applyTile(window, saved.zone, workArea, true);
+                }
+            }
+
+            // Edge tiles keep their place, but a resized half or quarter has to get its size back.
+            // Done after applyTile has placed the window, which happens on idle.
+            if (saved.zone !== TileZone.NONE) {
+                edgeFrames.push([window, saved]);
+                continue;
+            }
+
+            if (saved.preferredSize)
+                WindowState.set(window, 'preferredSize', { ...saved.preferredSize });
+            const frame = window.get_frame_rect();
+            if (frame.width !== saved.width || frame.height !== saved.height)
+                window.move_resize_frame(true, frame.x, frame.y, saved.width, saved.height);
+        }
+
+        for (let i = 0; i < Math.min(snapshot.swaps.length, workspaceManager.get_n_workspaces()); i++) {
+            const workspace = workspaceManager.get_workspace_by_index(i);
+            if (JSON.stringify(workspace.swaps ?? []) === JSON.stringify(snapshot.swaps[i])) continue;
+            workspace.swaps = snapshot.swaps[i].map(swap => [...swap]);
+            for (let monitor = 0; monitor < global.display.get_n_monitors(); monitor++)
+                queueRetile(workspace, monitor);
+        }
+
+        afterAnimations(this.animationsManager, () => {
+            for (const [window, saved] of edgeFrames) {
+                if (!window.get_workspace() || this.edgeTilingManager.getWindowState(window)?.zone !== saved.zone)
+                    continue;
+                const frame = window.get_frame_rect();
+                if (frame.x !== saved.x || frame.y !== saved.y || frame.width !== saved.width || frame.height !== saved.height)
+                    window.move_resize_frame(false, saved.x, saved.y, saved.width, saved.height);
+            }
+            for (const [workspace, monitor] of retiles.values()) {
+                if (workspace.index() >= 0)
+                    this.tilingManager.tileWorkspaceWindows(workspace, null, monitor, false);
+            }
+            // Take the new baseline even if nothing ended up moving
+            this._scheduleSnapshot();
+        }, this._timeoutRegistry);
+    }
+
+    destroy() {
+        this._scheduleSnapshot.cancel();
+        for (const [object, id] of this._signalIds)
+            object.disconnect(id);
+        this._signalIds = [];
+        this._undoStack = [];
+        this._redoStack = [];
+        this._baseline = null;
+        this._ext = null;
+    }
+});
@@ -0,0 +1,1021 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Mosaic layout engine - pure packing logic with no Shell dependencies.
+// Works on plain {id, width, height} descriptors and a {x, y, width, height} work area;
+// placements are written back to each descriptor as targetX/targetY. Only the
+// master/stack layout resizes windows, by overwriting width/height as well.
+// Descriptors may also carry where the window is (x/y) and, for incremental relayouts,
+// where the previous layout put it: previous = {x, y, index} with index its packing order.
+
+import * as Logger from './logger.js';
+
+// A row (horizontal shelves) or column (vertical shelves) of windows
+export class Level {
+    constructor(work_area) {
+        this.x = 0;
+        this.y = 0;
+        this.width = 0;
+        this.height = 0;
+        this.windows = [];
+        this.work_area = work_area;
+    }
+}
+
+// Generate limited permutations for performance
+export function generatePermutations(arr, maxPermutations = 120) {
+    if (arr.length <= 1) return [arr];
+    if (arr.length === 2) return [arr, [arr[1], arr[0]]];
+    
+    // Use heuristic orderings for 6+ windows
+    if (arr.length >= 6) {
+        const byAreaDesc = [...arr].sort((a, b) => (b.width * b.height) - (a.width * a.height));
+        const byAreaAsc = [...arr].sort((a, b) => (a.width * a.height) - (b.width * b.height));
+        const byWidthDesc = [...arr].sort((a, b) => b.width - a.width);
+        const byHeightDesc = [...arr].sort((a, b) => b.height - a.height);
+        return [arr, byAreaDesc, byAreaAsc, byWidthDesc, byHeightDesc];
+    }
+    
+    // Generate all permutations using Heap's algorithm
+    const result = [];
+    const heap = (n, arr) => {
+        if (n === 1) {
+            result.push([...arr]);
+            return;
+        }
+        for (let i = 0; i < n; i++) {
+            heap(n - 1, arr);
+            if (result.length >= maxPermutations) return;
+            if (n % 2 === 0) {
+                [arr[i], arr[n - 1]] = [arr[n - 1], arr[i]];
+            } else {
+                [arr[0], arr[n - 1]] = [arr[n - 1], arr[0]];
+            }
+        }
+    };
+    heap(arr.length, [...arr]);
+    return result;
+}
+
+// What a layout is scored on. Each objective rates a layout from 0 (worst) to 1 (best)
+// and scoreLayout adds them up by weight, so objectives compose by giving them a weight.
+export const Objective = {
+    COMPACTNESS: 'compactness',         // Window area over bounding box area
+    CENTRALIZATION: 'centralization',   // Bounding box centred in the work area
+    SIZE_EFFICIENCY: 'size-efficiency', // Small bounding box
+    DISPLACEMENT: 'displacement',       // Windows stay near where they are (previous or x/y)
+    ORDER_STABILITY: 'order-stability', // Windows keep the order they were given in
+};
+
+export const DEFAULT_WEIGHTS = {
+    [Objective.COMPACTNESS]: 50,
+    [Objective.CENTRALIZATION]: 30,
+    [Objective.SIZE_EFFICIENCY]: 20,
+    [Objective.DISPLACEMENT]: 0,
+    [Objective.ORDER_STABILITY]: 0,
+};
+
+// Each objective gets the placed windows ({ w, x, y } in packing order), their bounding
+// box, the work area and the order the windows were given in
+const OBJECTIVES = {
+    [Objective.COMPACTNESS]: ({ placed, bbox }) => {
+        const totalArea = placed.reduce((sum, { w }) => sum + w.width * w.height, 0);
+        return totalArea / Math.max(bbox.width * bbox.height, 1);
+    },
+    [Objective.CENTRALIZATION]: ({ bbox, workArea }) => {
+        const centerDist = Math.hypot(
+            bbox.x + bbox.width / 2 - (workArea.x + workArea.width / 2),
+            bbox.y + bbox.height / 2 - (workArea.y + workArea.height / 2));
+        return 1 - centerDist / (Math.hypot(workArea.width, workArea.height) / 2);
+    },
+    [Objective.SIZE_EFFICIENCY]: ({ bbox, workArea }) =>
+        1 - (bbox.width * bbox.height) / (workArea.width * workArea.height),
+    // Mean distance travelled from the previous placement (or from where the window is),
+    // relative to the work area's diagonal
+    [Objective.DISPLACEMENT]: ({ placed, workArea }) => {
+        const moved = placed.map(({ w, x, y }) => ({ x, y, from: w.previous ?? w }))
+            .filter(({ from }) => Number.isFinite(from.x) && Number.isFinite(from.y));
+        if (moved.length === 0) return 1;
+        const distance = moved.reduce((sum, { x, y, from }) => sum + Math.hypot(x - from.x, y - from.y), 0);
+        return Math.max(0, 1 - distance / moved.length / Math.hypot(workArea.width, workArea.height));
+    },
+    // Share of window pairs still in the given relative order
+    [Objective.ORDER_STABILITY]: ({ placed, order }) => {
+        if (!order || placed.length < 2) return 1;
+        const rank = new Map(order.map((w, i) => [w.id, i]));
+        let inversions = 0;
+        for (let i = 0; i < placed.length; i++) {
+            for (let j = i + 1; j < placed.length; j++) {
+                if (rank.get(placed[i].w.id) > rank.get(placed[j].w.id)) inversions++;
+            }
+        }
+        return 1 - inversions / (placed.length * (placed.length - 1) / 2);
+    },
+};
+
+// Score a layout result - higher is better, -Infinity when it overflows.
+// weights maps Objective names to their weight; order is the order the windows came in.
+export function scoreLayout(tileResult, workArea, weights = DEFAULT_WEIGHTS, order = null) {
+    if (!tileResult || tileResult.overflow) return -Infinity;
+    
+    const placed = [];
+    let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
+    for (const level of tileResult.levels) {
+        for (const w of level.windows) {
+            const x = w.targetX || level.x;
+            const y = w.targetY || level.y;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + w.width);
+            maxY = Math.max(maxY, y + w.height);
+            placed.push({ w, x, y });
+        }
+    }
+    
+    if (minX === Infinity) return -Infinity;
+    
+    const context = {
+        placed, workArea, order,
+        bbox: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+    };
+    let score = 0;
+    for (const [name, weight] of Object.entries(weights)) {
+        if (weight && OBJECTIVES[name])
+            score += weight * OBJECTIVES[name](context);
+    }
+    return score;
+}
+
+// Window counts up to this get every order tried (5! = 120); larger ones are searched
+const EXHAUSTIVE_MAX_WINDOWS = 5;
+// Default search time for larger window sets, in milliseconds of compositor time
+export const SEARCH_BUDGET_MS = 4;
+// Local search gives up early after this many moves without a better order
+const SEARCH_MAX_STALE_MOVES = 400;
+// Score drop a move may still be accepted with at the start of a search; cools to 0
+const SEARCH_START_TEMPERATURE = 2;
+// Least displacement weight of incremental relayouts, so placed windows only move for a
+// clearly better layout
+const INCREMENTAL_DISPLACEMENT_WEIGHT = 60;
+// Least order-stability weight of incremental relayouts, measured against the previous
+// packing order: windows reflowing into new rows keep their order instead of swapping
+const INCREMENTAL_ORDER_WEIGHT = 100;
+
+// Best orders of recent searches as window ids, most recent last. Keyed by orientation,
+// spacing, work area and the windows in the order given (ties keep it, so swaps count);
+// orders found for other window sets seed new searches.
+const ORDER_CACHE_SIZE = 32;
+const _orderCache = new Map(); // key -> { area, ids }
+
+export function clearOrderCache() {
+    _orderCache.clear();
+}
+
+// Small seeded generator (mulberry32) so the same windows are searched the same way
+function seededRandom(seedText) {
+    let seed = 0;
+    for (let i = 0; i < seedText.length; i++)
+        seed = (Math.imul(seed, 31) + seedText.charCodeAt(i)) | 0;
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Order of the cached search sharing most windows with this one, windows it didn't
+// know appended. A window opening, closing or resizing starts from the previous best.
+function cachedSeed(windows, area) {
+    let best = null;
+    let bestOverlap = 0;
+    const ids = new Set(windows.map(w => w.id));
+    for (const entry of _orderCache.values()) {
+        if (entry.area !== area) continue;
+        const overlap = entry.ids.filter(id => ids.has(id)).length;
+        if (overlap >= bestOverlap && overlap > 0) {
+            best = entry;
+            bestOverlap = overlap;
+        }
+    }
+    if (!best) return null;
+
+    const byId = new Map(windows.map(w => [w.id, w]));
+    const known = best.ids.filter(id => byId.has(id)).map(id => byId.get(id));
+    const seen = new Set(known);
+    return [...known, ...windows.filter(w => !seen.has(w))];
+}
+
+// Windows of the previous layout in their packing order, each new window inserted where
+// the layout scores best (later slots win ties). Null without a previous layout.
+function incrementalSeed(windows, evaluate) {
+    let order = windows.filter(w => w.previous).sort((a, b) => a.previous.index - b.previous.index);
+    if (order.length === 0) return null;
+
+    for (const w of windows.filter(w => !w.previous)) {
+        let bestOrder = null;
+        let bestScore = -Infinity;
+        for (let i = order.length; i >= 0; i--) {
+            const candidate = [...order.slice(0, i), w, ...order.slice(i)];
+            const score = evaluate(candidate);
+            if (!bestOrder || score > bestScore) {
+                bestOrder = candidate;
+                bestScore = score;
+            }
+        }
+        order = bestOrder;
+    }
+    return order;
+}
+
+// Simulated annealing over swaps and moves of single windows until the deadline
+function anneal(start, evaluate, deadline, random) {
+    const n = start.order.length;
+    const startTime = Date.now();
+    const span = Math.max(deadline - startTime, 1);
+    let current = start;
+    let best = start;
+    let stale = 0;
+
+    while (stale < SEARCH_MAX_STALE_MOVES) {
+        const now = Date.now();
+        if (now >= deadline) break;
+
+        const order = [...current.order];
+        const i = Math.floor(random() * n);
+        let j = Math.floor(random() * (n - 1));
+        if (j >= i) j++;
+        if (random() < 0.5) {
+            [order[i], order[j]] = [order[j], order[i]];
+        } else {
+            const [w] = order.splice(i, 1);
+            order.splice(j, 0, w);
+        }
+
+        const score = evaluate(order);
+        const temperature = SEARCH_START_TEMPERATURE * (1 - (now - startTime) / span);
+        const accept = score >= current.score || current.score === -Infinity ||
+            (temperature > 0 && random() < Math.exp((score - current.score) / temperature));
+        if (accept)
+            current = { order, score };
+
+        if (score > best.score) {
+            best = { order, score };
+            stale = 0;
+        } else {
+            stale++;
+        }
+    }
+    return best;
+}
+
+// Find the best window ordering, scored with weights. Few windows get every permutation
+// however long that takes; more start from the cached order of a similar window set and
+// the heuristic sorts, then get refined by local search, all within budgetMs. Ties keep
+// the earlier order, the given one first. incremental starts from the previous layout of
+// the windows instead and makes moving or reordering the windows it placed cost more.
+export function findOptimalOrder(windows, workArea, tilingFn, spacing,
+    { budgetMs = SEARCH_BUDGET_MS, weights = DEFAULT_WEIGHTS, incremental = false } = {}) {
+    if (windows.length <= 1) return windows;
+
+    if (incremental) {
+        weights = {
+            ...weights,
+            [Objective.DISPLACEMENT]: Math.max(weights[Objective.DISPLACEMENT] ?? 0, INCREMENTAL_DISPLACEMENT_WEIGHT),
+            [Objective.ORDER_STABILITY]: Math.max(weights[Objective.ORDER_STABILITY] ?? 0, INCREMENTAL_ORDER_WEIGHT),
+        };
+    }
+    // Order stability counts against the previous packing order in incremental relayouts
+    const reference = incremental
+        ? windows.filter(w => w.previous).sort((a, b) => a.previous.index - b.previous.index)
+        : windows;
+
+    // Where windows are only matters when displacement is scored
+    const withPosition = weights[Objective.DISPLACEMENT] > 0;
+    const position = w => {
+        const from = w.previous ?? w;
+        return `@${from.x},${from.y}${w.previous ? `#${w.previous.index}` : ''}`;
+    };
+    const area = `${tilingFn.name}|${spacing}|${workArea.width}x${workArea.height}`;
+    const key = `${area}|${JSON.stringify(weights)}|${windows.map(w =>
+        `${w.id}:${w.width}x${w.height}${withPosition ? position(w) : ''}`).join(',')}`;
+    const cached = _orderCache.get(key);
+    if (cached) {
+        _orderCache.delete(key);
+        _orderCache.set(key, cached);
+        const byId = new Map(windows.map(w => [w.id, w]));
+        return cached.ids.map(id => byId.get(id));
+    }
+
+    const startTime = Date.now();
+    const deadline = startTime + budgetMs;
+    let evaluations = 0;
+    const evaluate = order => {
+        evaluations++;
+        return scoreLayout(tilingFn(order, workArea, spacing), workArea, weights, reference);
+    };
+
+    let best = { order: windows, score: evaluate(windows) };
+    const consider = order => {
+        const score = evaluate(order);
+        if (score > best.score) best = { order, score };
+    };
+
+    if (incremental) {
+        const seed = incrementalSeed(windows, evaluate);
+        if (seed) consider(seed);
+    }
+
+    if (windows.length <= EXHAUSTIVE_MAX_WINDOWS) {
+        for (const perm of generatePermutations(windows).slice(1))
+            consider(perm);
+    } else {
+        // Seeds and heuristic sorts share the budget with the annealer, which gets what is left
+        const seed = cachedSeed(windows, area);
+        if (seed) consider(seed);
+        for (const perm of generatePermutations(windows).slice(1)) {
+            if (Date.now() >= deadline) break;
+            consider(perm);
+        }
+        best = anneal(best, evaluate, deadline, seededRandom(key));
+    }
+
+    _orderCache.delete(key);
+    _orderCache.set(key, { area, ids: best.order.map(w => w.id) });
+    if (_orderCache.size > ORDER_CACHE_SIZE)
+        _orderCache.delete(_orderCache.keys().next().value);
+
+    const elapsed = Date.now() - startTime;
+    Logger.log(`findOptimalOrder: ${windows.length} windows, ${evaluations} orders tried, ${elapsed}ms`);
+
+    return best.order;
+}
+
+// Generate a hash of window configuration for cache invalidation.
+// If windows haven't changed IDs/sizes, we can reuse the previous layout.
+export function getLayoutHash(windows, work_area) {
+    const sorted = [...windows].sort((a, b) => a.id - b.id);
+    const parts = sorted.map(w => `${w.id}:${w.width}x${w.height}`);
+    return `${work_area.width}x${work_area.height}|${parts.join(',')}`;
+}
+
+// Space left around a tile: the outer margin on sides along the work area's edges,
+// half the inner gap on sides facing a neighbour so neighbours end up one inner gap
+// apart. slack widens what counts as the work area's edge, for frames already inset.
+function tileGaps(rect, work_area, gaps, slack = 0) {
+    const lead = Math.floor(gaps.inner / 2);
+    const trail = gaps.inner - lead;
+    return {
+        left: rect.x <= work_area.x + slack ? gaps.outer : lead,
+        top: rect.y <= work_area.y + slack ? gaps.outer : lead,
+        right: rect.x + rect.width >= work_area.x + work_area.width - slack ? gaps.outer : trail,
+        bottom: rect.y + rect.height >= work_area.y + work_area.height - slack ? gaps.outer : trail,
+    };
+}
+
+// Window rect for a tile cell, a cell being a share of the work area without gaps
+export function insetCell(cell, work_area, gaps) {
+    const g = tileGaps(cell, work_area, gaps);
+    return {
+        x: cell.x + g.left,
+        y: cell.y + g.top,
+        width: Math.max(cell.width - g.left - g.right, 0),
+        height: Math.max(cell.height - g.top - g.bottom, 0),
+    };
+}
+
+// Cell taken by a window placed with insetCell
+export function outsetFrame(frame, work_area, gaps) {
+    const g = tileGaps(frame, work_area, gaps, gaps.outer);
+    return {
+        x: frame.x - g.left,
+        y: frame.y - g.top,
+        width: frame.width + g.left + g.right,
+        height: frame.height + g.top + g.bottom,
+    };
+}
+
+// Tile windows with dynamic orientation and optimal search. options are passed on to
+// findOptimalOrder: budgetMs for the search, the objective weights to score with and
+// incremental to start from the previous layout.
+export function tile(windows, work_area, spacing, options = {}) {
+    if (!windows || windows.length === 0) return { levels: [], vertical: false, overflow: false };
+
+    // Check if any window is taller than 50% of workspace height
+    let maxHeight = 0;
+    let maxWidth = 0;
+    for (const w of windows) {
+        maxHeight = Math.max(maxHeight, w.height);
+        maxWidth = Math.max(maxWidth, w.width);
+    }
+    
+    const isNarrowWorkspace = work_area.width < work_area.height;
+    const windowTooWide = maxWidth > work_area.width * 0.9;
+    const windowTooTall = maxHeight > work_area.height * 0.65;
+    const useVerticalShelves = windowTooTall || isNarrowWorkspace || windowTooWide;
+    
+    // Select tiling function based on orientation
+    const tilingFn = useVerticalShelves ? verticalShelves : horizontalShelves;
+    
+    // Find optimal window ordering (tries permutations, scores each layout)
+    const optimalWindows = findOptimalOrder(windows, work_area, tilingFn, spacing, options);
+    
+    Logger.log(`tile: ${windows.length} windows, vertical=${useVerticalShelves}, optimized order`);
+    
+    return tilingFn(optimalWindows, work_area, spacing);
+}
+
+// Vertical shelves layout - windows stack in columns side by side.
+export function verticalShelves(windows, work_area, spacing) {
+    // For 1-2 windows, use simple centered column
+    if (windows.length <= 2) {
+        return simpleCenteredColumn(windows, work_area, spacing);
+    }
+    
+    // Bin packing without height sorting to preserve swap order
+    const columns = []; // Each column: { windows: [], height: 0, width: 0 }
+    
+    for (const w of windows) {
+        let placed = false;
+        
+        // Try to fit in existing column
+        for (const col of columns) {
+            const newHeight = col.height + (col.height > 0 ? spacing : 0) + w.height;
+            if (newHeight <= work_area.height) {
+                col.windows.push(w);
+                col.height = newHeight;
+                col.width = Math.max(col.width, w.width);
+                placed = true;
+                break;
+            }
+        }
+        
+        // If doesn't fit anywhere, create new column
+        if (!placed) {
+            const totalWidth = columns.reduce((s, c) => s + c.width, 0) + 
+                               (columns.length > 0 ? columns.length * spacing : 0) + w.width;
+            
+            if (totalWidth <= work_area.width || columns.length === 0) {
+                columns.push({ windows: [w], height: w.height, width: w.width });
+            } else {
+                // Force into column with most space (overflow case)
+                let bestCol = columns[0];
+                let minHeight = columns[0].height;
+                for (const col of columns) {
+                    if (col.height < minHeight) {
+                        minHeight = col.height;
+                        bestCol = col;
+                    }
+                }
+                bestCol.windows.push(w);
+                bestCol.height += spacing + w.height;
+                bestCol.width = Math.max(bestCol.width, w.width);
+            }
+        }
+    }
+    
+    // Convert columns to levels for rendering
+    const levels = [];
+    let totalWidth = 0;
+    let overflow = false;
+    
+    for (let c = 0; c < columns.length; c++) {
+        const col = columns[c];
+        const level = new Level(work_area);
+        
+        // Recalculate height for this column's windows
+        let colHeight = 0;
+        for (const w of col.windows) {
+            level.windows.push(w);
+            if (colHeight > 0) colHeight += spacing;
+            colHeight += w.height;
+            level.width = Math.max(level.width, w.width);
+        }
+        level.height = colHeight;
+        
+        // Check if column overflows height
+        if (level.height > work_area.height) {
+            overflow = true;
+        }
+        
+        // Center column vertically
+        level.y = (work_area.height - level.height) / 2 + work_area.y;
+        
+        // Check width overflow
+        if (totalWidth + level.width + spacing > work_area.width && c > 0) {
+            overflow = true;
+        }
+        
+        if (c > 0) totalWidth += spacing;
+        totalWidth += level.width;
+        
+        levels.push(level);
+    }
+    
+    // Calculate horizontal centering
+    const startX = (work_area.width - totalWidth) / 2 + work_area.x;
+    const levelCount = levels.length;
+    const centerColIndex = (levelCount - 1) / 2; // e.g., 0.5 for 2 cols, 1 for 3 cols
+    
+    // Set X positions for each column with CENTER-POINTING alignment
+    let xPos = startX;
+    for (let colIdx = 0; colIdx < levelCount; colIdx++) {
+        const level = levels[colIdx];
+        level.x = xPos;
+        
+        // Determine horizontal alignment based on column position
+        let alignMode = 'center';
+        if (levelCount > 1) {
+            if (colIdx < centerColIndex) {
+                alignMode = 'right'; // Left column → push windows right
+            } else if (colIdx > centerColIndex) {
+                alignMode = 'left';  // Right column → push windows left
+            }
+        }
+        
+        // Stack windows vertically (packed, centered vertically)
+        let totalColHeight = 0;
+        for (const win of level.windows) {
+            totalColHeight += win.height;
+        }
+        totalColHeight += (level.windows.length - 1) * spacing;
+        
+        let yPos = (work_area.height - totalColHeight) / 2 + work_area.y;
+        
+        for (const win of level.windows) {
+            // Apply horizontal alignment within column
+            if (alignMode === 'left') {
+                win.targetX = xPos; // Align to left edge of column
+            } else if (alignMode === 'right') {
+                win.targetX = xPos + level.width - win.width; // Align to right edge
+            } else {
+                win.targetX = xPos + (level.width - win.width) / 2; // Centered
+            }
+            win.targetY = yPos;
+            yPos += win.height + spacing;
+        }
+        
+        xPos += level.width + spacing;
+    }
+
+    return {
+        x: startX,
+        y: work_area.y,
+        overflow: overflow,
+        vertical: true,
+        levels: levels,
+        windows: windows
+    };
+}
+
+// Helper for 1-2 windows in vertical mode.
+function simpleCenteredColumn(windows, work_area, spacing) {
+    // Calculate total height if stacked
+    let totalHeight = 0;
+    let maxWidth = 0;
+    for (const w of windows) {
+        if (totalHeight > 0) totalHeight += spacing;
+        totalHeight += w.height;
+        maxWidth = Math.max(maxWidth, w.width);
+    }
+    
+    // If windows DON'T fit when stacked, put them side by side in separate columns
+    if (totalHeight > work_area.height && windows.length === 2) {
+        // Create 2 columns side by side
+        const totalWidth = windows[0].width + spacing + windows[1].width;
+        const startX = (work_area.width - totalWidth) / 2 + work_area.x;
+        
+        const levels = [];
+        let xPos = startX;
+        
+        for (const w of windows) {
+            const level = new Level(work_area);
+            level.windows.push(w);
+            level.width = w.width;
+            level.height = w.height;
+            level.x = xPos;
+            level.y = (work_area.height - w.height) / 2 + work_area.y;
+            
+            w.targetX = level.x;
+            w.targetY = level.y;
+            
+            levels.push(level);
+            xPos += w.width + spacing;
+        }
+        
+        const overflow = totalWidth > work_area.width;
+        
+        return {
+            x: startX,
+            y: work_area.y,
+            overflow: overflow,
+            vertical: true,
+            levels: levels,
+            windows: windows
+        };
+    }
+    
+    // Windows FIT when stacked - use single column
+    const level = new Level(work_area);
+    for (const w of windows) {
+        level.windows.push(w);
+    }
+
+    level.width = maxWidth;
+    level.height = totalHeight;
+    level.x = (work_area.width - maxWidth) / 2 + work_area.x;
+    level.y = (work_area.height - totalHeight) / 2 + work_area.y;
+
+    // Set target positions for each window
+    let yPos = level.y;
+    for (const w of level.windows) {
+        w.targetX = level.x + (maxWidth - w.width) / 2;
+        w.targetY = yPos;
+        yPos += w.height + spacing;
+    }
+
+    const overflow = totalHeight > work_area.height || maxWidth > work_area.width;
+
+    return {
+        x: level.x,
+        y: level.y,
+        overflow: overflow,
+        vertical: true,
+        levels: [level],
+        windows: windows
+    };
+}
+
+// Original horizontal shelves layout.
+export function horizontalShelves(windows, work_area, spacing) {
+    // For 1-2 windows, use simple centered row
+    if (windows.length <= 2) {
+        return simpleCenteredRow(windows, work_area, spacing);
+    }
+    
+    // Calculate average dimensions
+    let avgWidth = 0, avgHeight = 0;
+    for (const w of windows) {
+        avgWidth += w.width;
+        avgHeight += w.height;
+    }
+    avgWidth /= windows.length;
+    avgHeight /= windows.length;
+    
+    // Calculate optimal grid dimensions
+    const { rows: numRows, windowsPerRow } = calculateOptimalGrid(
+        windows,
+        work_area,
+        spacing
+    );
+    
+    // Distribute windows across rows
+    const levels = [];
+    let windowIndex = 0;
+    let totalHeight = 0;
+    let overflow = false;
+    
+    for (let r = 0; r < numRows; r++) {
+        const level = new Level(work_area);
+        const windowsInThisRow = windowsPerRow[r];
+        
+        for (let i = 0; i < windowsInThisRow && windowIndex < windows.length; i++) {
+            const w = windows[windowIndex++];
+            if (level.width + w.width + (level.width > 0 ? spacing : 0) > work_area.width) {
+                overflow = true;
+            }
+            
+            level.windows.push(w);
+            if (level.width > 0) level.width += spacing;
+            level.width += w.width;
+            level.height = Math.max(level.height, w.height);
+        }
+        
+        level.x = (work_area.width - level.width) / 2 + work_area.x;
+        if (totalHeight + level.height + spacing > work_area.height && r > 0) {
+            overflow = true;
+        }
+        
+        if (r > 0) totalHeight += spacing;
+        totalHeight += level.height;
+        
+        levels.push(level);
+    }
+    
+    const y = (work_area.height - totalHeight) / 2 + work_area.y;
+    
+    // Set targetX/targetY for each window in each level
+    let levelY = y;
+    for (const level of levels) {
+        level.y = levelY;
+        let xPos = level.x;
+        for (const w of level.windows) {
+            w.targetX = xPos;
+            w.targetY = levelY + (level.height - w.height) / 2; // Center vertically within row
+            xPos += w.width + spacing;
+        }
+        levelY += level.height + spacing;
+    }
+    
+    return {
+        x: work_area.x,
+        y: y,
+        overflow: overflow,
+        vertical: false,
+        levels: levels,
+        windows: windows
+    };
+}
+
+// Helper for 1-2 windows, simple centered row.
+function simpleCenteredRow(windows, work_area, spacing) {
+    const level = new Level(work_area);
+    let totalWidth = 0;
+    let maxHeight = 0;
+
+    for (const w of windows) {
+        if (totalWidth > 0) totalWidth += spacing;
+        totalWidth += w.width;
+        maxHeight = Math.max(maxHeight, w.height);
+        level.windows.push(w);
+    }
+
+    level.width = totalWidth;
+    level.height = maxHeight;
+    level.x = (work_area.width - totalWidth) / 2 + work_area.x;
+    
+    const y = (work_area.height - maxHeight) / 2 + work_area.y;
+    level.y = y;
+
+    let xPos = level.x;
+    for (const w of level.windows) {
+        w.targetX = xPos;
+        w.targetY = y + (maxHeight - w.height) / 2; // Center vertically within row
+        xPos += w.width + spacing;
+    }
+
+    return {
+        x: work_area.x,
+        y: y,
+        overflow: totalWidth > work_area.width || maxHeight > work_area.height,
+        vertical: false,
+        levels: [level],
+        windows: windows
+    };
+}
+
+// Calculate optimal grid dimensions using actual window sizes
+export function calculateOptimalGrid(windows, work_area, spacing) {
+    const windowCount = windows.length;
+    if (windowCount <= 0) return { rows: 0, windowsPerRow: [] };
+    if (windowCount === 1) return { rows: 1, windowsPerRow: [1] };
+    if (windowCount === 2) return { rows: 1, windowsPerRow: [2] };
+    
+    const workspaceAspect = work_area.width / work_area.height;
+    
+    let bestRows = 1;
+    let bestScore = Infinity;
+    let bestOverflow = true; // Start assuming everything overflows
+    
+    // Try different row counts
+    for (let rows = 1; rows <= windowCount; rows++) {
+        const cols = Math.ceil(windowCount / rows);
+        
+        // Distribute windows logic (symmetric)
+        const windowsPerRow = new Array(rows).fill(0);
+        const basePerRow = Math.floor(windowCount / rows);
+        let remainder = windowCount % rows;
+
+        for (let r = 0; r < rows; r++) windowsPerRow[r] = basePerRow;
+
+        if (remainder > 0) {
+            const centerIndex = Math.floor(rows / 2);
+            let left = centerIndex;
+            let right = centerIndex;
+            
+            while (remainder > 0) {
+                if (left >= 0 && left < rows) { windowsPerRow[left]++; remainder--; }
+                if (remainder > 0 && right !== left && right >= 0 && right < rows) { windowsPerRow[right]++; remainder--; }
+                left--;
+                right++;
+            }
+        }
+        
+        // SIMULATE ACTUAL PLACEMENT to check fit
+        let totalHeight = 0;
+        let maxRowWidth = 0;
+        let windowIndex = 0;
+        let currentRowHeight = 0;
+        let currentRowWidth = 0;
+        let overflow = false;
+        
+        for (let r = 0; r < rows; r++) {
+            currentRowHeight = 0;
+            currentRowWidth = 0;
+            const count = windowsPerRow[r];
+            
+            for (let i = 0; i < count; i++) {
+                if (windowIndex < windows.length) {
+                    const w = windows[windowIndex++];
+                    currentRowWidth += w.width + (currentRowWidth > 0 ? spacing : 0);
+                    currentRowHeight = Math.max(currentRowHeight, w.height);
+                }
+            }
+            
+            if (currentRowWidth > work_area.width + 5) overflow = true;
+            maxRowWidth = Math.max(maxRowWidth, currentRowWidth);
+            
+            totalHeight += currentRowHeight + (r > 0 ? spacing : 0);
+        }
+        
+        if (totalHeight > work_area.height + 5) overflow = true;
+        
+        // Calculate score (Aspect ratio + Empty spaces)
+        const layoutWidth = maxRowWidth;
+        const layoutHeight = totalHeight;
+        const layoutAspect = layoutWidth / layoutHeight;
+        const aspectDiff = Math.abs(layoutAspect - workspaceAspect);
+        const emptySpaces = rows * cols - windowCount;
+        // Heavily penalize overflow
+        const score = aspectDiff + emptySpaces * 0.3 + (overflow ? 1000 : 0);
+        
+        // Prefer valid layouts over invalid ones
+        if (!overflow && bestOverflow) {
+            // Found first valid layout!
+            bestScore = score;
+            bestRows = rows;
+            bestOverflow = false;
+        } else if (overflow === bestOverflow) {
+            // Determine best among same validity status
+            if (score < bestScore) {
+                bestScore = score;
+                bestRows = rows;
+            }
+        }
+    }
+    
+    // Re-generate windowsPerRow for the best result
+    const windowsPerRow = new Array(bestRows).fill(0);
+    const basePerRow = Math.floor(windowCount / bestRows);
+    let remainder = windowCount % bestRows;
+
+    for (let r = 0; r < bestRows; r++) windowsPerRow[r] = basePerRow;
+
+    if (remainder > 0) {
+        const centerIndex = Math.floor(bestRows / 2);
+        let left = centerIndex;
+        let right = centerIndex;
+        
+        while (remainder > 0) {
+            if (left >= 0 && left < bestRows) { windowsPerRow[left]++; remainder--; }
+            if (remainder > 0 && right !== left && right >= 0 && right < bestRows) { windowsPerRow[right]++; remainder--; }
+            left--;
+            right++;
+        }
+    }
+    
+    return { rows: bestRows, windowsPerRow };
+}
+
+// Master/stack layout - the first window takes `ratio` of the width, the others share
+// a column beside it. Window order is kept as given, so swaps pick the master.
+export function masterStack(windows, work_area, spacing, ratio, minHeight = 0) {
+    if (!windows || windows.length === 0) return { levels: [], vertical: true, overflow: false };
+
+    const [master, ...stack] = windows;
+    const masterLevel = new Level(work_area);
+    masterLevel.x = work_area.x;
+    masterLevel.y = work_area.y;
+    masterLevel.height = work_area.height;
+    masterLevel.windows = [master];
+
+    // A lone window gets the whole area
+    const masterWidth = stack.length > 0
+        ? Math.round((work_area.width - spacing) * ratio)
+        : work_area.width;
+    masterLevel.width = masterWidth;
+
+    master.targetX = work_area.x;
+    master.targetY = work_area.y;
+    master.width = masterWidth;
+    master.height = work_area.height;
+
+    const levels = [masterLevel];
+    let overflow = false;
+
+    if (stack.length > 0) {
+        const stackLevel = new Level(work_area);
+        stackLevel.x = work_area.x + masterWidth + spacing;
+        stackLevel.y = work_area.y;
+        stackLevel.width = work_area.width - masterWidth - spacing;
+        stackLevel.height = work_area.height;
+        stackLevel.windows = stack;
+
+        const stackHeight = Math.floor((work_area.height - (stack.length - 1) * spacing) / stack.length);
+        overflow = stackHeight < minHeight;
+
+        let y = work_area.y;
+        for (const w of stack) {
+            w.targetX = stackLevel.x;
+            w.targetY = y;
+            w.width = stackLevel.width;
+            w.height = stackHeight;
+            y += stackHeight + spacing;
+        }
+        levels.push(stackLevel);
+    }
+
+    return {
+        x: work_area.x,
+        y: work_area.y,
+        overflow: overflow,
+        vertical: true,
+        levels: levels,
+        windows: windows
+    };
+}
+
+// Columns layout - every window gets a full-height column of equal width, in order.
+export function columns(windows, work_area, spacing, minWidth = 0) {
+    if (!windows || windows.length === 0) return { levels: [], vertical: true, overflow: false };
+
+    const columnWidth = Math.floor((work_area.width - (windows.length - 1) * spacing) / windows.length);
+    const levels = [];
+    let x = work_area.x;
+
+    for (const w of windows) {
+        const level = new Level(work_area);
+        level.x = x;
+        level.y = work_area.y;
+        level.width = columnWidth;
+        level.height = work_area.height;
+        level.windows = [w];
+
+        w.targetX = x;
+        w.targetY = work_area.y;
+        w.width = columnWidth;
+        w.height = work_area.height;
+
+        levels.push(level);
+        x += columnWidth + spacing;
+    }
+
+    return {
+        x: work_area.x,
+        y: work_area.y,
+        overflow: columnWidth < minWidth,
+        vertical: true,
+        levels: levels,
+        windows: windows
+    };
+}
+
+// Grid layout - equal cells filled row by row; the last row stretches to the full width.
+// Levels are rows, but every window carries targetX/targetY so it's drawn as a vertical result.
+export function grid(windows, work_area, spacing, minWidth = 0, minHeight = 0) {
+    if (!windows || windows.length === 0) return { levels: [], vertical: true, overflow: false };
+
+    // Scale the column count with the work area aspect so cells stay close to 16:9
+    const count = windows.length;
+    const aspect = (work_area.width / work_area.height) / (16 / 9);
+    const nCols = Math.max(1, Math.min(count, Math.ceil(Math.sqrt(count * aspect))));
+    const nRows = Math.ceil(count / nCols);
+    const cellHeight = Math.floor((work_area.height - (nRows - 1) * spacing) / nRows);
+
+    const levels = [];
+    let overflow = cellHeight < minHeight;
+    let y = work_area.y;
+
+    for (let r = 0; r < nRows; r++) {
+        const rowWindows = windows.slice(r * nCols, (r + 1) * nCols);
+        const cellWidth = Math.floor((work_area.width - (rowWindows.length - 1) * spacing) / rowWindows.length);
+        if (cellWidth < minWidth) overflow = true;
+
+        const level = new Level(work_area);
+        level.x = work_area.x;
+        level.y = y;
+        level.width = work_area.width;
+        level.height = cellHeight;
+        level.windows = rowWindows;
+
+        let x = work_area.x;
+        for (const w of rowWindows) {
+            w.targetX = x;
+            w.targetY = y;
+            w.width = cellWidth;
+            w.height = cellHeight;
+            x += cellWidth + spacing;
+        }
+
+        levels.push(level);
+        y += cellHeight + spacing;
+    }
+
+    return {
+        x: work_area.x,
+        y: work_area.y,
+        overflow: overflow,
+        vertical: true,
+        levels: levels,
+        windows: windows
+    };
+}
@@ -0,0 +1,302 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Persists layout state across shell restarts and extension reloads
+
+import Meta from 'gi://Meta';
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import { TileZone, LayoutMode } from './constants.js';
+import * as WindowState from './windowState.js';
+import { createDebounced } from './timing.js';
+import { isQuarterZone } from './edgeTiling.js';
+
+const STATE_VERSION = 1;
+
+// Stable identity for a window: window ids are reassigned on every restart, so key by
+// the sandboxed app id (or wm_class), the title and the owning pid instead.
+export function getWindowIdentity(window) {
+    const app = window.get_sandboxed_app_id() || window.get_wm_class() || '';
+    return `${app}|${window.get_title() ?? ''}|${window.get_pid()}`;
+}
+
+// Same as getWindowIdentity without the pid, used as a fallback after a full restart
+function _looseIdentity(key) {
+    return key.slice(0, key.lastIndexOf('|'));
+}
+
+export const LayoutStateManager = GObject.registerClass({
+    GTypeName: 'MosaicLayoutStateManager',
+}, class LayoutStateManager extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._signalIds = [];
+        this._pendingEdgeTiles = [];
+        this._pendingStacks = [];
+
+        this.scheduleSave = createDebounced(() => this.save(),
+            constants.LAYOUT_STATE_SAVE_DELAY_MS, this._ext._timeoutRegistry);
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get stackManager() { return this._ext.stackManager; }
+    get scratchpadManager() { return this._ext.scratchpadManager; }
+    get _settings() { return this._ext._settings; }
+
+    // Save whenever something that is persisted changes
+    connectSignals() {
+        this._signalIds.push([this.tilingManager,
+            this.tilingManager.connect('mosaic-changed', () => this.scheduleSave())]);
+        this._signalIds.push([this.edgeTilingManager,
+            this.edgeTilingManager.connect('edge-tiling-changed', () => this.scheduleSave())]);
+        this._signalIds.push([this.stackManager,
+            this.stackManager.connect('stacks-changed', () => this.scheduleSave())]);
+        this._signalIds.push([this.scratchpadManager,
+            this.scratchpadManager.connect('scratchpads-changed', () => this.scheduleSave())]);
+    }
+
+    _listWindows() {
+        return global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null)
+            .filter(w => this.windowingManager.isRelated(w));
+    }
+
+    // Map every window to a unique key. Identical identities (e.g. several terminals
+    // sharing one server process) are told apart by their stacking sequence.
+    _buildKeys(windows) {
+        const sorted = [...windows].sort((a, b) => a.get_stable_sequence() - b.get_stable_sequence());
+        const counts = new Map();
+        const keys = new Map();
+        for (const window of sorted) {
+            const identity = getWindowIdentity(window);
+            const n = counts.get(identity) ?? 0;
+            counts.set(identity, n + 1);
+            keys.set(window, n === 0 ? identity : `${identity}#${n}`);
+        }
+        return keys;
+    }
+
+    save() {
+        if (!this._settings) return;
+
+        const windows = this._listWindows();
+        const keys = this._buildKeys(windows);
+        const idToKey = new Map(windows.map(w => [w.get_id(), keys.get(w)]));
+
+        const state = {
+            version: STATE_VERSION,
+            windows: {},
+            swaps: {},
+            disabledWorkspaces: [],
+            layouts: {},
+            zeroGapWorkspaces: [],
+            stacks: [],
+        };
+
+        for (const window of windows) {
+            const entry = {};
+            const preferredSize = WindowState.get(window, 'preferredSize');
+            if (preferredSize)
+                entry.preferredSize = { width: preferredSize.width, height: preferredSize.height };
+
+            const edgeState = this.edgeTilingManager.getWindowState(window);
+            if (edgeState && edgeState.zone !== TileZone.NONE && edgeState.zone !== TileZone.FULLSCREEN)
+                entry.edgeTiling = { ...edgeState, workspace: window.get_workspace()?.index() ?? -1 };
+
+            const scratchpadSize = WindowState.get(window, 'scratchpad') && WindowState.get(window, 'scratchpadSize');
+            if (scratchpadSize)
+                entry.scratchpad = { width: scratchpadSize.width, height: scratchpadSize.height };
+
+            if (Object.keys(entry).length > 0)
+                state.windows[keys.get(window)] = entry;
+        }
+
+        const workspaceManager = global.workspace_manager;
+        for (let i = 0; i < workspaceManager.get_n_workspaces(); i++) {
+            const workspace = workspaceManager.get_workspace_by_index(i);
+
+            const swaps = (workspace.swaps ?? [])
+                .map(([id1, id2]) => [idToKey.get(id1), idToKey.get(id2)])
+                .filter(([k1, k2]) => k1 && k2);
+            if (swaps.length > 0)
+                state.swaps[i] = swaps;
+
+            // Floating isn't a tiling switch, it is saved as the layout below
+            const layout = this._ext.getWorkspaceLayout(workspace);
+            if (layout !== LayoutMode.FLOATING && !this._ext.isMosaicEnabledForWorkspace(workspace))
+                state.disabledWorkspaces.push(i);
+
+            if (this._ext.hasZeroGaps(workspace))
+                state.zeroGapWorkspaces.push(i);
+
+            if (layout !== LayoutMode.MOSAIC)
+                state.layouts[i] = layout;
+        }
+
+        // Windows of a stack in tab order, the active one first
+        for (const stack of this.stackManager?.getStacks() ?? []) {
+            const ordered = [stack.active, ...stack.windows.filter(w => w !== stack.active)];
+            const stackKeys = ordered.map(w => keys.get(w)).filter(k => k);
+            if (stackKeys.length > 1)
+                state.stacks.push(stackKeys);
+        }
+
+        this._settings.set_string('layout-state', JSON.stringify(state));
+        Logger.log(`[PERSIST] Saved state for ${Object.keys(state.windows).length} windows`);
+    }
+
+    _load() {
+        try {
+            const state = JSON.parse(this._settings.get_string('layout-state'));
+            if (state?.version !== STATE_VERSION) return null;
+            return state;
+        } catch (e) {
+            Logger.warn(`[PERSIST] Ignoring unreadable layout state: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Resolve saved keys to live windows: exact identity first, then
+    // app + title when the pid changed (full session restart).
+    _matchWindows(savedKeys) {
+        const windows = this._listWindows();
+        const keys = this._buildKeys(windows);
+        const byKey = new Map();
+        for (const [window, key] of keys) byKey.set(key, window);
+
+        const matches = new Map();
+        const used = new Set();
+        for (const key of savedKeys) {
+            const window = byKey.get(key);
+            if (window) {
+                matches.set(key, window);
+                used.add(window);
+            }
+        }
+
+        for (const key of savedKeys) {
+            if (matches.has(key)) continue;
+            const loose = _looseIdentity(key.replace(/#\d+$/, ''));
+            const window = windows.find(w => !used.has(w) && _looseIdentity(getWindowIdentity(w)) === loose);
+            if (window) {
+                matches.set(key, window);
+                used.add(window);
+            }
+        }
+        return matches;
+    }
+
+    // Restore sizes, swaps and workspace enablement. Edge tiles are only queued here,
+    // they need the managers fully wired and are applied by restoreEdgeTiles().
+    restore() {
+        if (!this._settings) return;
+
+        const state = this._load();
+        if (!state) return;
+
+        const swapKeys = Object.values(state.swaps ?? {}).flat(2);
+        const stackKeys = (state.stacks ?? []).flat();
+        const matches = this._matchWindows([...Object.keys(state.windows ?? {}), ...swapKeys, ...stackKeys]);
+
+        for (const [key, entry] of Object.entries(state.windows ?? {})) {
+            const window = matches.get(key);
+            if (!window) continue;
+
+            if (entry.preferredSize && !WindowState.get(window, 'preferredSize'))
+                WindowState.set(window, 'preferredSize', entry.preferredSize);
+
+            if (entry.edgeTiling)
+                this._pendingEdgeTiles.push({ window, state: entry.edgeTiling });
+
+            // Picked up by ScratchpadManager, flagged before the first tiling pass sees the window
+            if (entry.scratchpad) {
+                WindowState.set(window, 'scratchpad', true);
+                WindowState.set(window, 'scratchpadSize', entry.scratchpad);
+            }
+        }
+
+        const workspaceManager = global.workspace_manager;
+        const nWorkspaces = workspaceManager.get_n_workspaces();
+
+        for (const [index, swaps] of Object.entries(state.swaps ?? {})) {
+            if (index >= nWorkspaces) continue;
+            const workspace = workspaceManager.get_workspace_by_index(index);
+            workspace.swaps = swaps
+                .map(([k1, k2]) => [matches.get(k1)?.get_id(), matches.get(k2)?.get_id()])
+                .filter(([id1, id2]) => id1 !== undefined && id2 !== undefined);
+        }
+
+        for (const index of state.disabledWorkspaces ?? []) {
+            if (index >= nWorkspaces) continue;
+            this._ext.restoreWorkspaceSettings(workspaceManager.get_workspace_by_index(index), { enabled: false });
+        }
+
+        for (const index of state.zeroGapWorkspaces ?? []) {
+            if (index >= nWorkspaces) continue;
+            this._ext.restoreWorkspaceSettings(workspaceManager.get_workspace_by_index(index), { zeroGaps: true });
+        }
+
+        for (const [index, layout] of Object.entries(state.layouts ?? {})) {
+            if (index >= nWorkspaces || !Object.values(LayoutMode).includes(layout)) continue;
+            this._ext.restoreWorkspaceSettings(workspaceManager.get_workspace_by_index(index), { layout });
+        }
+
+        for (const keysOfStack of state.stacks ?? []) {
+            const windows = keysOfStack.map(key => matches.get(key)).filter(w => w);
+            if (windows.length > 1)
+                this._pendingStacks.push(windows);
+        }
+
+        Logger.log(`[PERSIST] Restored ${matches.size} windows, ${this._pendingEdgeTiles.length} edge tiles and ${this._pendingStacks.length} stacks pending`);
+    }
+
+    restoreEdgeTiles() {
+        // Quarters first so a later half tile doesn't get converted into a quarter
+        const pending = this._pendingEdgeTiles
+            .sort((a, b) => Number(isQuarterZone(b.state.zone)) - Number(isQuarterZone(a.state.zone)));
+        this._pendingEdgeTiles = [];
+
+        for (const { window, state } of pending) {
+            if (!window.get_compositor_private() || this.windowingManager.isExcluded(window)) continue;
+            if (window.get_workspace()?.index() !== state.workspace) continue;
+
+            // Keep the pre-tile geometry so untiling returns the window to where it was
+            if (!this.edgeTilingManager.getWindowState(window)) {
+                WindowState.set(window, 'edgeTilingState', {
+                    x: state.x, y: state.y, width: state.width, height: state.height,
+                    zone: TileZone.NONE,
+                });
+            }
+
+            const workArea = window.get_workspace().get_work_area_for_monitor(window.get_monitor());
+            Logger.log(`[PERSIST] Re-applying zone ${state.zone} to window ${window.get_id()}`);
+            this.edgeTilingManager.applyTile(window, state.zone, workArea, true);
+        }
+    }
+
+    restoreStacks() {
+        const pending = this._pendingStacks;
+        this._pendingStacks = [];
+
+        for (const windows of pending) {
+            const live = windows.filter(w => w.get_compositor_private());
+            if (live.length < 2) continue;
+            Logger.log(`[PERSIST] Re-stacking ${live.length} windows`);
+            this.stackManager.restoreStack(live, live[0]);
+        }
+    }
+
+    destroy() {
+        this.scheduleSave.cancel();
+        for (const [object, id] of this._signalIds)
+            object.disconnect(id);
+        this._signalIds = [];
+        this._pendingEdgeTiles = [];
+        this._pendingStacks = [];
+        this._ext = null;
+    }
+});
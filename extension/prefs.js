@@ -0,0 +1,583 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Preferences window for tuning layout, animations, edge tiling and smart resize
+
+import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.mosaic-wm';
+
+// Must stay in sync with the <choices> of the animation-mode* keys
+const ANIMATION_MODES = [
+    ['linear', 'Linear'],
+    ['ease-out-quad', 'Ease Out (Quad)'],
+    ['ease-out-cubic', 'Ease Out (Cubic)'],
+    ['ease-out-expo', 'Ease Out (Expo)'],
+    ['ease-out-back', 'Ease Out (Back)'],
+    ['ease-in-out-quad', 'Ease In Out (Quad)'],
+    ['ease-in-out-cubic', 'Ease In Out (Cubic)'],
+    ['ease-in-out-expo', 'Ease In Out (Expo)'],
+];
+
+// Must stay in sync with RuleAction in windowRules.js
+const RULE_ACTIONS = [
+    ['float', 'Float'],
+    ['never-overflow', 'Never Overflow'],
+    ['always-own-workspace', 'Always Own Workspace'],
+    ['fixed-size', 'Fixed Size'],
+];
+
+const RULE_FIELDS = [
+    ['wm-class', 'Window Class'],
+    ['app-id', 'Application ID'],
+    ['title', 'Title Pattern'],
+    ['role', 'Window Role'],
+];
+
+// 'fewest-windows' or a 1-based workspace number, see WorkspaceTarget in windowRules.js
+const WORKSPACE_TARGETS = [
+    ['fewest-windows', 'Fewest Windows'],
+    ...Array.from({ length: 12 }, (_, i) => [`${i + 1}`, `Workspace ${i + 1}`]),
+];
+
+const KEYBINDINGS = [
+    ['Edge Tiling', [
+        ['tile-left', 'Tile Left'],
+        ['tile-right', 'Tile Right'],
+        ['tile-top', 'Tile Top'],
+        ['tile-bottom', 'Tile Bottom'],
+        ['tile-top-left', 'Tile Top Left'],
+        ['tile-top-right', 'Tile Top Right'],
+        ['tile-bottom-left', 'Tile Bottom Left'],
+        ['tile-bottom-right', 'Tile Bottom Right'],
+    ]],
+    ['Snap Zones', Array.from({ length: 9 }, (_, i) => [`tile-snap-zone-${i + 1}`, `Tile to Snap Zone ${i + 1}`])],
+    ['Swapping', [
+        ['swap-left', 'Swap Left'],
+        ['swap-right', 'Swap Right'],
+        ['swap-up', 'Swap Up'],
+        ['swap-down', 'Swap Down'],
+    ]],
+    ['Focus', [
+        ['focus-left', 'Focus Left'],
+        ['focus-right', 'Focus Right'],
+        ['focus-up', 'Focus Up'],
+        ['focus-down', 'Focus Down'],
+    ]],
+    ['Workspaces', [
+        ['move-to-workspace-left', 'Move to Workspace Left'],
+        ['move-to-workspace-right', 'Move to Workspace Right'],
+        ...Array.from({ length: 9 }, (_, i) => [`move-to-workspace-${i + 1}`, `Move to Workspace ${i + 1}`]),
+    ]],
+    ['Monitors', [
+        ['move-to-monitor-left', 'Move to Monitor Left'],
+        ['move-to-monitor-right', 'Move to Monitor Right'],
+    ]],
+    ['Layout', [
+        ['toggle-master-stack', 'Toggle Master/Stack'],
+    ]],
+    ['Window Stacks', [
+        ['stack-next', 'Next Window in Stack'],
+        ['stack-previous', 'Previous Window in Stack'],
+        ['unstack-window', 'Take Window out of Stack'],
+    ]],
+    ['Layout History', [
+        ['undo-layout', 'Undo Layout Change'],
+        ['redo-layout', 'Redo Layout Change'],
+    ]],
+    ['Layout Snapshots', [
+        ['save-layout-snapshot', 'Save Workspace Snapshot'],
+        ['restore-layout-snapshot', 'Restore Workspace Snapshot'],
+    ]],
+    ['Scratchpad', [
+        ['toggle-scratchpad', 'Toggle Scratchpad'],
+        ['mark-scratchpad', 'Make Window a Scratchpad'],
+    ]],
+];
+
+// Bounds come from the <range> declared in the schema
+function addSpinRow(group, settings, key, step = 1) {
+    const schemaKey = settings.settings_schema.get_key(key);
+    const [, [min, max]] = schemaKey.get_range().recursiveUnpack();
+    const row = new Adw.SpinRow({
+        title: schemaKey.get_summary(),
+        subtitle: schemaKey.get_description(),
+        adjustment: new Gtk.Adjustment({ lower: min, upper: max, step_increment: step, page_increment: step * 10 }),
+    });
+    settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+    group.add(row);
+    return row;
+}
+
+function addSwitchRow(group, settings, key) {
+    const schemaKey = settings.settings_schema.get_key(key);
+    const row = new Adw.SwitchRow({
+        title: schemaKey.get_summary(),
+        subtitle: schemaKey.get_description(),
+    });
+    settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+    group.add(row);
+    return row;
+}
+
+function addAnimationModeRow(group, settings, key) {
+    const schemaKey = settings.settings_schema.get_key(key);
+    const row = new Adw.ComboRow({
+        title: schemaKey.get_summary(),
+        subtitle: schemaKey.get_description(),
+        model: Gtk.StringList.new(ANIMATION_MODES.map(([, label]) => label)),
+    });
+
+    const sync = () => {
+        const index = ANIMATION_MODES.findIndex(([value]) => value === settings.get_string(key));
+        if (index >= 0 && row.selected !== index) row.selected = index;
+    };
+    sync();
+
+    row.connect('notify::selected', () => {
+        const [value] = ANIMATION_MODES[row.selected] ?? [];
+        if (value && settings.get_string(key) !== value) settings.set_string(key, value);
+    });
+    const changedId = settings.connect(`changed::${key}`, sync);
+    row.connect('destroy', () => settings.disconnect(changedId));
+
+    group.add(row);
+    return row;
+}
+
+// Row showing the current accelerator; activating it opens a capture dialog.
+// Backspace clears the binding, Escape cancels.
+function addShortcutRow(group, settings, key, title) {
+    const label = new Gtk.ShortcutLabel({
+        disabled_text: 'Disabled',
+        valign: Gtk.Align.CENTER,
+    });
+    const row = new Adw.ActionRow({ title, activatable: true });
+    row.add_suffix(label);
+
+    const sync = () => {
+        label.accelerator = settings.get_strv(key)[0] ?? '';
+    };
+    sync();
+    const changedId = settings.connect(`changed::${key}`, sync);
+    row.connect('destroy', () => settings.disconnect(changedId));
+
+    row.connect('activated', () => {
+        const dialog = new Adw.AlertDialog({
+            heading: title,
+            body: 'Press a new shortcut, Backspace to disable it or Escape to cancel.',
+        });
+        dialog.add_response('cancel', 'Cancel');
+
+        const controller = new Gtk.EventControllerKey();
+        controller.connect('key-pressed', (_controller, keyval, keycode, state) => {
+            const mods = state & Gtk.accelerator_get_default_mod_mask();
+
+            if (mods === 0 && keyval === Gdk.KEY_Escape) {
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+            if (mods === 0 && keyval === Gdk.KEY_BackSpace) {
+                settings.set_strv(key, []);
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+            if (!Gtk.accelerator_valid(keyval, mods)) return Gdk.EVENT_STOP;
+
+            settings.set_strv(key, [Gtk.accelerator_name_with_keycode(null, keyval, keycode, mods)]);
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        });
+        dialog.add_controller(controller);
+        dialog.present(row.get_root());
+    });
+
+    group.add(row);
+    return row;
+}
+
+function readRules(settings, key) {
+    return settings.get_value(key).deepUnpack();
+}
+
+function writeRules(settings, key, rules) {
+    // Drop empty fields so they keep matching anything
+    const cleaned = rules.map(rule => Object.fromEntries(Object.entries(rule).filter(([, value]) => value !== '')));
+    settings.set_value(key, new GLib.Variant('aa{ss}', cleaned));
+}
+
+function describeRule(rule) {
+    const parts = RULE_FIELDS.filter(([key]) => rule[key]).map(([key]) => rule[key]);
+    return parts.length > 0 ? parts.join(' · ') : 'New Rule';
+}
+
+// Expander for one rule. Entries are committed with their apply button so the
+// rule isn't rewritten on every keystroke. `choice` describes the rule's outcome
+// ({field, title, options}), e.g. the action of a window rule.
+function buildRuleRow(settings, key, index, choice, onWrite, onRemove) {
+    const rule = readRules(settings, key)[index];
+    const choiceIndex = Math.max(0, choice.options.findIndex(([value]) => value === rule[choice.field]));
+    const row = new Adw.ExpanderRow({
+        title: GLib.markup_escape_text(describeRule(rule), -1),
+        subtitle: choice.options[choiceIndex][1],
+    });
+
+    const update = (field, value) => {
+        const rules = readRules(settings, key);
+        rules[index] = { ...rules[index], [field]: value };
+        onWrite(rules);
+        row.title = GLib.markup_escape_text(describeRule(rules[index]), -1);
+    };
+
+    for (const [field, label] of RULE_FIELDS) {
+        const entry = new Adw.EntryRow({ title: label, text: rule[field] ?? '', show_apply_button: true });
+        entry.connect('apply', () => update(field, entry.text.trim()));
+        row.add_row(entry);
+    }
+
+    const choiceRow = new Adw.ComboRow({
+        title: choice.title,
+        model: Gtk.StringList.new(choice.options.map(([, label]) => label)),
+        selected: choiceIndex,
+    });
+    choiceRow.connect('notify::selected', () => {
+        const [value, label] = choice.options[choiceRow.selected];
+        update(choice.field, value);
+        row.subtitle = label;
+    });
+    row.add_row(choiceRow);
+
+    const removeButton = new Gtk.Button({
+        icon_name: 'user-trash-symbolic',
+        tooltip_text: 'Remove Rule',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    removeButton.connect('clicked', () => onRemove(index));
+    row.add_suffix(removeButton);
+
+    return row;
+}
+
+// Editable list bound to an aa{ss} rules key
+function addRulesGroup(page, settings, key, title, description, choice) {
+    const group = new Adw.PreferencesGroup({ title, description });
+    const addButton = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        tooltip_text: 'Add Rule',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    group.set_header_suffix(addButton);
+    page.add(group);
+
+    let rows = [];
+    // Our own edits must not rebuild the list under the user's cursor
+    let writing = false;
+    const write = rules => {
+        writing = true;
+        writeRules(settings, key, rules);
+        writing = false;
+    };
+
+    const rebuild = () => {
+        rows.forEach(row => group.remove(row));
+        rows = readRules(settings, key).map((_, index) => {
+            const row = buildRuleRow(settings, key, index, choice, write, removeIndex => {
+                const rules = readRules(settings, key);
+                rules.splice(removeIndex, 1);
+                writeRules(settings, key, rules);
+            });
+            group.add(row);
+            return row;
+        });
+    };
+    rebuild();
+
+    addButton.connect('clicked', () => {
+        writeRules(settings, key, [...readRules(settings, key), { [choice.field]: choice.options[0][0] }]);
+        rows.at(-1)?.set_expanded(true);
+    });
+
+    const changedId = settings.connect(`changed::${key}`, () => {
+        if (!writing) rebuild();
+    });
+    group.connect('destroy', () => settings.disconnect(changedId));
+
+    return group;
+}
+
+// Fields of a snap-zones entry after its name, in grid cells
+const SNAP_ZONE_FIELDS = [
+    ['Column', 0],
+    ['Row', 0],
+    ['Columns', 1],
+    ['Rows', 1],
+];
+
+function readSnapZones(settings) {
+    return settings.get_value('snap-zones').deepUnpack();
+}
+
+function writeSnapZones(settings, zones) {
+    settings.set_value('snap-zones', new GLib.Variant('a(siiii)', zones));
+}
+
+function describeSnapZone([, column, row, columns, rows]) {
+    return `${columns}×${rows} cells at column ${column + 1}, row ${row + 1}`;
+}
+
+function buildSnapZoneRow(settings, index, onWrite, onRemove) {
+    const zone = readSnapZones(settings)[index];
+    const row = new Adw.ExpanderRow({
+        title: GLib.markup_escape_text(zone[0] || 'New Zone', -1),
+        subtitle: `Zone ${index + 1} · ${describeSnapZone(zone)}`,
+    });
+
+    const update = (field, value) => {
+        const zones = readSnapZones(settings);
+        zones[index][field] = value;
+        onWrite(zones);
+        row.title = GLib.markup_escape_text(zones[index][0] || 'New Zone', -1);
+        row.subtitle = `Zone ${index + 1} · ${describeSnapZone(zones[index])}`;
+    };
+
+    const name = new Adw.EntryRow({ title: 'Name', text: zone[0], show_apply_button: true });
+    name.connect('apply', () => update(0, name.text.trim()));
+    row.add_row(name);
+
+    SNAP_ZONE_FIELDS.forEach(([title, lower], i) => {
+        const spin = new Adw.SpinRow({
+            title,
+            adjustment: new Gtk.Adjustment({ lower, upper: 24, step_increment: 1, page_increment: 1, value: zone[i + 1] }),
+        });
+        spin.connect('notify::value', () => update(i + 1, spin.value));
+        row.add_row(spin);
+    });
+
+    const removeButton = new Gtk.Button({
+        icon_name: 'user-trash-symbolic',
+        tooltip_text: 'Remove Zone',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    removeButton.connect('clicked', () => onRemove(index));
+    row.add_suffix(removeButton);
+
+    return row;
+}
+
+// Editable list bound to the a(siiii) snap-zones key, same behaviour as addRulesGroup
+function addSnapZonesGroup(page, settings) {
+    const group = new Adw.PreferencesGroup({
+        title: 'Snap Zones',
+        description: 'Zones are placed in grid cells and may overlap. ' +
+            'Zones outside the grid are ignored.',
+    });
+    const addButton = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        tooltip_text: 'Add Zone',
+        valign: Gtk.Align.CENTER,
+        css_classes: ['flat'],
+    });
+    group.set_header_suffix(addButton);
+    page.add(group);
+
+    let rows = [];
+    let writing = false;
+    const write = zones => {
+        writing = true;
+        writeSnapZones(settings, zones);
+        writing = false;
+    };
+
+    const rebuild = () => {
+        rows.forEach(row => group.remove(row));
+        rows = readSnapZones(settings).map((_, index) => {
+            const row = buildSnapZoneRow(settings, index, write, removeIndex => {
+                const zones = readSnapZones(settings);
+                zones.splice(removeIndex, 1);
+                writeSnapZones(settings, zones);
+            });
+            group.add(row);
+            return row;
+        });
+    };
+    rebuild();
+
+    addButton.connect('clicked', () => {
+        writeSnapZones(settings, [...readSnapZones(settings), ['', 0, 0, 1, 1]]);
+        rows.at(-1)?.set_expanded(true);
+    });
+
+    const changedId = settings.connect('changed::snap-zones', () => {
+        if (!writing) rebuild();
+    });
+    group.connect('destroy', () => settings.disconnect(changedId));
+
+    return group;
+}
+
+export default class MosaicPreferences extends ExtensionPreferences {
+    fillPreferencesWindow(window) {
+        const settings = this.getSettings(SCHEMA_ID);
+        // Keep settings alive for as long as the window is open
+        window._settings = settings;
+
+        window.add(this._buildLayoutPage(settings));
+        window.add(this._buildAnimationsPage(settings));
+        window.add(this._buildEdgeTilingPage(settings));
+        window.add(this._buildSmartResizePage(settings));
+        window.add(this._buildWindowRulesPage(settings));
+        window.add(this._buildKeybindingsPage(settings));
+    }
+
+    _buildLayoutPage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Layout', icon_name: 'view-grid-symbolic' });
+
+        const spacing = new Adw.PreferencesGroup({
+            title: 'Spacing',
+            description: 'Gaps can be turned off for single workspaces from the Quick Settings menu.',
+        });
+        addSpinRow(spacing, settings, 'window-spacing');
+        addSpinRow(spacing, settings, 'outer-margin');
+        addSpinRow(spacing, settings, 'corner-radius');
+        page.add(spacing);
+
+        const sizes = new Adw.PreferencesGroup({ title: 'Window Sizes' });
+        addSpinRow(sizes, settings, 'min-window-width', 10);
+        addSpinRow(sizes, settings, 'min-window-height', 10);
+        addSwitchRow(sizes, settings, 'focus-zoom');
+        page.add(sizes);
+
+        const masterStack = new Adw.PreferencesGroup({ title: 'Master/Stack' });
+        addSpinRow(masterStack, settings, 'master-ratio', 5);
+        page.add(masterStack);
+
+        const scoring = new Adw.PreferencesGroup({
+            title: 'Window Arrangement',
+            description: 'What the mosaic aims for when choosing where each window goes. Only the weights relative to each other matter; 0 ignores an aim.',
+        });
+        addSwitchRow(scoring, settings, 'incremental-layout');
+        for (const key of ['score-compactness', 'score-centralization', 'score-size-efficiency', 'score-displacement', 'score-order-stability'])
+            addSpinRow(scoring, settings, key, 5);
+        page.add(scoring);
+
+        const stacks = new Adw.PreferencesGroup({
+            title: 'Window Stacks',
+            description: 'Drag a window out of its stack to give it its own place again.',
+        });
+        addSwitchRow(stacks, settings, 'stack-on-drop');
+        page.add(stacks);
+
+        const snapshots = new Adw.PreferencesGroup({
+            title: 'Layout Snapshots',
+            description: 'Snapshots are saved and restored from the workspace submenus in Quick Settings.',
+        });
+        addSwitchRow(snapshots, settings, 'snapshot-launch-apps');
+        page.add(snapshots);
+
+        return page;
+    }
+
+    _buildAnimationsPage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Animations', icon_name: 'media-playback-start-symbolic' });
+
+        const durations = new Adw.PreferencesGroup({ title: 'Durations' });
+        addSpinRow(durations, settings, 'animation-duration', 10);
+        addSpinRow(durations, settings, 'animation-open-close-duration', 10);
+        page.add(durations);
+
+        const easing = new Adw.PreferencesGroup({ title: 'Easing' });
+        addAnimationModeRow(easing, settings, 'animation-mode');
+        addAnimationModeRow(easing, settings, 'animation-mode-subtle');
+        addAnimationModeRow(easing, settings, 'animation-mode-momentum');
+        page.add(easing);
+
+        return page;
+    }
+
+    _buildEdgeTilingPage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Edge Tiling', icon_name: 'view-dual-symbolic' });
+
+        const detection = new Adw.PreferencesGroup({ title: 'Detection' });
+        addSpinRow(detection, settings, 'edge-tiling-threshold');
+        page.add(detection);
+
+        const grid = new Adw.PreferencesGroup({
+            title: 'Snap Grid',
+            description: 'Hold Ctrl while dragging a window to snap it to the zone under the pointer.',
+        });
+        addSpinRow(grid, settings, 'snap-grid-columns');
+        addSpinRow(grid, settings, 'snap-grid-rows');
+        page.add(grid);
+
+        addSnapZonesGroup(page, settings);
+
+        const assist = new Adw.PreferencesGroup({
+            title: 'Snap Assist',
+            description: 'Use the arrow keys and Enter to pick a window, Escape to dismiss.',
+        });
+        addSwitchRow(assist, settings, 'snap-assist');
+        addSwitchRow(assist, settings, 'snap-assist-all-workspaces');
+        page.add(assist);
+
+        return page;
+    }
+
+    _buildSmartResizePage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Smart Resize', icon_name: 'zoom-fit-best-symbolic' });
+
+        const shrinking = new Adw.PreferencesGroup({ title: 'Shrinking' });
+        addSpinRow(shrinking, settings, 'smart-resize-step-percentage');
+        addSpinRow(shrinking, settings, 'smart-resize-max-iterations');
+        addSpinRow(shrinking, settings, 'smart-resize-detection-delta');
+        addSpinRow(shrinking, settings, 'smart-resize-min-window-width', 10);
+        addSpinRow(shrinking, settings, 'smart-resize-min-window-height', 10);
+        page.add(shrinking);
+
+        const timing = new Adw.PreferencesGroup({ title: 'Timing' });
+        addSpinRow(timing, settings, 'smart-resize-iteration-debounce', 10);
+        addSpinRow(timing, settings, 'smart-resize-learning-debounce', 10);
+        addSpinRow(timing, settings, 'smart-resize-animation-duration', 10);
+        page.add(timing);
+
+        return page;
+    }
+
+    _buildWindowRulesPage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Window Rules', icon_name: 'view-paged-symbolic' });
+
+        addRulesGroup(page, settings, 'window-rules', 'Rules',
+            'A rule applies to windows matching all of its filled-in fields. ' +
+            'The title pattern is a regular expression.',
+            { field: 'action', title: 'Action', options: RULE_ACTIONS });
+
+        addRulesGroup(page, settings, 'workspace-rules', 'Workspace Assignment',
+            'New windows matching a rule open on its workspace. ' +
+            'They still overflow to the next workspace when it is full.',
+            { field: 'workspace', title: 'Workspace', options: WORKSPACE_TARGETS });
+
+        return page;
+    }
+
+    _buildKeybindingsPage(settings) {
+        const page = new Adw.PreferencesPage({ title: 'Keybindings', icon_name: 'input-keyboard-symbolic' });
+
+        for (const [title, bindings] of KEYBINDINGS) {
+            const group = new Adw.PreferencesGroup({ title });
+            for (const [key, label] of bindings) {
+                addShortcutRow(group, settings, key, label);
+            }
+            if (title === 'Focus')
+                addSwitchRow(group, settings, 'focus-wrap-monitors');
+            page.add(group);
+        }
+
+        return page;
+    }
+}
@@ -11,6 +11,16 @@ import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js'
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
 import * as Logger from './logger.js';
+import { LayoutMode } from './constants.js';
+
+// Layouts offered in each workspace submenu, in menu order
+const LAYOUT_LABELS = [
+    [LayoutMode.MOSAIC, 'Mosaic'],
+    [LayoutMode.COLUMNS, 'Columns'],
+    [LayoutMode.GRID, 'Grid'],
+    [LayoutMode.MASTER_STACK, 'Master/Stack'],
+    [LayoutMode.FLOATING, 'Floating'],
+];
 
 // Helper to get GIcon for custom icons
 let _iconPath = null;
@@ -56,6 +66,11 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
         this._wsRemovedId = this._workspaceManager.connect('workspace-removed', () => this._rebuildWorkspaceList());
         this._wsSwitchedId = this._workspaceManager.connect('active-workspace-changed', () => this._updateCurrentWorkspaceHighlight());
         
+        // Window counts go stale while the menu is closed, refresh them on open
+        this._menuOpenId = this.menu.connect('open-state-changed', (menu, isOpen) => {
+            if (isOpen) this._rebuildWorkspaceList();
+        });
+        
         // Build initial workspace list (after _workspaceManager is set)
         this._rebuildWorkspaceList();
     }
@@ -98,6 +113,7 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
         
         this._rebuildWorkspaceList();
         this._extension._updateIndicatorIcon();
+        this._extension.layoutStateManager?.scheduleSave();
     }
     
     _rebuildWorkspaceList() {
@@ -113,10 +129,10 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
             const isEnabled = workspace ? !this._extension._disabledWorkspaceStates.get(workspace) : true;
             const isActive = i === activeIndex;
             
-            const item = new PopupMenu.PopupSwitchMenuItem(
-                `Workspace ${i + 1}`,
-                isEnabled
-            );
+            // Each workspace gets a submenu with the on/off switch and the layout choice
+            const item = new PopupMenu.PopupSubMenuMenuItem(`Workspace ${i + 1}`);
+            
+            const layout = workspace ? this._extension.getWorkspaceLayout(workspace) : LayoutMode.MOSAIC;
             
             const icon = new St.Icon({
                 gicon: _getIcon(this._extension, 'dot-symbolic'),
@@ -129,10 +145,43 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
             item.insert_child_at_index(icon, 2);
             item._locationIcon = icon;
             
+            const status = new St.Label({
+                text: this._describeWorkspace(workspace, layout, isEnabled),
+                style_class: 'popup-inactive-menu-item',
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            item.insert_child_above(status, icon);
+            item._statusLabel = status;
+            
             item._workspaceIndex = i;
-            item.connect('toggled', (menuItem, state) => {
-                this._onWorkspaceToggle(menuItem._workspaceIndex, state);
+            
+            // Floating never tiles, so the switch shows off and only matters once a tiling layout is picked
+            const isFloating = layout === LayoutMode.FLOATING;
+            const switchItem = new PopupMenu.PopupSwitchMenuItem('Tiling', isEnabled && !isFloating);
+            switchItem.setSensitive(!isFloating);
+            switchItem.connect('toggled', (menuItem, state) => {
+                this._onWorkspaceToggle(item._workspaceIndex, state);
             });
+            item.menu.addMenuItem(switchItem);
+            
+            const gapsItem = new PopupMenu.PopupSwitchMenuItem('Gaps', !this._extension.hasZeroGaps(workspace));
+            gapsItem.connect('toggled', (menuItem, state) => {
+                this._onWorkspaceGapsToggle(item._workspaceIndex, state);
+            });
+            item.menu.addMenuItem(gapsItem);
+            item.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            
+            for (const [mode, label] of LAYOUT_LABELS) {
+                const layoutItem = new PopupMenu.PopupMenuItem(label);
+                layoutItem.setOrnament(mode === layout ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+                layoutItem.connect('activate', () => {
+                    this._onWorkspaceLayoutSelected(item._workspaceIndex, mode);
+                });
+                item.menu.addMenuItem(layoutItem);
+            }
+            
+            item.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem('Snapshots'));
+            this._addSnapshotItems(item);
             
             this._workspacesSection.addMenuItem(item);
             this._workspaceItems.push(item);
@@ -142,6 +191,82 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
         this._updateGlobalToggleState();
     }
     
+    // One item per saved snapshot to recall it here, plus an entry to save this workspace
+    _addSnapshotItems(item) {
+        const snapshotManager = this._extension.snapshotManager;
+        if (!snapshotManager) return;
+        
+        for (const name of snapshotManager.getNames()) {
+            const snapshotItem = new PopupMenu.PopupMenuItem(name);
+            const deleteButton = new St.Button({
+                child: new St.Icon({ icon_name: 'edit-delete-symbolic', style_class: 'popup-menu-icon' }),
+                style_class: 'snapshot-delete-button',
+                x_expand: true,
+                x_align: Clutter.ActorAlign.END,
+            });
+            deleteButton.connect('clicked', () => {
+                snapshotManager.delete(name);
+                // Drop just this row, rebuilding would collapse the open submenu
+                snapshotItem.destroy();
+            });
+            snapshotItem.add_child(deleteButton);
+            snapshotItem.connect('activate', () => {
+                const workspace = this._workspaceManager.get_workspace_by_index(item._workspaceIndex);
+                Logger.log(`Quick Settings: Restoring snapshot '${name}' on workspace ${item._workspaceIndex + 1}`);
+                snapshotManager.restore(workspace, name);
+            });
+            item.menu.addMenuItem(snapshotItem);
+        }
+        
+        const entry = new St.Entry({
+            hint_text: 'Save layout as…',
+            style_class: 'snapshot-entry',
+            can_focus: true,
+            x_expand: true,
+        });
+        entry.clutter_text.connect('activate', () => {
+            const workspace = this._workspaceManager.get_workspace_by_index(item._workspaceIndex);
+            if (snapshotManager.save(workspace, entry.text))
+                this.menu.close();
+        });
+        const entryItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false });
+        entryItem.add_child(entry);
+        item.menu.addMenuItem(entryItem);
+    }
+    
+    // e.g. "3 windows · Grid", only counting windows Mosaic would tile
+    _describeWorkspace(workspace, layout, isEnabled) {
+        const windowingManager = this._extension.windowingManager;
+        const count = workspace && windowingManager
+            ? workspace.list_windows().filter(w => windowingManager.isRelated(w) && !windowingManager.isExcluded(w)).length
+            : 0;
+        const windows = `${count} ${count === 1 ? 'window' : 'windows'}`;
+        if (!isEnabled) return `${windows} · Off`;
+        
+        const entry = LAYOUT_LABELS.find(([mode]) => mode === layout);
+        return `${windows} · ${entry ? entry[1] : layout}`;
+    }
+    
+    // Update a row in place, rebuilding would collapse the open submenu
+    _updateWorkspaceStatus(workspaceIndex) {
+        const item = this._workspaceItems[workspaceIndex];
+        const workspace = this._workspaceManager.get_workspace_by_index(workspaceIndex);
+        if (!item || !workspace) return;
+        
+        item._statusLabel.text = this._describeWorkspace(workspace,
+            this._extension.getWorkspaceLayout(workspace),
+            !this._extension._disabledWorkspaceStates.get(workspace));
+    }
+    
+    _onWorkspaceLayoutSelected(workspaceIndex, layout) {
+        const workspace = this._workspaceManager.get_workspace_by_index(workspaceIndex);
+        if (!workspace) return;
+        
+        Logger.log(`Quick Settings: Workspace ${workspaceIndex + 1} layout ${layout}`);
+        // setWorkspaceLayout re-tiles, saves and rebuilds this menu through the indicator
+        this._extension.setWorkspaceLayout(workspace, layout);
+    }
+    
     _updateCurrentWorkspaceHighlight() {
         const activeIndex = this._workspaceManager.get_active_workspace_index();
         const nWorkspaces = this._workspaceManager.get_n_workspaces();
@@ -172,7 +297,9 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
         }
         
         this._updateGlobalToggleState();
+        this._updateWorkspaceStatus(workspaceIndex);
         this._extension._updateIndicatorIcon();
+        this._extension.layoutStateManager?.scheduleSave();
         
         // Re-tile the affected workspace if enabling
         if (enabled) {
@@ -185,6 +312,15 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
         }
     }
     
+    _onWorkspaceGapsToggle(workspaceIndex, enabled) {
+        const workspace = this._workspaceManager.get_workspace_by_index(workspaceIndex);
+        if (!workspace) return;
+        
+        Logger.log(`Quick Settings: Workspace ${workspaceIndex + 1} gaps ${enabled ? 'ON' : 'OFF'}`);
+        // Re-tiles and saves, the switch already shows the new state
+        this._extension.setZeroGapsForWorkspace(workspace, !enabled);
+    }
+    
     _updateGlobalToggleState() {
         // Global toggle is ON if any workspace has mosaic enabled
         const nWorkspaces = this._workspaceManager.get_n_workspaces();
@@ -215,6 +351,10 @@ class MosaicMenuToggle extends QuickSettings.QuickMenuToggle {
             this._workspaceManager.disconnect(this._wsSwitchedId);
             this._wsSwitchedId = null;
         }
+        if (this._menuOpenId) {
+            this.menu.disconnect(this._menuOpenId);
+            this._menuOpenId = null;
+        }
         
         super.destroy();
     }
@@ -244,10 +384,16 @@ class MosaicIndicator extends QuickSettings.SystemIndicator {
         });
     }
     
+    // Sync menu and icon after workspace state changed outside the menu
+    refresh() {
+        this._toggle._rebuildWorkspaceList();
+        this._updateIcon();
+    }
+    
     _updateIcon() {
         const activeIndex = this._workspaceManager.get_active_workspace_index();
         const workspace = this._workspaceManager.get_workspace_by_index(activeIndex);
-        const isEnabled = workspace ? !this._extension._disabledWorkspaceStates.get(workspace) : true;
+        const isEnabled = workspace ? this._extension.isMosaicEnabledForWorkspace(workspace) : true;
         this._indicator.gicon = _getIcon(this._extension, isEnabled ? 'mosaic-on-symbolic' : 'mosaic-off-symbolic');
     }
     
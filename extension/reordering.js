@@ -3,6 +3,7 @@
 // Window reordering via drag and drop
 
 import * as Logger from './logger.js';
+import * as constants from './constants.js';
 import { TileZone } from './constants.js';
 
 import GObject from 'gi://GObject';
@@ -16,11 +17,14 @@ export const ReorderingManager = GObject.registerClass({
         this._positionChangedId = 0;
         this._rejectedSwap = null;  // Track rejected swap to avoid repeated overflow checks
         this._lastTileState = null;  // Track last tile state to avoid repeated tiling
+        this._stackTarget = null;  // Window the dragged one gets stacked onto when dropped now
         
         this._tilingManager = null;
         this._edgeTilingManager = null;
         this._animationsManager = null;
         this._windowingManager = null;
+        this._drawingManager = null;
+        this._stackManager = null;
         
         this._boundPositionHandler = null;
         this._dragContext = null;
@@ -42,12 +46,69 @@ export const ReorderingManager = GObject.registerClass({
         this._windowingManager = manager;
     }
 
+    setDrawingManager(manager) {
+        this._drawingManager = manager;
+    }
+
+    setStackManager(manager) {
+        this._stackManager = manager;
+    }
+
     _cursorDistance(cursor, frame) {
         let x = cursor.x - (frame.x + frame.width / 2);
         let y = cursor.y - (frame.y + frame.height / 2);
         return Math.sqrt(Math.pow(x, 2) + Math.pow(y, 2));
     }
 
+    // Cursor within the central part of the window, where a drop stacks instead of swapping
+    _isOverCentre(cursor, frame) {
+        return Math.abs(cursor.x - (frame.x + frame.width / 2)) <= frame.width * constants.STACK_DROP_AREA / 2 &&
+               Math.abs(cursor.y - (frame.y + frame.height / 2)) <= frame.height * constants.STACK_DROP_AREA / 2;
+    }
+
+    _findStackTarget(meta_window, target, cursor, workspace, monitor) {
+        if (!constants.STACK_ON_DROP || !this._stackManager || !target || !this._isOverCentre(cursor, target))
+            return null;
+
+        const targetWindow = this._windowingManager.getMonitorWorkspaceWindows(workspace, monitor)
+            .find(w => w.get_id() === target.id);
+        return this._stackManager.canStack(targetWindow, meta_window) ? targetWindow : null;
+    }
+
+    _setStackTarget(window) {
+        if (this._stackTarget === window) return;
+        this._stackTarget = window;
+
+        if (!this._drawingManager) return;
+        if (!window) {
+            this._drawingManager.hideStackPreview();
+            return;
+        }
+        
+        // Cover the tab strip too when the target already is a stack
+        const frame = window.get_frame_rect();
+        const tabHeight = this._stackManager.getTabStripHeight(window);
+        this._drawingManager.showStackPreview({
+            x: frame.x,
+            y: frame.y - tabHeight,
+            width: frame.width,
+            height: frame.height + tabHeight,
+        });
+    }
+
+    _updateCachedPositions(layout) {
+        if (!layout || !this._dragContext?.windows) return;
+        for (const cachedWin of this._dragContext.windows) {
+            const newPos = layout.find(l => l.id === cachedWin.id);
+            if (newPos) {
+                cachedWin.x = newPos.x;
+                cachedWin.y = newPos.y;
+                cachedWin.width = newPos.width;
+                cachedWin.height = newPos.height;
+            }
+        }
+    }
+
     setPaused(paused) {
         this._paused = paused;
         if (paused && this._tilingManager) {
@@ -66,6 +127,10 @@ export const ReorderingManager = GObject.registerClass({
         
         let workspace = meta_window.get_workspace();
         let monitor = meta_window.get_monitor();
+        
+        // Descriptors belong to the monitor the drag started on, DragHandler restarts
+        // the drag once the window crosses to another one
+        if (monitor !== this._dragContext.monitor) return;
         let workArea = workspace.get_work_area_for_monitor(monitor);
 
         let _cursor = global.get_pointer();
@@ -90,12 +155,14 @@ export const ReorderingManager = GObject.registerClass({
 
         let minimum_distance = Infinity;
         let target_id = null;
+        let target = null;
         for(let window of reorderableWindows) {
             let distance = this._cursorDistance(cursor, window);
             if(distance < minimum_distance)
             {
                 minimum_distance = distance;
                 target_id = window.id;
+                target = window;
             }
         }
 
@@ -105,6 +172,11 @@ export const ReorderingManager = GObject.registerClass({
             isOverEdgeZone = zone !== TileZone.NONE;
         }
         
+        const stackTarget = !isOverEdgeZone && target_id !== id
+            ? this._findStackTarget(meta_window, target, cursor, workspace, monitor)
+            : null;
+        this._setStackTarget(stackTarget);
+        
         // When over edge zone, skip all swap and tiling logic - edge tiling handler manages the layout
         if (isOverEdgeZone) {
             this._tilingManager.clearTmpSwap();
@@ -122,6 +194,16 @@ export const ReorderingManager = GObject.registerClass({
                 this._tilingManager.tileWorkspaceWindows(workspace, meta_window, monitor);
                 this._lastTileState = 'no-swap';
             }
+        } else if (stackTarget) {
+            // Dropping here stacks the windows, so the layout goes back to having no swap
+            const newState = `stack-${target_id}`;
+            if (this._lastTileState !== newState) {
+                this._tilingManager.clearTmpSwap();
+                this._rejectedSwap = null;
+                const result = this._tilingManager.tileWorkspaceWindows(workspace, meta_window, monitor);
+                this._lastTileState = newState;
+                this._updateCachedPositions(result?.layout);
+            }
         } else if (this._rejectedSwap === target_id) {
             // This swap was already rejected due to overflow - do nothing, keep current layout
             // Don't call tileWorkspaceWindows to avoid re-animation
@@ -147,18 +229,7 @@ export const ReorderingManager = GObject.registerClass({
                     this._lastTileState = newState;
                     
                     // Update cached positions using returned layout (no separate getter call needed)
-                    const layout = result?.layout;
-                    if (layout && this._dragContext?.windows) {
-                        for (const cachedWin of this._dragContext.windows) {
-                            const newPos = layout.find(l => l.id === cachedWin.id);
-                            if (newPos) {
-                                cachedWin.x = newPos.x;
-                                cachedWin.y = newPos.y;
-                                cachedWin.width = newPos.width;
-                                cachedWin.height = newPos.height;
-                            }
-                        }
-                    }
+                    this._updateCachedPositions(result?.layout);
                 }
             }
         }
@@ -207,6 +278,7 @@ export const ReorderingManager = GObject.registerClass({
         this._dragContext = {
             meta_window,
             id: meta_window.get_id(),
+            monitor,
             windows: descriptorsCopy
         };
         
@@ -225,6 +297,9 @@ export const ReorderingManager = GObject.registerClass({
         
         this._dragContext = null;
         
+        const stackTarget = this._stackTarget;
+        this._setStackTarget(null);
+        
         if (this._animationsManager) {
             this._animationsManager.setDragging(false);
         }
@@ -232,6 +307,12 @@ export const ReorderingManager = GObject.registerClass({
         this._tilingManager.disableDragMode();
         this._tilingManager.destroyMasks();
         
+        // Dropped on the centre of a window: stack instead of swapping, StackManager retiles
+        if (stackTarget && !skip_apply && this._stackManager.stackWindow(stackTarget, meta_window)) {
+            this._tilingManager.clearTmpSwap();
+            return;
+        }
+        
         if(!skip_apply)
             this._tilingManager.applyTmpSwap(workspace);
             
@@ -255,8 +336,11 @@ export const ReorderingManager = GObject.registerClass({
         this.dragStart = false;
         this._boundPositionHandler = null;
         this._dragContext = null;
+        this._stackTarget = null;
         this._tilingManager = null;
         this._edgeTilingManager = null;
         this._animationsManager = null;
+        this._drawingManager = null;
+        this._stackManager = null;
     }
 });
\ No newline at end of file
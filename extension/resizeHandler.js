@@ -222,6 +222,8 @@ export const ResizeHandler = GObject.registerClass({
             if (isManualResizeAction) {
                 // Manual resize always updates preferredSize and clears constraints
                 WindowState.set(window, 'preferredSize', { width: rect.width, height: rect.height });
+                // The size the user picked is the one to keep once focus zoom lets go
+                WindowState.remove(window, 'focusZoomBaseSize');
                 if (isConstrained) {
                     WindowState.set(window, 'isConstrainedByMosaic', false);
                     Logger.log(`Manual resize for ${window.get_id()} - cleared constraint`);
@@ -432,8 +434,8 @@ export const ResizeHandler = GObject.registerClass({
         
         if (!canFit) {
             Logger.log(`handleUnmaximizeUndo: Window ${windowId} doesn't fit normally - attempting Smart Resize fit`);
-            // Pass preMaxSize as overrideSize to tryFitWithResize
-            canFit = this.tilingManager.tryFitWithResize(window, existingWindows, targetWorkspace.get_work_area_for_monitor(monitor), preMaxSize);
+            // The window isn't on targetWorkspace yet, so name it for the layout and gap lookups
+            canFit = this.tilingManager.tryFitWithResize(window, existingWindows, targetWorkspace.get_work_area_for_monitor(monitor), targetWorkspace);
             resizeNeeded = canFit;
         }
         
@@ -0,0 +1,190 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Scratchpads: windows kept out of every mosaic and toggled as a centred overlay
+
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import * as WindowState from './windowState.js';
+
+// Share of the work area a scratchpad takes the first time it's shown
+const DEFAULT_SIZE_RATIO = 0.6;
+
+// A scratchpad is flagged 'scratchpad', which WindowingManager.isExcluded() honours, and
+// WindowHandler ignores its workspace moves. Hidden means minimized; showing it brings it to
+// the active workspace and current monitor, centred and above the tiles, at the size it
+// had when last hidden ('scratchpadSize').
+export const ScratchpadManager = GObject.registerClass({
+    GTypeName: 'MosaicScratchpadManager',
+    Signals: {
+        'scratchpads-changed': {},
+    },
+}, class ScratchpadManager extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._windows = []; // Least recently shown first
+        this._unmanagedIds = new Map(); // window -> signal id
+
+        // Flags brought back by LayoutStateManager.restore()
+        for (const window of global.display.list_all_windows()) {
+            if (WindowState.get(window, 'scratchpad'))
+                this._track(window);
+        }
+    }
+
+    // Accessor shortcuts
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get windowHandler() { return this._ext.windowHandler; }
+
+    isScratchpad(window) {
+        return !!WindowState.get(window, 'scratchpad');
+    }
+
+    _track(window) {
+        this._windows.push(window);
+        this._unmanagedIds.set(window, window.connect('unmanaged', () => {
+            this._untrack(window);
+            this.emit('scratchpads-changed');
+        }));
+    }
+
+    _untrack(window) {
+        const id = this._unmanagedIds.get(window);
+        if (id) window.disconnect(id);
+        this._unmanagedIds.delete(window);
+        this._windows = this._windows.filter(w => w !== window);
+    }
+
+    toggleMark(window) {
+        if (!window) return false;
+        return this.isScratchpad(window) ? this.unmark(window) : this.mark(window);
+    }
+
+    // Take window out of the mosaic and hide it until toggled
+    mark(window) {
+        if (!this.windowingManager.isRelated(window) || this.isScratchpad(window)) return false;
+
+        this._ext.stackManager?.removeFromStack(window, false);
+        if (this.edgeTilingManager.isEdgeTiled(window))
+            this.edgeTilingManager.removeTile(window);
+        if (this.windowingManager.isMaximizedOrFullscreen(window)) {
+            if (window.is_fullscreen()) window.unmake_fullscreen();
+            window.unmaximize();
+        }
+
+        // Its own size, not the one the mosaic squeezed it to
+        const size = WindowState.get(window, 'preferredSize') ?? window.get_frame_rect();
+        WindowState.set(window, 'scratchpad', true);
+        this._track(window);
+        Logger.log(`[SCRATCHPAD] Window ${window.get_id()} is now a scratchpad`);
+
+        // The mosaic closes the gap like for any window becoming excluded
+        this.windowHandler.handleExclusionStateChange(window);
+        this.hide(window);
+        WindowState.set(window, 'scratchpadSize', { width: size.width, height: size.height });
+        this.emit('scratchpads-changed');
+        return true;
+    }
+
+    // Give window back to the mosaic of the workspace it's on
+    unmark(window) {
+        if (!this.isScratchpad(window)) return false;
+
+        this._untrack(window);
+        this._dropAbove(window);
+        WindowState.remove(window, 'scratchpad');
+        WindowState.remove(window, 'scratchpadSize');
+        Logger.log(`[SCRATCHPAD] Window ${window.get_id()} is no longer a scratchpad`);
+
+        // Unminimizing goes through handleExclusionStateChange by itself
+        if (window.minimized)
+            window.unminimize();
+        else
+            this.windowHandler.handleExclusionStateChange(window);
+        this.emit('scratchpads-changed');
+        return true;
+    }
+
+    // Hide the focused scratchpad, otherwise raise the one shown here or show the last one used
+    toggle() {
+        const focused = global.display.focus_window;
+        if (focused && this.isScratchpad(focused) && !focused.minimized) {
+            this.hide(focused);
+            return true;
+        }
+
+        const workspace = global.workspace_manager.get_active_workspace();
+        const shown = this._windows.filter(w => !w.minimized && w.get_workspace() === workspace);
+        const window = shown.at(-1) ?? this._windows.at(-1);
+        if (!window) {
+            Logger.log('[SCRATCHPAD] No scratchpad to toggle');
+            return false;
+        }
+        this.show(window);
+        return true;
+    }
+
+    show(window) {
+        const workspace = global.workspace_manager.get_active_workspace();
+        const monitor = global.display.get_current_monitor();
+
+        if (window.get_workspace() !== workspace)
+            window.change_workspace(workspace);
+        if (window.get_monitor() !== monitor)
+            window.move_to_monitor(monitor);
+
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        const size = WindowState.get(window, 'scratchpadSize') ?? {
+            width: Math.round(workArea.width * DEFAULT_SIZE_RATIO),
+            height: Math.round(workArea.height * DEFAULT_SIZE_RATIO),
+        };
+        const width = Math.min(size.width, workArea.width);
+        const height = Math.min(size.height, workArea.height);
+        window.move_resize_frame(true,
+            workArea.x + Math.round((workArea.width - width) / 2),
+            workArea.y + Math.round((workArea.height - height) / 2),
+            width, height);
+
+        if (window.minimized)
+            window.unminimize();
+        // Stay over the tiles even when one of them is clicked
+        if (!window.is_above()) {
+            window.make_above();
+            WindowState.set(window, 'scratchpadMadeAbove', true);
+        }
+        window.activate(global.get_current_time());
+
+        this._windows = [...this._windows.filter(w => w !== window), window];
+        Logger.log(`[SCRATCHPAD] Showing window ${window.get_id()} on workspace ${workspace.index()}, monitor ${monitor}`);
+    }
+
+    hide(window) {
+        if (!window.minimized) {
+            const frame = window.get_frame_rect();
+            WindowState.set(window, 'scratchpadSize', { width: frame.width, height: frame.height });
+        }
+        this._dropAbove(window);
+        window.minimize();
+        Logger.log(`[SCRATCHPAD] Hiding window ${window.get_id()}`);
+        this.emit('scratchpads-changed');
+    }
+
+    _dropAbove(window) {
+        if (!WindowState.get(window, 'scratchpadMadeAbove')) return;
+        WindowState.remove(window, 'scratchpadMadeAbove');
+        window.unmake_above();
+    }
+
+    // Scratchpads stay where they are; LayoutStateManager already saved them
+    destroy() {
+        for (const window of [...this._windows]) {
+            this._untrack(window);
+            this._dropAbove(window);
+            WindowState.remove(window, 'scratchpad');
+            WindowState.remove(window, 'scratchpadSize');
+        }
+        this._ext = null;
+    }
+});
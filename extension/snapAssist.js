@@ -0,0 +1,283 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Snap assist: after a window is snapped to a half, offer the other windows for the empty half
+
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Pango from 'gi://Pango';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import { TileZone } from './constants.js';
+import * as WindowState from './windowState.js';
+import { afterAnimations } from './timing.js';
+
+// Half left next to a snapped half
+const COMPLEMENTARY_ZONES = {
+    [TileZone.LEFT_FULL]: TileZone.RIGHT_FULL,
+    [TileZone.RIGHT_FULL]: TileZone.LEFT_FULL,
+    [TileZone.TOP_FULL]: TileZone.BOTTOM_FULL,
+    [TileZone.BOTTOM_FULL]: TileZone.TOP_FULL,
+};
+
+const KEY_DIRECTIONS = {
+    [Clutter.KEY_Left]: St.DirectionType.LEFT,
+    [Clutter.KEY_Right]: St.DirectionType.RIGHT,
+    [Clutter.KEY_Up]: St.DirectionType.UP,
+    [Clutter.KEY_Down]: St.DirectionType.DOWN,
+    [Clutter.KEY_Tab]: St.DirectionType.TAB_FORWARD,
+    [Clutter.KEY_ISO_Left_Tab]: St.DirectionType.TAB_BACKWARD,
+};
+
+const PANEL_PADDING = 24;
+const THUMBNAIL_SPACING = 16;
+const TITLE_HEIGHT = 32;
+
+function _overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+           a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+export const SnapAssist = GObject.registerClass({
+    GTypeName: 'MosaicSnapAssist',
+}, class SnapAssist extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._backdrop = null;
+        this._grid = null;
+        this._grab = null;
+        this._target = null;
+        this._unmanagedId = 0;
+
+        this._snappedId = this.edgeTilingManager.connect('window-snapped', (_, window, zone) => {
+            if (!constants.SNAP_ASSIST || !(zone in COMPLEMENTARY_ZONES)) return;
+            // A lone mosaic window is auto-tiled into the other half after RETILE_DELAY_MS,
+            // so only look once that happened and the tiles finished moving
+            this._timeoutRegistry.add(constants.RETILE_DELAY_MS, () => {
+                afterAnimations(this.animationsManager, () => this._maybeShow(window, zone), this._timeoutRegistry);
+                return GLib.SOURCE_REMOVE;
+            }, 'snapAssist');
+        });
+        this._workspaceChangedId = global.workspace_manager.connect('active-workspace-changed', () => this.dismiss());
+    }
+
+    // Accessor shortcuts
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get tilingManager() { return this._ext.tilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get animationsManager() { return this._ext.animationsManager; }
+    get _timeoutRegistry() { return this._ext._timeoutRegistry; }
+
+    _maybeShow(window, zone) {
+        if (this._backdrop || !this._ext || !window.get_compositor_private()) return;
+        if (this.edgeTilingManager.getWindowState(window)?.zone !== zone) return;
+
+        const workspace = window.get_workspace();
+        const monitor = window.get_monitor();
+        if (workspace !== global.workspace_manager.get_active_workspace()) return;
+
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        const zone2 = COMPLEMENTARY_ZONES[zone];
+        const rect = this.edgeTilingManager.getZoneRect(zone2, workArea);
+
+        // Only offer a half nothing else is snapped into
+        const occupied = this.edgeTilingManager.getEdgeTiledWindows(workspace, monitor)
+            .some(({ window: w }) => w !== window && _overlaps(w.get_frame_rect(), rect));
+        if (occupied) return;
+
+        const candidates = this._getCandidates(window, workspace, monitor);
+        if (candidates.length === 0) return;
+
+        Logger.log(`[ASSIST] Offering ${candidates.length} windows for zone ${zone2} next to window ${window.get_id()}`);
+        this._show(window, zone2, rect, candidates);
+    }
+
+    // Most recently used first, like the window switcher
+    _getCandidates(snappedWindow, workspace, monitor) {
+        const allWorkspaces = constants.SNAP_ASSIST_ALL_WORKSPACES;
+        return global.display.get_tab_list(Meta.TabList.NORMAL, allWorkspaces ? null : workspace)
+            .filter(w => w !== snappedWindow &&
+                !this.windowingManager.isExcluded(w) &&
+                !this.edgeTilingManager.isEdgeTiled(w) &&
+                (w.get_workspace() !== workspace || w.get_monitor() === monitor));
+    }
+
+    _show(snappedWindow, zone, rect, candidates) {
+        this._target = { snappedWindow, zone };
+
+        // Transparent backdrop over the whole stage: it holds the grab and a click on it dismisses
+        this._backdrop = new St.Widget({
+            reactive: true,
+            x: 0,
+            y: 0,
+            width: global.stage.width,
+            height: global.stage.height,
+        });
+        this._backdrop.connect('button-press-event', () => {
+            this.dismiss();
+            return Clutter.EVENT_STOP;
+        });
+        this._backdrop.connect('key-press-event', (_actor, event) => this._onKeyPress(event));
+
+        const panel = new St.BoxLayout({
+            style_class: 'snap-assist',
+            orientation: Clutter.Orientation.VERTICAL,
+            reactive: true,
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+        });
+        // Clicks between the thumbnails must not reach the backdrop
+        panel.connect('button-press-event', () => Clutter.EVENT_STOP);
+        this._backdrop.add_child(panel);
+
+        const layout = new Clutter.GridLayout({ column_spacing: THUMBNAIL_SPACING, row_spacing: THUMBNAIL_SPACING });
+        this._grid = new St.Widget({
+            layout_manager: layout,
+            x_expand: true,
+            y_expand: true,
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        panel.add_child(this._grid);
+
+        const columns = Math.ceil(Math.sqrt(candidates.length));
+        const rows = Math.ceil(candidates.length / columns);
+        const cellWidth = (rect.width - 2 * PANEL_PADDING - (columns - 1) * THUMBNAIL_SPACING) / columns;
+        const cellHeight = (rect.height - 2 * PANEL_PADDING - (rows - 1) * THUMBNAIL_SPACING) / rows;
+
+        const buttons = candidates.map((window, i) => {
+            const button = this._createThumbnail(window, cellWidth, cellHeight - TITLE_HEIGHT);
+            layout.attach(button, i % columns, Math.floor(i / columns), 1, 1);
+            return button;
+        });
+
+        Main.uiGroup.add_child(this._backdrop);
+
+        this._grab = Main.pushModal(this._backdrop, { actionMode: Shell.ActionMode.POPUP });
+        if ((this._grab.get_seat_state() & Clutter.GrabState.KEYBOARD) === 0) {
+            Logger.warn('[ASSIST] Could not grab the keyboard, not showing snap assist');
+            this.dismiss();
+            return;
+        }
+
+        this._unmanagedId = snappedWindow.connect('unmanaged', () => this.dismiss());
+        buttons[0].grab_key_focus();
+    }
+
+    _createThumbnail(window, width, height) {
+        const button = new St.Button({
+            style_class: 'snap-assist-window',
+            can_focus: true,
+            track_hover: true,
+            width,
+        });
+        const box = new St.BoxLayout({ orientation: Clutter.Orientation.VERTICAL });
+        button.set_child(box);
+
+        const actor = window.get_compositor_private();
+        const scale = Math.min(width / actor.width, height / actor.height, 1);
+        box.add_child(new Clutter.Clone({
+            source: actor,
+            width: Math.floor(actor.width * scale),
+            height: Math.floor(actor.height * scale),
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.END,
+            y_expand: true,
+        }));
+
+        const title = new St.Label({
+            style_class: 'snap-assist-title',
+            text: window.get_title() ?? '',
+            x_align: Clutter.ActorAlign.CENTER,
+        });
+        title.clutter_text.ellipsize = Pango.EllipsizeMode.END;
+        box.add_child(title);
+
+        button.connect('clicked', () => this._pick(window));
+        return button;
+    }
+
+    _onKeyPress(event) {
+        const symbol = event.get_key_symbol();
+        if (symbol === Clutter.KEY_Escape) {
+            this.dismiss();
+            return Clutter.EVENT_STOP;
+        }
+
+        // Return and space are handled by the focused button
+        const direction = KEY_DIRECTIONS[symbol];
+        if (direction !== undefined && this._grid) {
+            this._grid.navigate_focus(global.stage.get_key_focus(), direction, true);
+            return Clutter.EVENT_STOP;
+        }
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    _pick(window) {
+        const { snappedWindow, zone } = this._target;
+        this.dismiss();
+
+        if (!window.get_compositor_private() || !snappedWindow.get_compositor_private()) return;
+
+        const workspace = snappedWindow.get_workspace();
+        const monitor = snappedWindow.get_monitor();
+        const sourceWorkspace = window.get_workspace();
+        const sourceMonitor = window.get_monitor();
+
+        // Tiling below decides where the window goes, skip the usual fit check of a workspace move
+        if (sourceWorkspace !== workspace) {
+            WindowState.set(window, 'movedByKeybinding', true);
+            window.change_workspace(workspace);
+            WindowState.remove(window, 'movedByKeybinding');
+            WindowState.set(window, 'previousWorkspace', workspace.index());
+        }
+        if (sourceMonitor !== monitor)
+            window.move_to_monitor(monitor);
+
+        Logger.log(`[ASSIST] Snapping window ${window.get_id()} to zone ${zone} next to window ${snappedWindow.get_id()}`);
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        this.edgeTilingManager.applyTile(window, zone, workArea);
+        window.activate(global.get_current_time());
+
+        if (sourceWorkspace !== workspace)
+            this.tilingManager.tileWorkspaceWindows(sourceWorkspace, null, sourceMonitor, true);
+    }
+
+    dismiss() {
+        if (this._unmanagedId) {
+            this._target?.snappedWindow.disconnect(this._unmanagedId);
+            this._unmanagedId = 0;
+        }
+        if (this._grab) {
+            Main.popModal(this._grab);
+            this._grab = null;
+        }
+        if (this._backdrop) {
+            this._backdrop.destroy();
+            this._backdrop = null;
+            this._grid = null;
+        }
+        this._target = null;
+    }
+
+    destroy() {
+        this.dismiss();
+        if (this._snappedId) {
+            this.edgeTilingManager.disconnect(this._snappedId);
+            this._snappedId = 0;
+        }
+        if (this._workspaceChangedId) {
+            global.workspace_manager.disconnect(this._workspaceChangedId);
+            this._workspaceChangedId = 0;
+        }
+        this._ext = null;
+    }
+});
@@ -0,0 +1,132 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// User-defined snap zones laid out on a grid (thirds, centre column, top/bottom halves...)
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import { SNAP_ZONE_BASE } from './constants.js';
+
+// Holding this while dragging snaps to the grid instead of the screen edges
+const SNAP_GRID_MODIFIER = Clutter.ModifierType.CONTROL_MASK;
+
+// Entries of 'snap-zones' are (name, column, row, columns, rows) in grid cells
+function _compileZone([name, column, row, columns, rows], index, gridColumns, gridRows) {
+    if (column < 0 || row < 0 || columns < 1 || rows < 1 ||
+        column + columns > gridColumns || row + rows > gridRows) {
+        Logger.warn(`[SNAP] Ignoring zone '${name}' outside the ${gridColumns}x${gridRows} grid`);
+        return null;
+    }
+    return { id: SNAP_ZONE_BASE + index, name, column, row, columns, rows };
+}
+
+// Cell boundaries are rounded once so neighbouring zones share their edges exactly
+function _edge(start, length, cell, cells) {
+    return start + Math.round(length * cell / cells);
+}
+
+export const SnapZoneManager = GObject.registerClass({
+    GTypeName: 'MosaicSnapZoneManager',
+    Signals: {
+        'zones-changed': {},
+    },
+}, class SnapZoneManager extends GObject.Object {
+    _init(settings) {
+        super._init();
+        this._settings = settings;
+        this._zones = [];
+
+        this._load();
+        this._changedIds = ['snap-zones', 'snap-grid-columns', 'snap-grid-rows'].map(key =>
+            this._settings.connect(`changed::${key}`, () => {
+                this._load();
+                this.emit('zones-changed');
+            }));
+    }
+
+    _load() {
+        this._columns = this._settings.get_int('snap-grid-columns');
+        this._rows = this._settings.get_int('snap-grid-rows');
+        // Ids follow the position in the settings list so keybindings stay stable
+        this._zones = this._settings.get_value('snap-zones').deepUnpack()
+            .map((entry, index) => _compileZone(entry, index, this._columns, this._rows))
+            .filter(Boolean);
+        Logger.log(`[SNAP] Loaded ${this._zones.length} snap zones on a ${this._columns}x${this._rows} grid`);
+    }
+
+    get gridSize() {
+        return { columns: this._columns, rows: this._rows };
+    }
+
+    getZones() {
+        return this._zones;
+    }
+
+    getZone(id) {
+        return this._zones.find(zone => zone.id === id) ?? null;
+    }
+
+    isSnapZone(id) {
+        return this.getZone(id) !== null;
+    }
+
+    isGridModifierActive() {
+        const [, , mods] = global.get_pointer();
+        return (mods & SNAP_GRID_MODIFIER) !== 0;
+    }
+
+    getCellRect(column, row, workArea) {
+        return this._getRect({ column, row, columns: 1, rows: 1 }, workArea);
+    }
+
+    getZoneRect(id, workArea) {
+        const zone = this.getZone(id);
+        return zone ? this._getRect(zone, workArea) : null;
+    }
+
+    _getRect(zone, workArea) {
+        const x = _edge(workArea.x, workArea.width, zone.column, this._columns);
+        const y = _edge(workArea.y, workArea.height, zone.row, this._rows);
+        return {
+            x,
+            y,
+            width: _edge(workArea.x, workArea.width, zone.column + zone.columns, this._columns) - x,
+            height: _edge(workArea.y, workArea.height, zone.row + zone.rows, this._rows) - y,
+        };
+    }
+
+    // Zone whose centre is nearest to the pointer relative to its size, so overlapping
+    // zones (a third and the two-thirds containing it) are both reachable. Ties go
+    // to the smaller zone.
+    zoneAt(x, y, workArea) {
+        let best = null;
+        let bestDistance = Infinity;
+        let bestArea = Infinity;
+
+        for (const zone of this._zones) {
+            const rect = this._getRect(zone, workArea);
+            if (x < rect.x || x >= rect.x + rect.width || y < rect.y || y >= rect.y + rect.height)
+                continue;
+
+            const distance = Math.max(
+                Math.abs(x - (rect.x + rect.width / 2)) / rect.width,
+                Math.abs(y - (rect.y + rect.height / 2)) / rect.height);
+            const area = rect.width * rect.height;
+            if (distance < bestDistance || (distance === bestDistance && area < bestArea)) {
+                best = zone;
+                bestDistance = distance;
+                bestArea = area;
+            }
+        }
+        return best ? best.id : null;
+    }
+
+    destroy() {
+        for (const id of this._changedIds)
+            this._settings.disconnect(id);
+        this._changedIds = [];
+        this._zones = [];
+        this._settings = null;
+    }
+});
@@ -0,0 +1,301 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Named layout snapshots: a workspace's arrangement saved under a name and recalled later
+
+import Meta from 'gi://Meta';
+import GObject from 'gi://GObject';
+import Shell from 'gi://Shell';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import { TileZone, LayoutMode } from './constants.js';
+import * as WindowState from './windowState.js';
+import { ComputedLayouts } from './tiling.js';
+import { afterAnimations, waitForGeometry } from './timing.js';
+
+// Key a window by the .desktop id Shell associated with it, so a missing one can be launched
+// again through Shell.AppSystem. Windows without an app fall back to the Flatpak id or wm_class.
+function _getAppKey(window) {
+    const app = Shell.WindowTracker.get_default().get_window_app(window);
+    if (app && !app.is_window_backed())
+        return app.get_id();
+    return window.get_sandboxed_app_id() || window.get_wm_class() || '';
+}
+
+// Snapshots live in the 'layout-snapshots' setting as
+// { name: { layout, windows: [{ app, title, monitor, order, zone, edgeState, preferredSize }] } }
+// where order is the position in the mosaic of its monitor (-1 for edge tiles).
+export const SnapshotManager = GObject.registerClass({
+    GTypeName: 'MosaicSnapshotManager',
+    Signals: {
+        'snapshots-changed': {},
+    },
+}, class SnapshotManager extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._pendingLaunches = []; // [{ appKey, entry, session, expires }]
+
+        this._load();
+        this._changedId = this._settings.connect('changed::layout-snapshots', () => {
+            this._load();
+            this.emit('snapshots-changed');
+        });
+        this._windowCreatedId = global.display.connect('window-created', (_display, window) => this._onWindowCreated(window));
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get animationsManager() { return this._ext.animationsManager; }
+    get _settings() { return this._ext._settings; }
+    get _timeoutRegistry() { return this._ext._timeoutRegistry; }
+
+    _load() {
+        try {
+            const snapshots = JSON.parse(this._settings.get_string('layout-snapshots'));
+            this._snapshots = snapshots && typeof snapshots === 'object' ? snapshots : {};
+        } catch (e) {
+            Logger.warn(`[SNAPSHOT] Ignoring unreadable snapshots: ${e.message}`);
+            this._snapshots = {};
+        }
+    }
+
+    _store() {
+        this._settings.set_string('layout-snapshots', JSON.stringify(this._snapshots));
+    }
+
+    getNames() {
+        return Object.keys(this._snapshots).sort((a, b) => a.localeCompare(b));
+    }
+
+    has(name) {
+        return Object.hasOwn(this._snapshots, name);
+    }
+
+    // Tiled windows of workspace; maximized and excluded windows aren't part of an arrangement
+    _listWindows(workspace) {
+        return workspace.list_windows().filter(w =>
+            this.windowingManager.isRelated(w) &&
+            !this.windowingManager.isExcluded(w) &&
+            !this.windowingManager.isMaximizedOrFullscreen(w));
+    }
+
+    save(workspace, name) {
+        name = name?.trim();
+        if (!workspace || !name) return false;
+
+        const windows = [];
+        for (let monitor = 0; monitor < global.display.get_n_monitors(); monitor++) {
+            const order = this.tilingManager.getMosaicOrder(workspace, monitor);
+            for (const window of this._listWindows(workspace).filter(w => w.get_monitor() === monitor)) {
+                const edgeState = this.edgeTilingManager.getWindowState(window);
+                const zone = edgeState?.zone ?? TileZone.NONE;
+                // The size the window asked for, not the one a layout or animation gave it
+                const size = WindowState.get(window, 'preferredSize') ?? ComputedLayouts.get(window) ?? window.get_frame_rect();
+                windows.push({
+                    app: _getAppKey(window),
+                    title: window.get_title() ?? '',
+                    monitor,
+                    order: zone === TileZone.NONE ? order.indexOf(window) : -1,
+                    zone,
+                    edgeState: zone === TileZone.NONE ? null
+                        : { x: edgeState.x, y: edgeState.y, width: edgeState.width, height: edgeState.height },
+                    preferredSize: { width: size.width, height: size.height },
+                });
+            }
+        }
+
+        this._snapshots[name] = { layout: this._ext.getWorkspaceLayout(workspace), windows };
+        this._store();
+        Logger.log(`[SNAPSHOT] Saved '${name}' from workspace ${workspace.index()} (${windows.length} windows)`);
+        return true;
+    }
+
+    delete(name) {
+        if (!this.has(name)) return false;
+        delete this._snapshots[name];
+        this._store();
+        Logger.log(`[SNAPSHOT] Deleted '${name}'`);
+        return true;
+    }
+
+    // Pick a window for every saved entry: same app on the workspace first (same title
+    // preferred), then from other workspaces. Unmatched entries come back as missing.
+    _match(entries, workspace) {
+        const candidates = global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null).filter(w =>
+            this.windowingManager.isRelated(w) &&
+            !this.windowingManager.isExcluded(w) &&
+            !this.windowingManager.isMaximizedOrFullscreen(w));
+        const keys = new Map(candidates.map(w => [w, _getAppKey(w)]));
+
+        const matches = new Map();
+        const used = new Set();
+        const passes = [
+            (w, entry) => w.get_workspace() === workspace && w.get_title() === entry.title,
+            (w, _entry) => w.get_workspace() === workspace,
+            (w, entry) => w.get_title() === entry.title,
+            () => true,
+        ];
+        for (const pass of passes) {
+            for (const entry of entries) {
+                if (matches.has(entry)) continue;
+                const window = candidates.find(w => !used.has(w) && keys.get(w) === entry.app && pass(w, entry));
+                if (window) {
+                    matches.set(entry, window);
+                    used.add(window);
+                }
+            }
+        }
+        return { matches, missing: entries.filter(entry => !matches.has(entry)) };
+    }
+
+    // Rearrange workspace like the snapshot name; with launchMissing, apps without a
+    // matching window are started and placed once their window shows up
+    restore(workspace, name, launchMissing = constants.SNAPSHOT_LAUNCH_APPS) {
+        const snapshot = this._snapshots[name];
+        if (!workspace || !snapshot) {
+            Logger.log(`[SNAPSHOT] No snapshot named '${name}'`);
+            return false;
+        }
+
+        Logger.log(`[SNAPSHOT] Restoring '${name}' on workspace ${workspace.index()}`);
+        if (Object.values(LayoutMode).includes(snapshot.layout) && this._ext.getWorkspaceLayout(workspace) !== snapshot.layout)
+            this._ext.setWorkspaceLayout(workspace, snapshot.layout);
+
+        const { matches, missing } = this._match(snapshot.windows ?? [], workspace);
+        const session = { workspace, matches, retiles: new Map() };
+
+        for (const [entry, window] of matches)
+            this._place(window, entry, session);
+
+        if (launchMissing) {
+            const appSystem = Shell.AppSystem.get_default();
+            for (const entry of missing) {
+                const app = appSystem.lookup_app(entry.app);
+                if (!app) {
+                    Logger.log(`[SNAPSHOT] Can't launch '${entry.app}', no such app`);
+                    continue;
+                }
+                Logger.log(`[SNAPSHOT] Launching missing app '${entry.app}'`);
+                this._pendingLaunches.push({
+                    appKey: entry.app, entry, session,
+                    expires: Date.now() + constants.SNAPSHOT_LAUNCH_TIMEOUT_MS,
+                });
+                try {
+                    app.launch(0, workspace.index(), Shell.AppLaunchGpu.APP_PREF);
+                } catch (e) {
+                    Logger.warn(`[SNAPSHOT] Launching '${entry.app}' failed: ${e.message}`);
+                }
+            }
+        }
+
+        this._finish(session);
+        return true;
+    }
+
+    // Bring window to the session's workspace and give it the saved zone or size
+    _place(window, entry, session) {
+        const { workspace } = session;
+        const source = window.get_workspace();
+        const monitor = window.get_monitor();
+
+        if (source !== workspace) {
+            Logger.log(`[SNAPSHOT] Moving window ${window.get_id()} to workspace ${workspace.index()}`);
+            // Same path as keyboard moves, so the fit and overflow heuristics stay out of it
+            this._ext.stackManager?.removeFromStack(window, false);
+            WindowState.set(window, 'movedByKeybinding', true);
+            window.change_workspace(workspace);
+            WindowState.remove(window, 'movedByKeybinding');
+            WindowState.set(window, 'previousWorkspace', workspace.index());
+            if (source)
+                session.retiles.set(`${source.index()}:${monitor}`, [source, monitor]);
+        }
+        session.retiles.set(`${workspace.index()}:${monitor}`, [workspace, monitor]);
+
+        const zone = this.edgeTilingManager.getWindowState(window)?.zone ?? TileZone.NONE;
+        const validZone = Object.values(TileZone).includes(entry.zone) || this.edgeTilingManager.isSnapZone(entry.zone);
+        if (entry.zone !== TileZone.NONE && validZone) {
+            if (entry.zone === zone) return;
+            this._ext.stackManager?.removeFromStack(window, false);
+            // Keep the pre-tile geometry so untiling returns the window to where it was
+            if (!this.edgeTilingManager.getWindowState(window) && entry.edgeState)
+                WindowState.set(window, 'edgeTilingState', { ...entry.edgeState, zone: TileZone.NONE });
+            const workArea = workspace.get_work_area_for_monitor(monitor);
+            this.edgeTilingManager.applyTile(window, entry.zone, workArea, true);
+            return;
+        }
+
+        if (zone !== TileZone.NONE)
+            this.edgeTilingManager.removeTile(window);
+
+        if (entry.preferredSize) {
+            const { width, height } = entry.preferredSize;
+            WindowState.set(window, 'preferredSize', { width, height });
+            const frame = window.get_frame_rect();
+            if (frame.width !== width || frame.height !== height)
+                window.move_resize_frame(true, frame.x, frame.y, width, height);
+        }
+    }
+
+    // Apply the saved mosaic order once sizes and tiles settled, then retile
+    _finish(session) {
+        afterAnimations(this.animationsManager, () => {
+            const { workspace, matches } = session;
+            if (workspace.index() < 0) return;
+
+            const byMonitor = new Map();
+            const ordered = [...matches].filter(([entry]) => entry.order >= 0)
+                .sort(([a], [b]) => a.monitor - b.monitor || a.order - b.order);
+            for (const [, window] of ordered) {
+                if (window.get_workspace() !== workspace) continue;
+                const monitor = window.get_monitor();
+                if (!byMonitor.has(monitor)) byMonitor.set(monitor, []);
+                byMonitor.get(monitor).push(window);
+            }
+            for (const [monitor, windows] of byMonitor)
+                this.tilingManager.setMosaicOrder(workspace, monitor, windows);
+
+            for (const [target, monitor] of session.retiles.values()) {
+                if (target.index() >= 0)
+                    this.tilingManager.tileWorkspaceWindows(target, null, monitor, false);
+            }
+            session.retiles.clear();
+            this._ext.layoutStateManager?.scheduleSave();
+        }, this._timeoutRegistry);
+    }
+
+    _onWindowCreated(window) {
+        const now = Date.now();
+        this._pendingLaunches = this._pendingLaunches.filter(pending => pending.expires > now);
+        if (this._pendingLaunches.length === 0 || !this.windowingManager.isRelated(window)) return;
+
+        const appKey = _getAppKey(window);
+        const index = this._pendingLaunches.findIndex(pending => pending.appKey === appKey);
+        if (index === -1) return;
+
+        const [{ entry, session }] = this._pendingLaunches.splice(index, 1);
+        waitForGeometry(window, () => {
+            if (!window.get_compositor_private() || session.workspace.index() < 0) return;
+            Logger.log(`[SNAPSHOT] Placing launched window ${window.get_id()} for '${entry.app}'`);
+            session.matches.set(entry, window);
+            this._place(window, entry, session);
+            this._finish(session);
+        }, this._timeoutRegistry);
+    }
+
+    destroy() {
+        if (this._changedId) {
+            this._settings.disconnect(this._changedId);
+            this._changedId = 0;
+        }
+        if (this._windowCreatedId) {
+            global.display.disconnect(this._windowCreatedId);
+            this._windowCreatedId = 0;
+        }
+        this._pendingLaunches = [];
+        this._snapshots = {};
+        this._ext = null;
+    }
+});
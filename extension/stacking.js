@@ -0,0 +1,343 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Window stacks: several windows sharing one mosaic slot, switched with a tab strip
+
+import GObject from 'gi://GObject';
+
+import * as Logger from './logger.js';
+import * as constants from './constants.js';
+import * as WindowState from './windowState.js';
+import { createDebounced } from './timing.js';
+
+// Only the active window of a stack is shown and tiled. The others are flagged
+// 'hiddenInStack', which WindowingManager.isExcluded() honours, so the whole stack
+// takes a single WindowDescriptor in the mosaic. Hidden windows follow the frame of
+// the active one and the tab strip sits right above it.
+export const StackManager = GObject.registerClass({
+    GTypeName: 'MosaicStackManager',
+    Signals: {
+        'stacks-changed': {},
+    },
+}, class StackManager extends GObject.Object {
+    _init(extension) {
+        super._init();
+        this._ext = extension;
+        this._stacks = new Set();
+        this._memberSignals = new Map(); // window -> [[object, id], ...]
+        this._pendingRetiles = new Map(); // 'workspace:monitor' -> [workspace, monitor]
+
+        this._flushRetiles = createDebounced(() => {
+            for (const [workspace, monitor] of this._pendingRetiles.values()) {
+                if (workspace.index() >= 0)
+                    this.tilingManager.tileWorkspaceWindows(workspace, null, monitor, false);
+            }
+            this._pendingRetiles.clear();
+        }, constants.RETILE_DELAY_MS, this._timeoutRegistry);
+
+        this._displaySignals = [
+            global.display.connect('notify::focus-window', () => this._onFocusChanged()),
+            global.display.connect('restacked', () => this._syncAll()),
+            global.display.connect('window-left-monitor', (_display, _monitor, window) => {
+                if (this.getStack(window)) this._onMemberGone(window);
+            }),
+        ];
+        this._workspaceChangedId = global.workspace_manager.connect('active-workspace-changed', () => this._syncAll());
+    }
+
+    // Accessor shortcuts
+    get tilingManager() { return this._ext.tilingManager; }
+    get drawingManager() { return this._ext.drawingManager; }
+    get windowingManager() { return this._ext.windowingManager; }
+    get edgeTilingManager() { return this._ext.edgeTilingManager; }
+    get windowHandler() { return this._ext.windowHandler; }
+    get _timeoutRegistry() { return this._ext._timeoutRegistry; }
+
+    getStack(window) {
+        return WindowState.get(window, 'stack') ?? null;
+    }
+
+    getStacks() {
+        return [...this._stacks];
+    }
+
+    isStackActive(window) {
+        return this.getStack(window)?.active === window;
+    }
+
+    // Extra height the slot of a stack's active window needs for the tab strip
+    getTabStripHeight(window) {
+        return this.isStackActive(window) ? constants.STACK_TAB_HEIGHT : 0;
+    }
+
+    canStack(target, window) {
+        if (!target || !window || target === window) return false;
+        if (this.getStack(target) && this.getStack(target) === this.getStack(window)) return false;
+        return target.get_workspace() === window.get_workspace() &&
+            target.get_monitor() === window.get_monitor() &&
+            !this.windowingManager.isExcluded(target) &&
+            !this.windowingManager.isExcluded(window) &&
+            !this.windowingManager.isMaximizedOrFullscreen(target) &&
+            !this.edgeTilingManager.isEdgeTiled(target);
+    }
+
+    // Put window into target's slot (joining target's stack if it has one) and show it
+    stackWindow(target, window) {
+        if (!this.canStack(target, window)) {
+            Logger.log(`[STACK] Cannot stack window ${window?.get_id()} onto window ${target?.get_id()}`);
+            return false;
+        }
+
+        this.removeFromStack(window, false);
+
+        let stack = this.getStack(target);
+        let frame;
+        if (!stack) {
+            stack = { windows: [], active: target };
+            this._stacks.add(stack);
+            this._addMember(stack, target);
+
+            // The slot keeps its size, the tab strip comes out of the window's height
+            const slot = target.get_frame_rect();
+            frame = {
+                x: slot.x,
+                y: slot.y + constants.STACK_TAB_HEIGHT,
+                width: slot.width,
+                height: Math.max(slot.height - constants.STACK_TAB_HEIGHT, 1),
+            };
+        }
+        this._addMember(stack, window);
+        Logger.log(`[STACK] Stacked window ${window.get_id()} onto window ${target.get_id()} (${stack.windows.length} windows)`);
+
+        this._setActive(stack, window, frame);
+        this._scheduleRetile(window.get_workspace(), window.get_monitor());
+        this.emit('stacks-changed');
+        return true;
+    }
+
+    // Show the window step positions away from the active one in window's stack
+    cycle(window, step) {
+        const stack = this.getStack(window);
+        if (!stack) return false;
+
+        const n = stack.windows.length;
+        const index = stack.windows.indexOf(stack.active);
+        const next = stack.windows[(index + step + n) % n];
+        Logger.log(`[STACK] Cycling to window ${next.get_id()}`);
+        // The focus change makes it the active one
+        next.activate(global.get_current_time());
+        return true;
+    }
+
+    // Take window out of its stack. With arrive it then gets its own place in the mosaic
+    // like a window that just became tiled; without, the caller places it (e.g. a drag).
+    removeFromStack(window, arrive = true) {
+        const stack = this.getStack(window);
+        if (!stack) return false;
+
+        Logger.log(`[STACK] Removing window ${window.get_id()} from its stack`);
+        this._detach(stack, window);
+        this.emit('stacks-changed');
+
+        if (arrive) {
+            // The stack keeps its slot, so the window is new to the mosaic
+            WindowState.set(window, 'previousExclusionState', true);
+            this.windowHandler.handleExclusionStateChange(window);
+        }
+        return true;
+    }
+
+    // Closed, minimized or moved away: the rest of the stack keeps going without it
+    _onMemberGone(window) {
+        const stack = this.getStack(window);
+        if (!stack) return;
+
+        Logger.log(`[STACK] Window ${window.get_id()} left its stack`);
+        const survivor = stack.windows.find(w => w !== window);
+        this._detach(stack, window);
+        this.emit('stacks-changed');
+
+        if (survivor?.get_workspace())
+            this._scheduleRetile(survivor.get_workspace(), survivor.get_monitor());
+    }
+
+    _addMember(stack, window) {
+        stack.windows.push(window);
+        WindowState.set(window, 'stack', stack);
+
+        const signals = [
+            [window, window.connect('unmanaging', () => this._onMemberGone(window))],
+            [window, window.connect('workspace-changed', () => this._onMemberGone(window))],
+            [window, window.connect('notify::minimized', () => {
+                if (window.minimized) this._onMemberGone(window);
+            })],
+            [window, window.connect('position-changed', () => this._followActive(window))],
+            [window, window.connect('size-changed', () => this._followActive(window))],
+            [window, window.connect('notify::title', () => this._syncTabs(stack))],
+        ];
+
+        // Mutter shows window actors again on workspace switches
+        const actor = window.get_compositor_private();
+        if (actor) {
+            signals.push([actor, actor.connect('notify::visible', () => {
+                if (actor.visible && WindowState.get(window, 'hiddenInStack'))
+                    actor.hide();
+            })]);
+        }
+        this._memberSignals.set(window, signals);
+    }
+
+    _detach(stack, window) {
+        const index = stack.windows.indexOf(window);
+        if (index === -1) return;
+
+        stack.windows.splice(index, 1);
+        this._release(window);
+
+        if (stack.windows.length < 2) {
+            this._dissolve(stack);
+            return;
+        }
+
+        if (stack.active === window) {
+            const next = stack.windows[Math.min(index, stack.windows.length - 1)];
+            // It takes over the slot where the removed window was
+            const frame = window.get_frame_rect();
+            stack.active = null;
+            this._setActive(stack, next, frame);
+        } else {
+            this._syncTabs(stack);
+        }
+    }
+
+    _release(window) {
+        for (const [object, id] of this._memberSignals.get(window) ?? [])
+            object.disconnect(id);
+        this._memberSignals.delete(window);
+
+        WindowState.remove(window, 'stack');
+        WindowState.remove(window, 'hiddenInStack');
+        window.get_compositor_private()?.show();
+
+        // Leaving a stack is not an exclusion change handleExclusionStateChange should act on
+        if (this.windowingManager)
+            WindowState.set(window, 'previousExclusionState', this.windowingManager.isExcluded(window));
+    }
+
+    _dissolve(stack) {
+        for (const window of stack.windows)
+            this._release(window);
+        stack.windows = [];
+        stack.active = null;
+        this.drawingManager?.hideStackTabs(stack);
+        this._stacks.delete(stack);
+    }
+
+    // frame is where the window goes, by default where the previous active one is
+    _setActive(stack, window, frame = stack.active?.get_frame_rect()) {
+        stack.active = window;
+        if (frame) {
+            WindowState.set(window, 'isConstrainedByMosaic', true);
+            window.move_resize_frame(false, frame.x, frame.y, frame.width, frame.height);
+        }
+
+        for (const member of stack.windows) {
+            const hidden = member !== window;
+            if (hidden)
+                WindowState.set(member, 'hiddenInStack', true);
+            else
+                WindowState.remove(member, 'hiddenInStack');
+            WindowState.set(member, 'previousExclusionState', this.windowingManager.isExcluded(member));
+
+            const actor = member.get_compositor_private();
+            if (actor) actor.visible = !hidden;
+        }
+
+        window.raise();
+        this._followActive(window);
+    }
+
+    _onFocusChanged() {
+        const window = global.display.focus_window;
+        const stack = window ? this.getStack(window) : null;
+        if (stack && stack.active !== window) {
+            Logger.log(`[STACK] Focused window ${window.get_id()} becomes the active one of its stack`);
+            this._setActive(stack, window);
+        }
+    }
+
+    // Hidden windows keep the active one's frame and the tabs stay on top of it
+    _followActive(window) {
+        const stack = this.getStack(window);
+        if (!stack || stack.active !== window) return;
+
+        const frame = window.get_frame_rect();
+        for (const member of stack.windows) {
+            if (member === window) continue;
+            const rect = member.get_frame_rect();
+            if (rect.x === frame.x && rect.y === frame.y && rect.width === frame.width && rect.height === frame.height)
+                continue;
+            WindowState.set(member, 'isConstrainedByMosaic', true);
+            member.move_resize_frame(false, frame.x, frame.y, frame.width, frame.height);
+        }
+        this._syncTabs(stack);
+    }
+
+    _syncTabs(stack) {
+        const window = stack.active;
+        if (!window || !this.drawingManager) return;
+
+        const frame = window.get_frame_rect();
+        const visible = !!window.get_workspace()?.active && !window.minimized &&
+            !this.windowingManager.isMaximizedOrFullscreen(window);
+        const rect = {
+            x: frame.x,
+            y: frame.y - constants.STACK_TAB_HEIGHT,
+            width: frame.width,
+            height: constants.STACK_TAB_HEIGHT,
+        };
+        this.drawingManager.showStackTabs(stack, rect, visible,
+            member => member.activate(global.get_current_time()));
+    }
+
+    _syncAll() {
+        for (const stack of this._stacks) {
+            // Clicks go by Mutter's stacking, not actor visibility, so keep the active window on top
+            const top = global.display.sort_windows_by_stacking(stack.windows).at(-1);
+            if (top && top !== stack.active && stack.active.get_workspace()?.active)
+                stack.active.raise();
+            this._syncTabs(stack);
+        }
+    }
+
+    _scheduleRetile(workspace, monitor) {
+        this._pendingRetiles.set(`${workspace.index()}:${monitor}`, [workspace, monitor]);
+        this._flushRetiles();
+    }
+
+    // Rebuild a saved stack; the first window takes the slot, active is shown
+    restoreStack(windows, active) {
+        const [target, ...rest] = windows;
+        for (const window of rest)
+            this.stackWindow(target, window);
+
+        const stack = this.getStack(target);
+        if (stack && active && stack.windows.includes(active) && stack.active !== active)
+            this._setActive(stack, active);
+    }
+
+    destroy() {
+        this._flushRetiles.cancel();
+        this._pendingRetiles.clear();
+        for (const stack of [...this._stacks])
+            this._dissolve(stack);
+
+        for (const id of this._displaySignals)
+            global.display.disconnect(id);
+        this._displaySignals = [];
+        if (this._workspaceChangedId) {
+            global.workspace_manager.disconnect(this._workspaceChangedId);
+            this._workspaceChangedId = 0;
+        }
+        this._ext = null;
+    }
+});
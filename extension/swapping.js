@@ -7,6 +7,14 @@ import { TileZone } from './constants.js';
 import * as WindowState from './windowState.js';
 
 import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+
+const MONITOR_DIRECTIONS = {
+    left: Meta.DisplayDirection.LEFT,
+    right: Meta.DisplayDirection.RIGHT,
+    up: Meta.DisplayDirection.UP,
+    down: Meta.DisplayDirection.DOWN,
+};
 
 export const SwappingManager = GObject.registerClass({
     GTypeName: 'MosaicSwappingManager',
@@ -330,6 +338,60 @@ export const SwappingManager = GObject.registerClass({
         }
     }
 
+    // Activate the neighbour in a direction using the same search as swapping.
+    // With wrap, running off the monitor edge continues on the adjacent monitor.
+    focusWindow(window, direction, wrap = false) {
+        const workspace = window.get_workspace();
+        const monitor = window.get_monitor();
+
+        Logger.log(`Moving focus from window ${window.get_id()} in direction: ${direction}`);
+
+        const neighbor = this.findNeighbor(window, direction, workspace, monitor);
+        let target = neighbor?.window ?? null;
+
+        if (!target && wrap)
+            target = this._findWindowOnAdjacentMonitor(direction, workspace, monitor);
+
+        if (!target) {
+            Logger.log('No window to focus in direction:', direction);
+            return false;
+        }
+
+        target.activate(global.get_current_time());
+        return true;
+    }
+
+    // Window on the next monitor closest to the edge focus enters through
+    _findWindowOnAdjacentMonitor(direction, workspace, monitor) {
+        if (!this._edgeTilingManager) return null;
+
+        const nextMonitor = global.display.get_monitor_neighbor_index(monitor, MONITOR_DIRECTIONS[direction]);
+        if (nextMonitor < 0) return null;
+
+        const windows = [
+            ...this._edgeTilingManager.getEdgeTiledWindows(workspace, nextMonitor).map(w => w.window),
+            ...this._edgeTilingManager.getNonEdgeTiledWindows(workspace, nextMonitor),
+        ].filter(w => !w.minimized);
+
+        const distanceToEdge = w => {
+            const frame = w.get_frame_rect();
+            switch (direction) {
+                case 'left': return -(frame.x + frame.width);
+                case 'right': return frame.x;
+                case 'up': return -(frame.y + frame.height);
+                case 'down': return frame.y;
+                default: return Infinity;
+            }
+        };
+
+        let closest = null;
+        for (const w of windows) {
+            if (!closest || distanceToEdge(w) < distanceToEdge(closest))
+                closest = w;
+        }
+        return closest;
+    }
+
     swapWindows(draggedWindow, targetWindow, targetZone, workspace, monitor) {
         if (!this._edgeTilingManager) return false;
         
@@ -8,20 +8,31 @@ import GObject from 'gi://GObject';
 
 import * as Logger from './logger.js';
 import * as constants from './constants.js';
-import { TileZone } from './constants.js';
+import { LayoutMode } from './constants.js';
 import * as WindowState from './windowState.js';
+import * as LayoutEngine from './layoutEngine.js';
+import { RuleAction } from './windowRules.js';
+
+// Layouts that size windows themselves instead of keeping their natural size
+const SIZING_LAYOUTS = [LayoutMode.COLUMNS, LayoutMode.GRID, LayoutMode.MASTER_STACK];
+
+// Share of the way to its preferred size a focused window tries, largest first.
+// Each step is a full tiling pass, so keep this to a single fallback.
+const FOCUS_ZOOM_STEPS = [1, 0.5];
 
 export const ComputedLayouts = new WeakMap();
 
 class SmartResizeIterator {
-    constructor(windows, newWindow, workArea, tilingManager) {
-        // Filter to only resizable windows - non-resizable windows can't be shrunk
-        const existingResizable = windows.filter(w => w.allows_resize && w.allows_resize());
-        const existingNonResizable = windows.filter(w => !w.allows_resize || !w.allows_resize());
+    constructor(windows, newWindow, workArea, tilingManager, spacing = constants.WINDOW_SPACING) {
+        // Filter to only resizable windows - non-resizable and fixed-size windows can't be shrunk
+        const canShrink = w => w.allows_resize && w.allows_resize() &&
+            !tilingManager._windowingManager.hasRule(w, RuleAction.FIXED_SIZE);
+        const existingResizable = windows.filter(canShrink);
+        const existingNonResizable = windows.filter(w => !canShrink(w));
         
         // Include newWindow in resize pool if it's resizable
         // This ensures BOTH existing and new windows are democratically resized together
-        const newWindowResizable = newWindow.allows_resize && newWindow.allows_resize();
+        const newWindowResizable = canShrink(newWindow);
         const allResizable = newWindowResizable ? [...existingResizable, newWindow] : existingResizable;
         
         this.resizableWindows = allResizable;
@@ -44,6 +55,7 @@ class SmartResizeIterator {
         }
 
         this.workArea = workArea;
+        this.spacing = spacing;
         this.tilingManager = tilingManager;
         this.iteration = 0;
         
@@ -114,7 +126,7 @@ class SmartResizeIterator {
             return { id, width: size.width, height: size.height };
         });
 
-        return this.tilingManager._tile(simulatedWindows, this.workArea, true);
+        return this.tilingManager._tile(simulatedWindows, this.workArea, true, LayoutMode.MOSAIC, this.spacing);
     }
 
     async executeIteration() {
@@ -504,6 +516,8 @@ export const TilingManager = GObject.registerClass({
         this.tmp_swap = [];
         this.isDragging = false;
         this.dragRemainingSpace = null;
+        // Window grown toward its preferred size by focus zoom (focusZoom.js)
+        this._focusZoomWindow = null;
         
         this._edgeTilingManager = null;
         this._drawingManager = null;
@@ -522,7 +536,7 @@ export const TilingManager = GObject.registerClass({
         // Reference to the currently active SmartResizeIterator
         this._activeSmartResize = null;
         
-        // Layout cache to avoid redundant O(n!) permutation calculations
+        // Layout cache to avoid re-running the order search for unchanged windows
         this._lastLayoutHash = null;
         this._cachedTileResult = null;
     }
@@ -535,6 +549,12 @@ export const TilingManager = GObject.registerClass({
         this._extension = extension;
     }
 
+    // Inner gap between windows and outer margin along the work area's edges
+    getGaps(workspace) {
+        if (this._extension) return this._extension.getWorkspaceGaps(workspace);
+        return { inner: constants.WINDOW_SPACING, outer: constants.OUTER_MARGIN };
+    }
+
     setDrawingManager(manager) {
         this._drawingManager = manager;
     }
@@ -606,6 +626,7 @@ export const TilingManager = GObject.registerClass({
 
     // Try gain factors from 1.0→0.1 and return the best one that fits without overflow
     findBestRestorationGain(windows, shrunkWindows, workArea) {
+        const spacing = this.getGaps(windows[0]?.get_workspace()).inner;
         for (let gainFactor = 1.0; gainFactor >= 0.1; gainFactor -= 0.1) {
             const simulatedWindows = windows.map(w => {
                 const shrunk = shrunkWindows.find(sw => sw.id === w.get_id());
@@ -625,7 +646,7 @@ export const TilingManager = GObject.registerClass({
                 };
             });
 
-            const tile_result = this._tile(simulatedWindows, workArea, true);
+            const tile_result = this._tile(simulatedWindows, workArea, true, LayoutMode.MOSAIC, spacing);
             if (!tile_result.overflow) {
                 Logger.log(`findBestRestorationGain: Found workable factor ${gainFactor.toFixed(1)}`);
                 return { gain: gainFactor, layout: simulatedWindows };
@@ -688,6 +709,7 @@ export const TilingManager = GObject.registerClass({
     invalidateLayoutCache() {
         this._lastLayoutHash = null;
         this._cachedTileResult = null;
+        LayoutEngine.clearOrderCache();
     }
     
     // Get the cached layout result (array of {id, x, y, width, height})
@@ -769,6 +791,45 @@ export const TilingManager = GObject.registerClass({
                 this._swapElements(array, swap[0], swap[1]);
     }
 
+    // Windows of the mosaic on monitor in the order windowsToDescriptors sees them, before
+    // swaps. includeWindow counts even while excluded, e.g. a window being minimized.
+    _getSwappableWindows(workspace, monitor, includeWindow = null) {
+        return this._windowingManager.getMonitorWorkspaceWindows(workspace, monitor).filter(w =>
+            (w === includeWindow || !this._windowingManager.isExcluded(w)) &&
+            !this._edgeTilingManager?.isEdgeTiled(w));
+    }
+
+    // Mosaic order of the windows on monitor, i.e. after the workspace's swaps
+    getMosaicOrder(workspace, monitor, includeWindow = null) {
+        const items = this._getSwappableWindows(workspace, monitor, includeWindow)
+            .map(w => ({ id: w.get_id(), window: w }));
+        this.applySwaps(workspace, items);
+        return items.map(item => item.window);
+    }
+
+    // Replace the swaps of monitor's windows with the ones that put ordered first, in that
+    // order. Windows missing from ordered keep their relative order after them.
+    setMosaicOrder(workspace, monitor, ordered) {
+        const natural = this._getSwappableWindows(workspace, monitor).map(w => w.get_id());
+        const first = ordered.map(w => w.get_id()).filter(id => natural.includes(id));
+        const target = [...first, ...natural.filter(id => !first.includes(id))];
+
+        const current = [...natural];
+        const swaps = [];
+        for (let i = 0; i < target.length; i++) {
+            if (current[i] === target[i]) continue;
+            const j = current.indexOf(target[i]);
+            swaps.push([current[i], current[j]]);
+            [current[i], current[j]] = [current[j], current[i]];
+        }
+
+        const onMonitor = new Set(natural);
+        workspace.swaps = [
+            ...(workspace.swaps ?? []).filter(([id1, id2]) => !onMonitor.has(id1) && !onMonitor.has(id2)),
+            ...swaps,
+        ];
+    }
+
     applyTmp(array) {
         if(this.tmp_swap.length !== 0) {
             this._swapElements(array, this.tmp_swap[0], this.tmp_swap[1]);
@@ -801,15 +862,18 @@ export const TilingManager = GObject.registerClass({
     }
 
     _createDescriptor(meta_window, monitor, index, reference_window) {
-        if(reference_window)
-            if(meta_window.get_id() === reference_window.get_id())
-                return new WindowDescriptor(meta_window, index);
-        
-        if( this._windowingManager.isExcluded(meta_window) ||
+        const isReference = reference_window && meta_window.get_id() === reference_window.get_id();
+        if (!isReference && (
+            this._windowingManager.isExcluded(meta_window) ||
             meta_window.get_monitor() !== monitor ||
-            this._windowingManager.isMaximizedOrFullscreen(meta_window))
+            this._windowingManager.isMaximizedOrFullscreen(meta_window)))
             return false;
-        return new WindowDescriptor(meta_window, index);
+
+        const descriptor = new WindowDescriptor(meta_window, index);
+        // A stack is tiled as its active window plus the tab strip above it
+        descriptor.tabHeight = this._extension?.stackManager?.getTabStripHeight(meta_window) ?? 0;
+        descriptor.height += descriptor.tabHeight;
+        return descriptor;
     }
 
     windowsToDescriptors(meta_windows, monitor, reference_window) {
@@ -822,160 +886,46 @@ export const TilingManager = GObject.registerClass({
         return descriptors;
     }
 
-    // Generate limited permutations for performance
-    _generatePermutations(arr, maxPermutations = 120) {
-        if (arr.length <= 1) return [arr];
-        if (arr.length === 2) return [arr, [arr[1], arr[0]]];
-        
-        // Use heuristic orderings for 6+ windows
-        if (arr.length >= 6) {
-            const byAreaDesc = [...arr].sort((a, b) => (b.width * b.height) - (a.width * a.height));
-            const byAreaAsc = [...arr].sort((a, b) => (a.width * a.height) - (b.width * b.height));
-            const byWidthDesc = [...arr].sort((a, b) => b.width - a.width);
-            const byHeightDesc = [...arr].sort((a, b) => b.height - a.height);
-            return [arr, byAreaDesc, byAreaAsc, byWidthDesc, byHeightDesc];
-        }
-        
-        // Generate all permutations using Heap's algorithm
-        const result = [];
-        const heap = (n, arr) => {
-            if (n === 1) {
-                result.push([...arr]);
-                return;
-            }
-            for (let i = 0; i < n; i++) {
-                heap(n - 1, arr);
-                if (result.length >= maxPermutations) return;
-                if (n % 2 === 0) {
-                    [arr[i], arr[n - 1]] = [arr[n - 1], arr[i]];
-                } else {
-                    [arr[0], arr[n - 1]] = [arr[n - 1], arr[0]];
-                }
-            }
-        };
-        heap(arr.length, [...arr]);
-        return result;
+    // Layout strategy selected for a workspace (mosaic unless the user picked another one)
+    getLayoutMode(workspace) {
+        return this._extension ? this._extension.getWorkspaceLayout(workspace) : LayoutMode.MOSAIC;
     }
 
-    // Score a layout result - higher is better
-    // Prioritizes: no overflow, compactness, centralization
-    _scoreLayout(tileResult, workArea) {
-        if (!tileResult || tileResult.overflow) return -Infinity;
-        
-        // Calculate bounding box of all windows
-        let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
-        let totalArea = 0;
-        
-        for (const level of tileResult.levels) {
-            for (const w of level.windows) {
-                const x = w.targetX || level.x;
-                const y = w.targetY || level.y;
-                minX = Math.min(minX, x);
-                minY = Math.min(minY, y);
-                maxX = Math.max(maxX, x + w.width);
-                maxY = Math.max(maxY, y + w.height);
-                totalArea += w.width * w.height;
-            }
-        }
-        
-        if (minX === Infinity) return -Infinity;
-        
-        const bboxWidth = maxX - minX;
-        const bboxHeight = maxY - minY;
-        const bboxArea = bboxWidth * bboxHeight;
-        
-        // Score components
-        // 1. Compactness: ratio of window area to bounding box area (0-1)
-        const compactness = totalArea / Math.max(bboxArea, 1);
-        
-        // 2. Centralization: how close is the bbox center to workArea center
-        const bboxCenterX = minX + bboxWidth / 2;
-        const bboxCenterY = minY + bboxHeight / 2;
-        const workCenterX = workArea.x + workArea.width / 2;
-        const workCenterY = workArea.y + workArea.height / 2;
-        const centerDist = Math.sqrt(
-            Math.pow(bboxCenterX - workCenterX, 2) + 
-            Math.pow(bboxCenterY - workCenterY, 2)
-        );
-        const maxDist = Math.sqrt(Math.pow(workArea.width, 2) + Math.pow(workArea.height, 2)) / 2;
-        const centralization = 1 - (centerDist / maxDist);
-        
-        // 3. Size efficiency: smaller bounding box is better
-        const sizeEfficiency = 1 - (bboxArea / (workArea.width * workArea.height));
-        
-        // Weighted score (compactness is most important)
-        return compactness * 50 + centralization * 30 + sizeEfficiency * 20;
-    }
-
-    // Find the optimal window ordering by trying permutations
-    _findOptimalOrder(windows, workArea, tilingFn) {
-        if (windows.length <= 1) return windows;
-        
-        const startTime = Date.now();
-        const permutations = this._generatePermutations(windows);
-        
-        let bestOrder = windows;
-        let bestScore = -Infinity;
-        
-        for (const perm of permutations) {
-            const result = tilingFn.call(this, perm, workArea, constants.WINDOW_SPACING);
-            const score = this._scoreLayout(result, workArea);
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestOrder = perm;
-            }
-        }
-        
-        const elapsed = Date.now() - startTime;
-        Logger.log(`_findOptimalOrder: ${windows.length} windows, ${permutations.length} permutations, ${elapsed}ms`);
-        
-        return bestOrder;
-    }
+    // Tile windows with dynamic orientation and optimal search.
+    // Packing lives in layoutEngine.js; this wrapper only adds result caching.
+    _tile(windows, work_area, isSimulation = false, layout = LayoutMode.MOSAIC, spacing = constants.WINDOW_SPACING) {
+        if (!windows || windows.length === 0) return { levels: [], vertical: false, overflow: false, spacing };
 
-    // Generate a hash of window configuration for cache invalidation.
-    // If windows haven't changed IDs/sizes, we can reuse the previous layout.
-    _getLayoutHash(windows, work_area) {
-        const sorted = [...windows].sort((a, b) => a.id - b.id);
-        const parts = sorted.map(w => `${w.id}:${w.width}x${w.height}`);
-        return `${work_area.width}x${work_area.height}|${parts.join(',')}`;
-    }
-
-    // Tile windows with dynamic orientation and optimal search
-    _tile(windows, work_area, isSimulation = false) {
-        if (!windows || windows.length === 0) return { levels: [], vertical: false, overflow: false };
-
-        const hash = this._getLayoutHash(windows, work_area);
+        const hash = `${layout}|${spacing}|${LayoutEngine.getLayoutHash(windows, work_area)}`;
         if (this._cachedTileResult && this._lastLayoutHash === hash && !isSimulation) {
             Logger.log('_tile: Cache hit, reusing layout');
             return this._cachedTileResult;
         }
         
-        const spacing = constants.WINDOW_SPACING;
-        
-        // Check if any window is taller than 50% of workspace height
-        let maxHeight = 0;
-        let maxWidth = 0;
-        for (const w of windows) {
-            maxHeight = Math.max(maxHeight, w.height);
-            maxWidth = Math.max(maxWidth, w.width);
+        let result;
+        switch (layout) {
+            case LayoutMode.COLUMNS:
+                result = LayoutEngine.columns(windows, work_area, spacing, constants.MIN_WINDOW_WIDTH);
+                break;
+            case LayoutMode.GRID:
+                result = LayoutEngine.grid(windows, work_area, spacing,
+                    constants.MIN_WINDOW_WIDTH, constants.MIN_WINDOW_HEIGHT);
+                break;
+            case LayoutMode.MASTER_STACK:
+                result = LayoutEngine.masterStack(windows, work_area, spacing,
+                    constants.MASTER_RATIO, constants.MIN_WINDOW_HEIGHT);
+                break;
+            default:
+                result = LayoutEngine.tile(windows, work_area, spacing, {
+                    budgetMs: isSimulation || this.isDragging
+                        ? constants.LAYOUT_SEARCH_QUICK_BUDGET_MS
+                        : LayoutEngine.SEARCH_BUDGET_MS,
+                    weights: constants.LAYOUT_WEIGHTS,
+                    incremental: windows.some(w => w.previous),
+                });
         }
-        
-        const isNarrowWorkspace = work_area.width < work_area.height;
-        const windowTooWide = maxWidth > work_area.width * 0.9;
-        const windowTooTall = maxHeight > work_area.height * 0.65;
-        const useVerticalShelves = windowTooTall || isNarrowWorkspace || windowTooWide;
-        
-        // Select tiling function based on orientation
-        const tilingFn = useVerticalShelves ? this._verticalShelves : this._horizontalShelves;
-        
-        // Find optimal window ordering (tries permutations, scores each layout)
-        const optimalWindows = this._findOptimalOrder(windows, work_area, tilingFn);
-        
-        Logger.log(`_tile: ${windows.length} windows, vertical=${useVerticalShelves}, optimized order`);
-        
-        // Execute with optimal order and cache result (unless simulation)
-        const result = tilingFn.call(this, optimalWindows, work_area, spacing);
+        // The draw phase steps between windows by the same spacing
+        result.spacing = spacing;
         
         if (!isSimulation) {
             this._lastLayoutHash = hash;
@@ -984,458 +934,6 @@ export const TilingManager = GObject.registerClass({
         
         return result;
     }
-    
-    // Vertical shelves layout - windows stack in columns side by side.
-    _verticalShelves(windows, work_area, spacing) {
-        // For 1-2 windows, use simple centered column
-        if (windows.length <= 2) {
-            return this._simpleCenteredColumn(windows, work_area, spacing);
-        }
-        
-        // Bin packing without height sorting to preserve swap order
-        const columns = []; // Each column: { windows: [], height: 0, width: 0 }
-        
-        for (const w of windows) {
-            let placed = false;
-            
-            // Try to fit in existing column
-            for (const col of columns) {
-                const newHeight = col.height + (col.height > 0 ? spacing : 0) + w.height;
-                if (newHeight <= work_area.height) {
-                    col.windows.push(w);
-                    col.height = newHeight;
-                    col.width = Math.max(col.width, w.width);
-                    placed = true;
-                    break;
-                }
-            }
-            
-            // If doesn't fit anywhere, create new column
-            if (!placed) {
-                const totalWidth = columns.reduce((s, c) => s + c.width, 0) + 
-                                   (columns.length > 0 ? columns.length * spacing : 0) + w.width;
-                
-                if (totalWidth <= work_area.width || columns.length === 0) {
-                    columns.push({ windows: [w], height: w.height, width: w.width });
-                } else {
-                    // Force into column with most space (overflow case)
-                    let bestCol = columns[0];
-                    let minHeight = columns[0].height;
-                    for (const col of columns) {
-                        if (col.height < minHeight) {
-                            minHeight = col.height;
-                            bestCol = col;
-                        }
-                    }
-                    bestCol.windows.push(w);
-                    bestCol.height += spacing + w.height;
-                    bestCol.width = Math.max(bestCol.width, w.width);
-                }
-            }
-        }
-        
-        // Convert columns to levels for rendering
-        const levels = [];
-        let totalWidth = 0;
-        let overflow = false;
-        
-        for (let c = 0; c < columns.length; c++) {
-            const col = columns[c];
-            const level = new Level(work_area);
-            
-            // Recalculate height for this column's windows
-            let colHeight = 0;
-            for (const w of col.windows) {
-                level.windows.push(w);
-                if (colHeight > 0) colHeight += spacing;
-                colHeight += w.height;
-                level.width = Math.max(level.width, w.width);
-            }
-            level.height = colHeight;
-            
-            // Check if column overflows height
-            if (level.height > work_area.height) {
-                overflow = true;
-            }
-            
-            // Center column vertically
-            level.y = (work_area.height - level.height) / 2 + work_area.y;
-            
-            // Check width overflow
-            if (totalWidth + level.width + spacing > work_area.width && c > 0) {
-                overflow = true;
-            }
-            
-            if (c > 0) totalWidth += spacing;
-            totalWidth += level.width;
-            
-            levels.push(level);
-        }
-        
-        // Calculate horizontal centering
-        const startX = (work_area.width - totalWidth) / 2 + work_area.x;
-        const levelCount = levels.length;
-        const centerColIndex = (levelCount - 1) / 2; // e.g., 0.5 for 2 cols, 1 for 3 cols
-        
-        // Set X positions for each column with CENTER-POINTING alignment
-        let xPos = startX;
-        for (let colIdx = 0; colIdx < levelCount; colIdx++) {
-            const level = levels[colIdx];
-            level.x = xPos;
-            
-            // Determine horizontal alignment based on column position
-            let alignMode = 'center';
-            if (levelCount > 1) {
-                if (colIdx < centerColIndex) {
-                    alignMode = 'right'; // Left column → push windows right
-                } else if (colIdx > centerColIndex) {
-                    alignMode = 'left';  // Right column → push windows left
-                }
-            }
-            
-            // Stack windows vertically (packed, centered vertically)
-            let totalColHeight = 0;
-            for (const win of level.windows) {
-                totalColHeight += win.height;
-            }
-            totalColHeight += (level.windows.length - 1) * spacing;
-            
-            let yPos = (work_area.height - totalColHeight) / 2 + work_area.y;
-            
-            for (const win of level.windows) {
-                // Apply horizontal alignment within column
-                if (alignMode === 'left') {
-                    win.targetX = xPos; // Align to left edge of column
-                } else if (alignMode === 'right') {
-                    win.targetX = xPos + level.width - win.width; // Align to right edge
-                } else {
-                    win.targetX = xPos + (level.width - win.width) / 2; // Centered
-                }
-                win.targetY = yPos;
-                yPos += win.height + spacing;
-            }
-            
-            xPos += level.width + spacing;
-        }
-
-        return {
-            x: startX,
-            y: work_area.y,
-            overflow: overflow,
-            vertical: true,
-            levels: levels,
-            windows: windows
-        };
-    }
-    
-    // Helper for 1-2 windows in vertical mode.
-    _simpleCenteredColumn(windows, work_area, spacing) {
-        // Calculate total height if stacked
-        let totalHeight = 0;
-        let maxWidth = 0;
-        for (const w of windows) {
-            if (totalHeight > 0) totalHeight += spacing;
-            totalHeight += w.height;
-            maxWidth = Math.max(maxWidth, w.width);
-        }
-        
-        // If windows DON'T fit when stacked, put them side by side in separate columns
-        if (totalHeight > work_area.height && windows.length === 2) {
-            // Create 2 columns side by side
-            const totalWidth = windows[0].width + spacing + windows[1].width;
-            const startX = (work_area.width - totalWidth) / 2 + work_area.x;
-            
-            const levels = [];
-            let xPos = startX;
-            
-            for (const w of windows) {
-                const level = new Level(work_area);
-                level.windows.push(w);
-                level.width = w.width;
-                level.height = w.height;
-                level.x = xPos;
-                level.y = (work_area.height - w.height) / 2 + work_area.y;
-                
-                w.targetX = level.x;
-                w.targetY = level.y;
-                
-                levels.push(level);
-                xPos += w.width + spacing;
-            }
-            
-            const overflow = totalWidth > work_area.width;
-            
-            return {
-                x: startX,
-                y: work_area.y,
-                overflow: overflow,
-                vertical: true,
-                levels: levels,
-                windows: windows
-            };
-        }
-        
-        // Windows FIT when stacked - use single column
-        const level = new Level(work_area);
-        for (const w of windows) {
-            level.windows.push(w);
-        }
-
-        level.width = maxWidth;
-        level.height = totalHeight;
-        level.x = (work_area.width - maxWidth) / 2 + work_area.x;
-        level.y = (work_area.height - totalHeight) / 2 + work_area.y;
-
-        // Set target positions for each window
-        let yPos = level.y;
-        for (const w of level.windows) {
-            w.targetX = level.x + (maxWidth - w.width) / 2;
-            w.targetY = yPos;
-            yPos += w.height + spacing;
-        }
-
-        const overflow = totalHeight > work_area.height || maxWidth > work_area.width;
-
-        return {
-            x: level.x,
-            y: level.y,
-            overflow: overflow,
-            vertical: true,
-            levels: [level],
-            windows: windows
-        };
-    }
-    
-    // Original horizontal shelves layout.
-    _horizontalShelves(windows, work_area, spacing) {
-        // For 1-2 windows, use simple centered row
-        if (windows.length <= 2) {
-            return this._simpleCenteredRow(windows, work_area, spacing);
-        }
-        
-        // Calculate average dimensions
-        let avgWidth = 0, avgHeight = 0;
-        for (const w of windows) {
-            avgWidth += w.width;
-            avgHeight += w.height;
-        }
-        avgWidth /= windows.length;
-        avgHeight /= windows.length;
-        
-        // Calculate optimal grid dimensions
-        const { rows: numRows, windowsPerRow } = this._calculateOptimalGrid(
-            windows,
-            work_area
-        );
-        
-        // Distribute windows across rows
-        const levels = [];
-        let windowIndex = 0;
-        let totalHeight = 0;
-        let overflow = false;
-        
-        for (let r = 0; r < numRows; r++) {
-            const level = new Level(work_area);
-            const windowsInThisRow = windowsPerRow[r];
-            
-            for (let i = 0; i < windowsInThisRow && windowIndex < windows.length; i++) {
-                const w = windows[windowIndex++];
-                if (level.width + w.width + (level.width > 0 ? spacing : 0) > work_area.width) {
-                    overflow = true;
-                }
-                
-                level.windows.push(w);
-                if (level.width > 0) level.width += spacing;
-                level.width += w.width;
-                level.height = Math.max(level.height, w.height);
-            }
-            
-            level.x = (work_area.width - level.width) / 2 + work_area.x;
-            if (totalHeight + level.height + spacing > work_area.height && r > 0) {
-                overflow = true;
-            }
-            
-            if (r > 0) totalHeight += spacing;
-            totalHeight += level.height;
-            
-            levels.push(level);
-        }
-        
-        const y = (work_area.height - totalHeight) / 2 + work_area.y;
-        
-        // Set targetX/targetY for each window in each level
-        let levelY = y;
-        for (const level of levels) {
-            level.y = levelY;
-            let xPos = level.x;
-            for (const w of level.windows) {
-                w.targetX = xPos;
-                w.targetY = levelY + (level.height - w.height) / 2; // Center vertically within row
-                xPos += w.width + spacing;
-            }
-            levelY += level.height + spacing;
-        }
-        
-        return {
-            x: work_area.x,
-            y: y,
-            overflow: overflow,
-            vertical: false,
-            levels: levels,
-            windows: windows
-        };
-    }
-
-    // Helper for 1-2 windows, simple centered row.
-    _simpleCenteredRow(windows, work_area, spacing) {
-        const level = new Level(work_area);
-        let totalWidth = 0;
-        let maxHeight = 0;
-
-        for (const w of windows) {
-            if (totalWidth > 0) totalWidth += spacing;
-            totalWidth += w.width;
-            maxHeight = Math.max(maxHeight, w.height);
-            level.windows.push(w);
-        }
-
-        level.width = totalWidth;
-        level.height = maxHeight;
-        level.x = (work_area.width - totalWidth) / 2 + work_area.x;
-        
-        const y = (work_area.height - maxHeight) / 2 + work_area.y;
-        level.y = y;
-
-        let xPos = level.x;
-        for (const w of level.windows) {
-            w.targetX = xPos;
-            w.targetY = y + (maxHeight - w.height) / 2; // Center vertically within row
-            xPos += w.width + spacing;
-        }
-
-        return {
-            x: work_area.x,
-            y: y,
-            overflow: totalWidth > work_area.width || maxHeight > work_area.height,
-            vertical: false,
-            levels: [level],
-            windows: windows
-        };
-    }
-    
-    // Calculate optimal grid dimensions using actual window sizes
-    _calculateOptimalGrid(windows, work_area) {
-        const windowCount = windows.length;
-        if (windowCount <= 0) return { rows: 0, windowsPerRow: [] };
-        if (windowCount === 1) return { rows: 1, windowsPerRow: [1] };
-        if (windowCount === 2) return { rows: 1, windowsPerRow: [2] };
-        
-        const spacing = constants.WINDOW_SPACING;
-        const workspaceAspect = work_area.width / work_area.height;
-        
-        let bestRows = 1;
-        let bestScore = Infinity;
-        let bestOverflow = true; // Start assuming everything overflows
-        
-        // Try different row counts
-        for (let rows = 1; rows <= windowCount; rows++) {
-            const cols = Math.ceil(windowCount / rows);
-            
-            // Distribute windows logic (symmetric)
-            const windowsPerRow = new Array(rows).fill(0);
-            const basePerRow = Math.floor(windowCount / rows);
-            let remainder = windowCount % rows;
-
-            for (let r = 0; r < rows; r++) windowsPerRow[r] = basePerRow;
-
-            if (remainder > 0) {
-                const centerIndex = Math.floor(rows / 2);
-                let left = centerIndex;
-                let right = centerIndex;
-                
-                while (remainder > 0) {
-                    if (left >= 0 && left < rows) { windowsPerRow[left]++; remainder--; }
-                    if (remainder > 0 && right !== left && right >= 0 && right < rows) { windowsPerRow[right]++; remainder--; }
-                    left--;
-                    right++;
-                }
-            }
-            
-            // SIMULATE ACTUAL PLACEMENT to check fit
-            let totalHeight = 0;
-            let maxRowWidth = 0;
-            let windowIndex = 0;
-            let currentRowHeight = 0;
-            let currentRowWidth = 0;
-            let overflow = false;
-            
-            for (let r = 0; r < rows; r++) {
-                currentRowHeight = 0;
-                currentRowWidth = 0;
-                const count = windowsPerRow[r];
-                
-                for (let i = 0; i < count; i++) {
-                    if (windowIndex < windows.length) {
-                        const w = windows[windowIndex++];
-                        currentRowWidth += w.width + (currentRowWidth > 0 ? spacing : 0);
-                        currentRowHeight = Math.max(currentRowHeight, w.height);
-                    }
-                }
-                
-                if (currentRowWidth > work_area.width + 5) overflow = true;
-                maxRowWidth = Math.max(maxRowWidth, currentRowWidth);
-                
-                totalHeight += currentRowHeight + (r > 0 ? spacing : 0);
-            }
-            
-            if (totalHeight > work_area.height + 5) overflow = true;
-            
-            // Calculate score (Aspect ratio + Empty spaces)
-            const layoutWidth = maxRowWidth;
-            const layoutHeight = totalHeight;
-            const layoutAspect = layoutWidth / layoutHeight;
-            const aspectDiff = Math.abs(layoutAspect - workspaceAspect);
-            const emptySpaces = rows * cols - windowCount;
-            // Heavily penalize overflow
-            const score = aspectDiff + emptySpaces * 0.3 + (overflow ? 1000 : 0);
-            
-            // Prefer valid layouts over invalid ones
-            if (!overflow && bestOverflow) {
-                // Found first valid layout!
-                bestScore = score;
-                bestRows = rows;
-                bestOverflow = false;
-            } else if (overflow === bestOverflow) {
-                // Determine best among same validity status
-                if (score < bestScore) {
-                    bestScore = score;
-                    bestRows = rows;
-                }
-            }
-        }
-        
-        // Re-generate windowsPerRow for the best result
-        const windowsPerRow = new Array(bestRows).fill(0);
-        const basePerRow = Math.floor(windowCount / bestRows);
-        let remainder = windowCount % bestRows;
-
-        for (let r = 0; r < bestRows; r++) windowsPerRow[r] = basePerRow;
-
-        if (remainder > 0) {
-            const centerIndex = Math.floor(bestRows / 2);
-            let left = centerIndex;
-            let right = centerIndex;
-            
-            while (remainder > 0) {
-                if (left >= 0 && left < bestRows) { windowsPerRow[left]++; remainder--; }
-                if (remainder > 0 && right !== left && right >= 0 && right < bestRows) { windowsPerRow[right]++; remainder--; }
-                left--;
-                right++;
-            }
-        }
-        
-        return { rows: bestRows, windowsPerRow };
-    }
 
     _getWorkingInfo(workspace, window, _monitor, excludeFromTiling = false) {
         let current_monitor = _monitor;
@@ -1480,6 +978,19 @@ export const TilingManager = GObject.registerClass({
         }
 
         let _windows = this.windowsToDescriptors(windowsForSwaps, current_monitor, window);
+
+        // Windows sized by columns, grid or master/stack go back to their natural size under mosaic
+        const layout = this.getLayoutMode(workspace);
+        if (layout === LayoutMode.MOSAIC) {
+            for (const descriptor of _windows) {
+                const preferredSize = WindowState.get(descriptor.metaWindow, 'sizedByLayout') &&
+                    WindowState.get(descriptor.metaWindow, 'preferredSize');
+                if (preferredSize) {
+                    descriptor.width = preferredSize.width;
+                    descriptor.height = preferredSize.height + descriptor.tabHeight;
+                }
+            }
+        }
         
         this.applySwaps(workspace, _windows);
         this.working_windows = [];
@@ -1493,11 +1004,14 @@ export const TilingManager = GObject.registerClass({
         let work_area = workspace.get_work_area_for_monitor(current_monitor);
         if(!work_area) return false;
 
+        const gaps = this.getGaps(workspace);
         return {
             monitor: current_monitor,
             meta_windows: meta_windows,
             windows: windows,
-            work_area: work_area
+            work_area: LayoutEngine.insetCell(work_area, work_area, gaps),
+            layout: layout,
+            spacing: gaps.inner
         }
     }
 
@@ -1510,15 +1024,15 @@ export const TilingManager = GObject.registerClass({
             for(let level of levels) {
                 Logger.log(`Drawing horizontal level at y=${y}, width=${level.width}, height=${level.height}`);
                 // Pass masks, isDragging AND drawingManager AND dryRun
-                level.draw_horizontal(meta_windows, work_area, y, this.masks, this.isDragging, this._drawingManager, dryRun);
-                y += level.height + constants.WINDOW_SPACING;
+                drawLevelHorizontal(level, meta_windows, work_area, y, tile_info.spacing, this.masks, this.isDragging, this._drawingManager, dryRun);
+                y += level.height + tile_info.spacing;
             }
         } else {
             let x = _x;
             for(let level of levels) {
                 Logger.log(`Drawing vertical level at x=${x}, width=${level.width}, height=${level.height}`);
-                level.draw_vertical(meta_windows, x, this.masks, this.isDragging, this._drawingManager, dryRun);
-                x += level.width + constants.WINDOW_SPACING;
+                drawLevelVertical(level, meta_windows, x, tile_info.spacing, this.masks, this.isDragging, this._drawingManager, dryRun);
+                x += level.width + tile_info.spacing;
             }
         }
     }
@@ -1543,24 +1057,25 @@ export const TilingManager = GObject.registerClass({
                             y_offset = Math.min(center_offset, level.height - windowDesc.height);
                         
                         const window = meta_windows.find(w => w.get_id() === windowDesc.id);
+                        const tabHeight = windowDesc.tabHeight ?? 0;
                         if (window) {
                             if (windowDesc.id === resizingWindowId) {
-                                window.move_frame(false, x, y + y_offset);
+                                window.move_frame(false, x, y + y_offset + tabHeight);
                             } else {
                                 windowLayouts.push({
                                     window: window,
                                     rect: {
                                         x: x,
-                                        y: y + y_offset,
+                                        y: y + y_offset + tabHeight,
                                         width: windowDesc.width,
-                                        height: windowDesc.height
+                                        height: windowDesc.height - tabHeight
                                     }
                                 });
                             }
                         }
-                        x += windowDesc.width + constants.WINDOW_SPACING;
+                        x += windowDesc.width + tile_info.spacing;
                     }
-                    y += level.height + constants.WINDOW_SPACING;
+                    y += level.height + tile_info.spacing;
                 }
             } else {
                 // Vertical layout: each level is a column
@@ -1573,24 +1088,25 @@ export const TilingManager = GObject.registerClass({
                         const targetY = windowDesc.targetY !== undefined ? windowDesc.targetY : y;
                         
                         const window = meta_windows.find(w => w.get_id() === windowDesc.id);
+                        const tabHeight = windowDesc.tabHeight ?? 0;
                         if (window) {
                             if (windowDesc.id === resizingWindowId) {
-                                window.move_frame(false, targetX, targetY);
+                                window.move_frame(false, targetX, targetY + tabHeight);
                             } else {
                                 windowLayouts.push({
                                     window: window,
                                     rect: {
                                         x: targetX,
-                                        y: targetY,
+                                        y: targetY + tabHeight,
                                         width: windowDesc.width,
-                                        height: windowDesc.height
+                                        height: windowDesc.height - tabHeight
                                     }
                                 });
                             }
                         }
-                        y += windowDesc.height + constants.WINDOW_SPACING;
+                        y += windowDesc.height + tile_info.spacing;
                     }
-                    x += level.width + constants.WINDOW_SPACING;
+                    x += level.width + tile_info.spacing;
                 }
             }
             
@@ -1683,17 +1199,11 @@ export const TilingManager = GObject.registerClass({
         if (edgeTiledWindows.length > 0) {
             Logger.log(`Found ${edgeTiledWindows.length} edge-tiled window(s)`);
             
-            // Check if we have 2 half-tiles (left + right = fully occupied)
+            // Check if the edge tiles leave any room (e.g. left + right halves = fully occupied)
             const zones = edgeTiledWindows.map(w => w.zone);
             Logger.log(`Edge tile zones detected: [${zones.join(', ')}]`);
-            const hasLeftFull = zones.includes(TileZone.LEFT_FULL);
-            const hasRightFull = zones.includes(TileZone.RIGHT_FULL);
-            const hasLeftQuarters = zones.some(z => z === TileZone.TOP_LEFT || z === TileZone.BOTTOM_LEFT);
-            const hasRightQuarters = zones.some(z => z === TileZone.TOP_RIGHT || z === TileZone.BOTTOM_RIGHT);
-            
-            Logger.log(`Zone check: leftFull=${hasLeftFull}, rightFull=${hasRightFull}, leftQuarters=${hasLeftQuarters}, rightQuarters=${hasRightQuarters}`);
             
-            if ((hasLeftFull || hasLeftQuarters) && (hasRightFull || hasRightQuarters)) {
+            if (this._edgeTilingManager.isFullyOccupied(workspace, monitor)) {
                 // Don't move windows during drag - just show preview
                 if (this.isDragging) {
                     Logger.log('Both sides edge-tiled - deferring overflow until drag ends');
@@ -1782,7 +1292,15 @@ export const TilingManager = GObject.registerClass({
         
         const tileArea = this.isDragging && this.dragRemainingSpace ? this.dragRemainingSpace : work_area;
         
-        let tile_info = this._tile(windows, tileArea);
+        if (!this.isDragging && working_info.layout === LayoutMode.MOSAIC) {
+            if (constants.INCREMENTAL_LAYOUT)
+                this._setPreviousPlacements(windows, workspace, monitor);
+            // Dry runs only ask whether the windows fit, they must not zoom anything
+            if (!dryRun)
+                this._applyFocusZoom(windows, tileArea, working_info.spacing);
+        }
+        
+        let tile_info = this._tile(windows, tileArea, false, working_info.layout, working_info.spacing);
         let overflow = tile_info.overflow;
         
         if (workspace_windows.length <= 1) {
@@ -1834,6 +1352,8 @@ export const TilingManager = GObject.registerClass({
                          }
                      }
                 }
+            } else if (this._windowingManager.hasRule(reference_meta_window, RuleAction.NEVER_OVERFLOW)) {
+                Logger.log(`Skipping overflow for ${reference_meta_window.get_id()} - never-overflow rule`);
             } else {
                 let id = reference_meta_window.get_id();
                 let _windows = windows;
@@ -1844,7 +1364,7 @@ export const TilingManager = GObject.registerClass({
                     }
                 }
                 this._windowingManager.moveOversizedWindow(reference_meta_window);
-                tile_info = this._tile(_windows, tileArea);
+                tile_info = this._tile(_windows, tileArea, false, working_info.layout, working_info.spacing);
             }
         }
         
@@ -1871,6 +1391,37 @@ export const TilingManager = GObject.registerClass({
         } else {
             Logger.log(`Animations handled positioning, skipping drawTile`);
         }
+
+        // Remember where the mosaic put each window, for the next incremental relayout.
+        // ComputedLayouts can't serve as the previous layout, it's dropped once a window moves.
+        const placements = new Map();
+        if (!this.isDragging && working_info.layout === LayoutMode.MOSAIC) {
+            (tile_info?.levels ?? []).flatMap(level => level.windows).forEach((w, index) => {
+                if (Number.isFinite(w.targetX) && Number.isFinite(w.targetY))
+                    placements.set(w.id, { x: w.targetX, y: w.targetY, index });
+            });
+        }
+        windows.forEach((descriptor, rank) => {
+            if (!descriptor.metaWindow || this.isDragging) return;
+            const placement = placements.get(descriptor.id);
+            if (placement)
+                WindowState.set(descriptor.metaWindow, 'tilePlacement', { ...placement, rank, workspace: workspace.index(), monitor });
+            else
+                WindowState.remove(descriptor.metaWindow, 'tilePlacement');
+        });
+
+        // Remember which windows got their size from the layout rather than the user
+        const sizedByLayout = SIZING_LAYOUTS.includes(working_info.layout);
+        for (const descriptor of windows) {
+            if (!descriptor.metaWindow) continue;
+            if (sizedByLayout)
+                WindowState.set(descriptor.metaWindow, 'sizedByLayout', true);
+            else
+                WindowState.remove(descriptor.metaWindow, 'sizedByLayout');
+            // Unzoomed windows got their own size back in this pass
+            if (descriptor.metaWindow !== this._focusZoomWindow)
+                WindowState.remove(descriptor.metaWindow, 'focusZoomBaseSize');
+        }
         
         const result = { overflow, layout: this._cachedTileResult?.windows || null };
         this.emit('mosaic-changed', workspace);
@@ -1892,10 +1443,11 @@ export const TilingManager = GObject.registerClass({
             return true;
         }
         
-        const isIncomingSacred = this._windowingManager.isMaximizedOrFullscreen(window);
+        // always-own-workspace windows follow the same isolation policy as sacred ones
+        const isIncomingSacred = this._windowingManager.isIsolated(window);
         const currentWindows = this._windowingManager.getMonitorWorkspaceWindows(workspace, monitor);
         const otherWindows = currentWindows.filter(w => w.get_id() !== window.get_id());
-        const hasExistingSacred = otherWindows.some(w => this._windowingManager.isMaximizedOrFullscreen(w));
+        const hasExistingSacred = otherWindows.some(w => this._windowingManager.isIsolated(w));
 
         // Symmetric Isolation Policy:
         // 1. Sacred windows (Incoming) ONLY fit in workspaces with 0 other windows.
@@ -1937,14 +1489,7 @@ export const TilingManager = GObject.registerClass({
 
         
         if (edgeTiledWindows.length > 0) {
-            const otherEdgeTiles = edgeTiledWindows.filter(w => w.window.get_id() !== window.get_id());
-            const zones = otherEdgeTiles.map(w => w.zone);
-            const hasLeftFull = zones.includes(TileZone.LEFT_FULL);
-            const hasRightFull = zones.includes(TileZone.RIGHT_FULL);
-            const hasLeftQuarters = zones.some(z => z === TileZone.TOP_LEFT || z === TileZone.BOTTOM_LEFT);
-            const hasRightQuarters = zones.some(z => z === TileZone.TOP_RIGHT || z === TileZone.BOTTOM_RIGHT);
-            
-            if ((hasLeftFull || hasLeftQuarters) && (hasRightFull || hasRightQuarters)) {
+            if (this._edgeTilingManager.isFullyOccupied(workspace, monitor, window)) {
                 Logger.log('canFitWindow: Workspace fully occupied by edge tiles - cannot fit');
                 return false;
             }
@@ -1968,6 +1513,8 @@ export const TilingManager = GObject.registerClass({
             if (realWindow) {
                 const restoredSize = WindowState.get(realWindow, 'targetRestoredSize');
                 const smartResizeSize = WindowState.get(realWindow, 'targetSmartResizeSize');
+                // A zoomed window gives the space back as soon as focus moves
+                const zoomBaseSize = WindowState.get(realWindow, 'focusZoomBaseSize');
                 
                 if (restoredSize) {
                     w.width = restoredSize.width;
@@ -1975,11 +1522,15 @@ export const TilingManager = GObject.registerClass({
                 } else if (smartResizeSize) {
                     w.width = smartResizeSize.width;
                     w.height = smartResizeSize.height;
+                } else if (zoomBaseSize) {
+                    w.width = zoomBaseSize.width;
+                    w.height = zoomBaseSize.height;
                 } else {
                     const realFrame = realWindow.get_frame_rect();
                     w.width = realFrame.width;
                     w.height = realFrame.height;
                 }
+                w.height += w.tabHeight ?? 0;
             }
         }
         
@@ -2031,7 +1582,7 @@ export const TilingManager = GObject.registerClass({
         }
         
         // Try to tile with these windows
-        const layout = this._tile(windows, availableSpace, relaxed);
+        const layout = this._tile(windows, availableSpace, relaxed, working_info.layout, working_info.spacing);
         return !layout.overflow;
     }
 
@@ -2138,6 +1689,10 @@ export const TilingManager = GObject.registerClass({
     }
 
     tryRestoreWindowSizes(windows, workArea, freedWidth, freedHeight, workspace, monitor) {
+        if (workspace && this.getLayoutMode(workspace) !== LayoutMode.MOSAIC) {
+            Logger.log(`tryRestoreWindowSizes: Skipped - workspace uses ${this.getLayoutMode(workspace)} layout`);
+            return;
+        }
         
         // Find windows that were shrunk (current size < preferred size)
         const shrunkWindows = [];
@@ -2262,19 +1817,16 @@ export const TilingManager = GObject.registerClass({
         if (this._edgeTilingManager) {
             const edgeTiledWindows = this._edgeTilingManager.getEdgeTiledWindows(workspace, monitor);
             if (edgeTiledWindows.length > 0) {
-                // If the workspace is fully occupied (left + right), return zero/empty rect
-                const zones = edgeTiledWindows.map(w => w.zone);
-                const hasLeft = zones.some(z => [TileZone.LEFT_FULL, TileZone.TOP_LEFT, TileZone.BOTTOM_LEFT].includes(z));
-                const hasRight = zones.some(z => [TileZone.RIGHT_FULL, TileZone.TOP_RIGHT, TileZone.BOTTOM_RIGHT].includes(z));
-                
-                if (hasLeft && hasRight) {
+                // If the workspace is fully occupied (e.g. left + right), return zero/empty rect
+                if (this._edgeTilingManager.isFullyOccupied(workspace, monitor)) {
                     return { x: 0, y: 0, width: 0, height: 0 };
                 }
                 
                 return this._edgeTilingManager.calculateRemainingSpace(workspace, monitor);
             }
         }
-        return workspace.get_work_area_for_monitor(monitor);
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        return LayoutEngine.insetCell(workArea, workArea, this.getGaps(workspace));
     }
 
     // Calculate layouts without moving windows (for Overview)
@@ -2299,22 +1851,34 @@ export const TilingManager = GObject.registerClass({
 
         // Populate ComputedLayouts cache without moving windows (dryRun=true)
         // Must perform the tiling calculation first
-        let tile_info = this._tile(windows, work_area);
+        let tile_info = this._tile(windows, work_area, false, working_info.layout, working_info.spacing);
         
         // Then run the draw phase in dryRun mode to just populate the cache
         this._drawTile(tile_info, work_area, meta_windows, true);
     }
 
      // Try to fit a new window by democratically resizing ALL resizable windows
-    async tryFitWithResize(newWindow, windows, workArea) {
+    async tryFitWithResize(newWindow, windows, workArea, workspace = newWindow.get_workspace()) {
         if (this._isSmartResizingBlocked) return false;
+
+        // Shrinking can't make room next to a window that must be alone
+        if ([newWindow, ...windows].some(w => this._windowingManager.hasRule(w, RuleAction.ALWAYS_OWN_WORKSPACE))) {
+            Logger.log(`[SMART RESIZE] Skipped - always-own-workspace window involved`);
+            return false;
+        }
+
+        // Sizing layouts place windows themselves, shrinking toward natural sizes is meaningless there
+        if (workspace && this.getLayoutMode(workspace) !== LayoutMode.MOSAIC) {
+            Logger.log(`[SMART RESIZE] Skipped - workspace ${workspace.index()} uses ${this.getLayoutMode(workspace)} layout`);
+            return false;
+        }
         
         // Serialize smart resize operations via Promise queue
         return this._smartResizeQueue = this._smartResizeQueue.then(async () => {
             // Block overflow decisions while smart resize runs
             this._isSmartResizingBlocked = true;
             
-            const iterator = new SmartResizeIterator(windows, newWindow, workArea, this);
+            const iterator = new SmartResizeIterator(windows, newWindow, workArea, this, this.getGaps(workspace).inner);
             this._activeSmartResize = iterator;
             
             try {
@@ -2366,6 +1930,68 @@ export const TilingManager = GObject.registerClass({
         });
     }
 
+    // Incremental relayout: tell the engine where the last layout of this workspace and
+    // monitor put each window. Skipped once the mosaic order changed (a swap or drag
+    // reorder), the new order is what was asked for then.
+    _setPreviousPlacements(windows, workspace, monitor) {
+        const placements = windows.map(descriptor => {
+            const placement = descriptor.metaWindow && WindowState.get(descriptor.metaWindow, 'tilePlacement');
+            return placement?.workspace === workspace.index() && placement.monitor === monitor ? placement : null;
+        });
+        const ranks = placements.filter(p => p).map(p => p.rank);
+        if (ranks.some((rank, i) => i > 0 && rank < ranks[i - 1])) {
+            Logger.log('Incremental relayout: mosaic order changed, laying out from scratch');
+            return;
+        }
+        windows.forEach((descriptor, i) => {
+            if (placements[i])
+                descriptor.previous = { x: placements[i].x, y: placements[i].y, index: placements[i].index };
+        });
+    }
+
+    setFocusZoomWindow(window) {
+        this._focusZoomWindow = window;
+    }
+
+    // Grow the focus zoom window from its own size toward its preferred size, as far as the
+    // mosaic still fits around it. Windows that lost the zoom get their own size back.
+    _applyFocusZoom(windows, area, spacing) {
+        for (const descriptor of windows) {
+            const window = descriptor.metaWindow;
+            if (!window) continue;
+
+            const base = WindowState.get(window, 'focusZoomBaseSize');
+            const from = base ?? { width: descriptor.width, height: descriptor.height - descriptor.tabHeight };
+            descriptor.width = from.width;
+            descriptor.height = from.height + descriptor.tabHeight;
+            if (window !== this._focusZoomWindow) continue;
+
+            const preferredSize = WindowState.get(window, 'preferredSize');
+            if (!preferredSize) continue;
+            const to = {
+                width: Math.max(from.width, Math.min(preferredSize.width, area.width)),
+                height: Math.max(from.height, Math.min(preferredSize.height, area.height - descriptor.tabHeight)),
+            };
+            if (to.width === from.width && to.height === from.height) continue;
+
+            for (const step of FOCUS_ZOOM_STEPS) {
+                descriptor.width = Math.round(from.width + (to.width - from.width) * step);
+                descriptor.height = Math.round(from.height + (to.height - from.height) * step) + descriptor.tabHeight;
+                if (!this._tile(windows, area, true, LayoutMode.MOSAIC, spacing).overflow) {
+                    WindowState.set(window, 'focusZoomBaseSize', from);
+                    Logger.log(`Focus zoom: window ${window.get_id()} grows to ${descriptor.width}x${descriptor.height}`);
+                    break;
+                }
+                descriptor.width = from.width;
+                descriptor.height = from.height + descriptor.tabHeight;
+            }
+        }
+    }
+
+    get isSmartResizeActive() {
+        return !!this._activeSmartResize;
+    }
+
     // Abort ongoing smart resize to prevent state corruption
     abortActiveSmartResize() {
         if (this._activeSmartResize) {
@@ -2391,6 +2017,8 @@ class WindowDescriptor {
         this.x = frame.x;
         this.y = frame.y;
         this.metaWindow = meta_window;
+        // Part of height taken by a stack's tab strip, the window sits below it
+        this.tabHeight = 0;
         
         // Use target dimensions if unmaximizing, as physical frame might still be maximized.
         const targetSize = WindowState.get(meta_window, 'targetRestoredSize');
@@ -2414,31 +2042,33 @@ class WindowDescriptor {
         this.id = meta_window.get_id();
     }
     
-    draw(meta_windows, x, y, masks, isDragging, drawingManager, dryRun = false) {
+    draw(meta_windows, x, slotY, masks, isDragging, drawingManager, dryRun = false) {
     const window = meta_windows.find(w => w.get_id() === this.id);
     if (window) {
         // If dry run, just return - the layout cache was already updated in the caller
         if (dryRun) return;
 
         const isMask = masks[this.id];
+        const y = slotY + this.tabHeight;
+        const height = this.height - this.tabHeight;
         
         if (isDragging) {
             if (isMask) {
                 // This is the dragged window - draw preview at its target position
                 if (drawingManager) {
-                    drawingManager.rect(x, y, this.width, this.height);
+                    drawingManager.rect(x, slotY, this.width, this.height);
                 }
             } else {
                 // This is NOT the dragged window - reposition it
                 const currentRect = window.get_frame_rect();
                 const positionChanged = Math.abs(currentRect.x - x) > 5 || Math.abs(currentRect.y - y) > 5;
-                const sizeChanged = Math.abs(currentRect.width - this.width) > 5 || Math.abs(currentRect.height - this.height) > 5;
+                const sizeChanged = Math.abs(currentRect.width - this.width) > 5 || Math.abs(currentRect.height - height) > 5;
                 
                 Logger.log(`draw (drag): id=${this.id}, target=(${x},${y}), current=(${currentRect.x},${currentRect.y}), posChanged=${positionChanged}`);
                 
                 if (positionChanged || sizeChanged) {
                     WindowState.set(window, 'isConstrainedByMosaic', true);
-                    window.move_resize_frame(false, x, y, this.width, this.height);
+                    window.move_resize_frame(false, x, y, this.width, height);
                     const windowActor = window.get_compositor_private();
                     if (windowActor) {
                         const translateX = currentRect.x - x;
@@ -2456,7 +2086,7 @@ class WindowDescriptor {
             }
         } else {
             WindowState.set(window, 'isConstrainedByMosaic', true);
-            window.move_resize_frame(false, x, y, this.width, this.height);
+            window.move_resize_frame(false, x, y, this.width, height);
         }
     } else {
         Logger.warn(`Could not find window with ID ${this.id} for drawing`);
@@ -2464,22 +2094,13 @@ class WindowDescriptor {
 }
 }
 
-function Level(work_area) {
-    this.x = 0;
-    this.y = 0;
-    this.width = 0;
-    this.height = 0;
-    this.windows = [];
-    this.work_area = work_area;
-}
-
-Level.prototype.draw_horizontal = function(meta_windows, work_area, y, masks, isDragging, drawingManager, dryRun = false) {
-    let x = this.x;
-    for(let window of this.windows) {
+function drawLevelHorizontal(level, meta_windows, work_area, y, spacing, masks, isDragging, drawingManager, dryRun = false) {
+    let x = level.x;
+    for(let window of level.windows) {
         let center_offset = (work_area.height / 2 + work_area.y) - (y + window.height / 2);
         let y_offset = 0;
         if(center_offset > 0)
-            y_offset = Math.min(center_offset, this.height - window.height);
+            y_offset = Math.min(center_offset, level.height - window.height);
             
         // Use targetX/targetY if set (for center-gravity alignment), otherwise use calculated position
         const drawX = window.targetX !== undefined ? window.targetX : x;
@@ -2493,13 +2114,13 @@ Level.prototype.draw_horizontal = function(meta_windows, work_area, y, masks, is
         }
 
         window.draw(meta_windows, drawX, drawY, masks, isDragging, drawingManager, dryRun);
-        x += window.width + constants.WINDOW_SPACING;
+        x += window.width + spacing;
     }
 }
 
-Level.prototype.draw_vertical = function(meta_windows, x, masks, isDragging, drawingManager, dryRun = false) {
-    let y = this.y;
-    for(let window of this.windows) {
+function drawLevelVertical(level, meta_windows, x, spacing, masks, isDragging, drawingManager, dryRun = false) {
+    let y = level.y;
+    for(let window of level.windows) {
         // Use targetX/targetY if set (for center-gravity alignment), otherwise use calculated position
         const drawX = window.targetX !== undefined ? window.targetX : x;
         const drawY = window.targetY !== undefined ? window.targetY : y;
@@ -2512,7 +2133,7 @@ Level.prototype.draw_vertical = function(meta_windows, x, masks, isDragging, dra
         }
         
         window.draw(meta_windows, drawX, drawY, masks, isDragging, drawingManager, dryRun);
-        y += window.height + constants.WINDOW_SPACING;
+        y += window.height + spacing;
     }
 }
 
@@ -12,6 +12,7 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as Logger from './logger.js';
 import * as constants from './constants.js';
 import { TileZone } from './constants.js';
+import { RuleAction } from './windowRules.js';
 import * as WindowState from './windowState.js';
 import { ComputedLayouts } from './tiling.js';
 import { afterWorkspaceSwitch, afterAnimations, afterWindowClose } from './timing.js';
@@ -158,6 +159,14 @@ export const WindowHandler = GObject.registerClass({
         // Track for lifecycle exclusion updates
         ids.push(window.connect('notify::above', (win) => this.handleExclusionStateChange(win)));
         ids.push(window.connect('notify::on-all-workspaces', (win) => this.handleExclusionStateChange(win)));
+        // Title-based window rules can start or stop matching when the title changes
+        ids.push(window.connect('notify::title', (win) => this.handleExclusionStateChange(win)));
+        ids.push(window.connect('notify::minimized', (win) => {
+            if (win.minimized)
+                this.onWindowMinimized(win);
+            else
+                this.onWindowUnminimized(win);
+        }));
 
         this._windowSignals.set(window, ids);
 
@@ -345,6 +354,70 @@ export const WindowHandler = GObject.registerClass({
         }
     }
 
+    // Minimizing frees the window's slot like any exclusion (reverse smart resize, gaps
+    // collapse). Its place in the mosaic order and its preferred size are kept for later.
+    onWindowMinimized(window) {
+        const workspace = window.get_workspace();
+        const monitor = window.get_monitor();
+        const wasTiled = workspace && this._ext.isMosaicEnabledForWorkspace(workspace) &&
+            !WindowState.get(window, 'previousExclusionState');
+
+        if (wasTiled) {
+            const frame = window.get_frame_rect();
+            const preferredSize = this.tilingManager.getPreferredSize(window) ?? { width: frame.width, height: frame.height };
+            const slot = {
+                workspace: workspace.index(),
+                monitor,
+                index: this.tilingManager.getMosaicOrder(workspace, monitor, window).indexOf(window),
+                preferredSize: { width: preferredSize.width, height: preferredSize.height },
+            };
+            WindowState.set(window, 'minimizedSlot', slot);
+            Logger.log(`Window ${window.get_id()} minimized - leaving mosaic slot ${slot.index}`);
+        }
+
+        this.handleExclusionStateChange(window);
+    }
+
+    // Unminimizing brings the window back at its old size and place, then runs the usual
+    // fit, smart resize and overflow pipeline for windows becoming tiled
+    onWindowUnminimized(window) {
+        const slot = WindowState.get(window, 'minimizedSlot');
+        WindowState.remove(window, 'minimizedSlot');
+
+        const workspace = window.get_workspace();
+        const monitor = window.get_monitor();
+        if (!workspace || !this._ext.isMosaicEnabledForWorkspace(workspace) || this.windowingManager.isExcluded(window)) {
+            this.handleExclusionStateChange(window);
+            return;
+        }
+
+        // Edge tiles go straight back to their zone
+        const edgeState = this.edgeTilingManager.getWindowState(window);
+        if (edgeState && edgeState.zone !== TileZone.NONE) {
+            Logger.log(`Window ${window.get_id()} unminimized - back to zone ${edgeState.zone}`);
+            WindowState.set(window, 'previousExclusionState', false);
+            this.edgeTilingManager.applyTile(window, edgeState.zone, workspace.get_work_area_for_monitor(monitor));
+            return;
+        }
+
+        if (slot?.preferredSize) {
+            const { width, height } = slot.preferredSize;
+            WindowState.set(window, 'preferredSize', { width, height });
+            const frame = window.get_frame_rect();
+            if (frame.width !== width || frame.height !== height)
+                window.move_resize_frame(true, frame.x, frame.y, width, height);
+        }
+
+        if (slot && slot.index >= 0 && slot.workspace === workspace.index() && slot.monitor === monitor) {
+            Logger.log(`Window ${window.get_id()} unminimized - back to mosaic slot ${slot.index}`);
+            const order = this.tilingManager.getMosaicOrder(workspace, monitor).filter(w => w !== window);
+            order.splice(Math.min(slot.index, order.length), 0, window);
+            this.tilingManager.setMosaicOrder(workspace, monitor, order);
+        }
+
+        this.handleExclusionStateChange(window);
+    }
+
     // Executes when a window is physically destroyed
     onWindowDestroyed(window) {
         const monitor = window.get_monitor();
@@ -546,14 +619,37 @@ export const WindowHandler = GObject.registerClass({
             Logger.log('Deferring overflow - smart resize still in progress');
         }
     }
+    // Send a new window to the workspace its workspace rule asks for. Runs once per window,
+    // before the first tile pass, so the normal fit/overflow flow applies on the target.
+    _applyWorkspaceRule(window) {
+        if (WindowState.get(window, 'workspaceRuleApplied')) return;
+
+        const workspace = window.get_workspace();
+        if (!workspace || window.get_monitor() < 0 || !this.windowingManager.isRelated(window)) return;
+        WindowState.set(window, 'workspaceRuleApplied', true);
+
+        const target = this.windowingManager.resolveAssignedWorkspace(window);
+        if (!target || target === workspace) return;
+
+        Logger.log(`Workspace rule: moving new window ${window.get_id()} from workspace ${workspace.index()} to ${target.index()}`);
+        const followWindow = workspace.active;
+        window.change_workspace(target);
+        if (followWindow)
+            target.activate_with_focus(window, global.get_current_time());
+    }
+
     onWindowCreated(window) {
         this.windowingManager.invalidateWindowsCache();
+        this._applyWorkspaceRule(window);
         if (this.windowingManager.isMaximizedOrFullscreen(window)) {
             WindowState.set(window, 'openedMaximized', true);
             Logger.log(`Window ${window.get_id()} opened maximized - marked for auto-tile check`);
         }
 
         const processWindowCallback = () => {
+            // Retry in case workspace or monitor weren't known at creation
+            this._applyWorkspaceRule(window);
+
             let monitor = window.get_monitor();
             let workspace = window.get_workspace();
 
@@ -697,6 +793,16 @@ export const WindowHandler = GObject.registerClass({
             return;
         }
 
+        // moveWindowToWorkspace already decided fit and overflow and retiles itself
+        if (WindowState.get(window, 'movedByKeybinding')) {
+            return;
+        }
+
+        // Scratchpads come and go with their toggle without ever taking a slot
+        if (WindowState.get(window, 'scratchpad')) {
+            return;
+        }
+
         // Capture natural size immediately upon arrival to a workspace
         this._ext.tilingManager.savePreferredSize(window);
 
@@ -951,6 +1057,10 @@ export const WindowHandler = GObject.registerClass({
             return;
         }
 
+        if (WindowState.get(window, 'movedByKeybinding') || WindowState.get(window, 'scratchpad')) {
+            return;
+        }
+
         // Abort any ongoing smart resize immediately to prevent 'zombie' logic
         this._ext.tilingManager.abortActiveSmartResize();
 
@@ -1219,6 +1329,150 @@ export const WindowHandler = GObject.registerClass({
         WindowState.set(window, 'workspaceChangeDebounceId', timeoutId);
     }
 
+    // Keyboard move to another workspace. The final workspace is settled up front (fit,
+    // smart resize on the destination, then the overflow chain) so the window-added/removed
+    // heuristics stay out of it and both workspaces are retiled exactly once.
+    async moveWindowToWorkspace(window, targetWorkspace) {
+        const sourceWorkspace = window.get_workspace();
+        if (!sourceWorkspace || !targetWorkspace || sourceWorkspace === targetWorkspace) return false;
+
+        const windowId = window.get_id();
+        const monitor = window.get_monitor();
+        Logger.log(`moveWindowToWorkspace: window ${windowId} from ${sourceWorkspace.index()} to ${targetWorkspace.index()}`);
+
+        let destination = targetWorkspace;
+        const isTiled = !this.windowingManager.isExcluded(window) && this._ext.isMosaicEnabledForWorkspace(targetWorkspace);
+
+        if (isTiled && !this.tilingManager.canFitWindow(window, targetWorkspace, monitor)) {
+            const resized = await this._makeRoomOnWorkspace(window, targetWorkspace, monitor);
+
+            if (window.get_workspace() !== sourceWorkspace) {
+                Logger.log(`moveWindowToWorkspace: window ${windowId} moved during smart resize - aborting`);
+                return false;
+            }
+
+            if (!resized && !this.windowingManager.hasRule(window, RuleAction.NEVER_OVERFLOW)) {
+                destination = this.windowingManager.getOverflowWorkspace(window, targetWorkspace.index(), monitor);
+                Logger.log(`moveWindowToWorkspace: no room on ${targetWorkspace.index()} - overflowing to ${destination.index()}`);
+            }
+        }
+
+        WindowState.set(window, 'movedByKeybinding', true);
+        window.change_workspace(destination);
+        WindowState.remove(window, 'movedByKeybinding');
+        WindowState.set(window, 'previousWorkspace', destination.index());
+
+        if (destination !== targetWorkspace)
+            this.windowingManager.emit('window-overflowed', window, sourceWorkspace.index(), destination.index());
+
+        destination.activate_with_focus(window, global.get_current_time());
+
+        afterWorkspaceSwitch(() => {
+            if (sourceWorkspace.index() >= 0)
+                this.tilingManager.tileWorkspaceWindows(sourceWorkspace, null, monitor, true);
+            if (destination.index() >= 0)
+                this.tilingManager.tileWorkspaceWindows(destination, null, monitor, true);
+        }, this._timeoutRegistry);
+
+        return true;
+    }
+
+    // Keyboard move to another monitor of the same workspace. Like moveWindowToWorkspace
+    // the destination is settled first: fit, smart resize there, then the overflow chain
+    // from the current workspace. The source monitor collapses the gap it leaves.
+    async moveWindowToMonitor(window, targetMonitor) {
+        const workspace = window.get_workspace();
+        const sourceMonitor = window.get_monitor();
+        if (!workspace || targetMonitor < 0 || targetMonitor === sourceMonitor) return false;
+
+        const windowId = window.get_id();
+        Logger.log(`moveWindowToMonitor: window ${windowId} from monitor ${sourceMonitor} to ${targetMonitor}`);
+
+        let destination = workspace;
+        const isTiled = !this.windowingManager.isExcluded(window) &&
+            this._ext.isMosaicEnabledForWorkspace(workspace) &&
+            this.windowingManager.hasOwnWorkspaces(targetMonitor);
+
+        if (isTiled && !this.tilingManager.canFitWindow(window, workspace, targetMonitor)) {
+            const resized = await this._makeRoomOnWorkspace(window, workspace, targetMonitor);
+
+            if (window.get_workspace() !== workspace || window.get_monitor() !== sourceMonitor) {
+                Logger.log(`moveWindowToMonitor: window ${windowId} moved during smart resize - aborting`);
+                return false;
+            }
+
+            if (!resized && !this.windowingManager.hasRule(window, RuleAction.NEVER_OVERFLOW)) {
+                destination = this.windowingManager.getOverflowWorkspace(window, workspace.index(), targetMonitor);
+                Logger.log(`moveWindowToMonitor: no room on monitor ${targetMonitor} - overflowing to ${destination.index()}`);
+            }
+        }
+
+        window.move_to_monitor(targetMonitor);
+
+        if (destination !== workspace) {
+            WindowState.set(window, 'movedByKeybinding', true);
+            window.change_workspace(destination);
+            WindowState.remove(window, 'movedByKeybinding');
+            WindowState.set(window, 'previousWorkspace', destination.index());
+            this.windowingManager.emit('window-overflowed', window, workspace.index(), destination.index());
+            destination.activate_with_focus(window, global.get_current_time());
+        }
+
+        this.collapseMonitor(workspace, sourceMonitor);
+        afterWorkspaceSwitch(() => {
+            if (destination.index() >= 0)
+                this.tilingManager.tileWorkspaceWindows(destination, null, targetMonitor, true);
+        }, this._timeoutRegistry);
+
+        return true;
+    }
+
+    // Close the gap a departed window left on a monitor, growing the remaining windows
+    // back with the reverse smart resize before the retile
+    collapseMonitor(workspace, monitor) {
+        if (!workspace || workspace.index() < 0) return;
+
+        const remainingWindows = this.windowingManager.getMonitorWorkspaceWindows(workspace, monitor)
+            .filter(w => !this.edgeTilingManager.isEdgeTiled(w) && !this.windowingManager.isExcluded(w));
+
+        const workArea = this.tilingManager.getUsableWorkArea(workspace, monitor);
+        const restored = remainingWindows.length > 0 && workArea &&
+            this.tilingManager.tryRestoreWindowSizes(remainingWindows, workArea, null, null, workspace, monitor);
+
+        if (!restored) {
+            this.tilingManager.tileWorkspaceWindows(workspace, null, monitor, true);
+            return;
+        }
+
+        this._timeoutRegistry.add(constants.RESIZE_SETTLE_DELAY_MS, () => {
+            for (const w of remainingWindows) {
+                WindowState.remove(w, 'isReverseSmartResizing');
+            }
+            if (workspace.index() >= 0)
+                this.tilingManager.tileWorkspaceWindows(workspace, null, monitor, true);
+            return GLib.SOURCE_REMOVE;
+        }, 'collapseMonitor');
+    }
+
+    // Shrink the destination's windows so the incoming one fits, false if it can't
+    async _makeRoomOnWorkspace(window, workspace, monitor) {
+        if (this.windowingManager.hasSacredWindow(workspace, monitor, window.get_id())) return false;
+
+        const existingWindows = this.windowingManager.getMonitorWorkspaceWindows(workspace, monitor)
+            .filter(w =>
+                w.get_id() !== window.get_id() &&
+                !this.edgeTilingManager.isEdgeTiled(w) &&
+                !this.windowingManager.isExcluded(w) &&
+                !this.windowingManager.isMaximizedOrFullscreen(w)
+            );
+
+        let workArea = workspace.get_work_area_for_monitor(monitor);
+        if (this.edgeTilingManager.getEdgeTiledWindows(workspace, monitor).length > 0)
+            workArea = this.edgeTilingManager.calculateRemainingSpace(workspace, monitor);
+
+        return await this.tilingManager.tryFitWithResize(window, existingWindows, workArea, workspace);
+    }
+
     waitForGeometry(WINDOW, WORKSPACE, MONITOR) {
         const rect = WINDOW.get_frame_rect();
 
@@ -0,0 +1,161 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// User-defined window rules (float, never-overflow, always-own-workspace, fixed-size)
+// and workspace assignment for new windows
+
+import GObject from 'gi://GObject';
+import Shell from 'gi://Shell';
+
+import * as Logger from './logger.js';
+
+export const RuleAction = {
+    FLOAT: 'float',                                 // Never tiled, left where the user puts it
+    NEVER_OVERFLOW: 'never-overflow',               // Stays on its workspace even when it doesn't fit
+    ALWAYS_OWN_WORKSPACE: 'always-own-workspace',   // Shares its workspace with no other tiled window
+    FIXED_SIZE: 'fixed-size',                       // Tiled, but smart resize never shrinks it
+};
+
+export const WorkspaceTarget = {
+    FEWEST_WINDOWS: 'fewest-windows',   // Workspace with the fewest tiled windows on the window's monitor
+};
+
+const ACTIONS = Object.values(RuleAction);
+
+// Application ids a rule can match against: Flatpak id, GTK application id and the
+// .desktop id Shell associated with the window.
+function _getAppIds(window) {
+    const ids = [window.get_sandboxed_app_id(), window.get_gtk_application_id()];
+    const app = Shell.WindowTracker.get_default().get_window_app(window);
+    if (app?.get_id())
+        ids.push(app.get_id().replace(/\.desktop$/, ''));
+    return ids.filter(Boolean).map(id => id.toLowerCase());
+}
+
+// Matching part shared by 'window-rules' and 'workspace-rules' entries. Empty fields
+// match anything, an entry with no fields at all matches nothing and is ignored.
+function _compileMatcher(entry) {
+    const wmClass = entry['wm-class']?.toLowerCase() || null;
+    const appId = entry['app-id']?.replace(/\.desktop$/, '').toLowerCase() || null;
+    const role = entry['role'] || null;
+
+    let title = null;
+    if (entry['title']) {
+        try {
+            title = new RegExp(entry['title']);
+        } catch (e) {
+            Logger.warn(`[RULES] Ignoring rule with invalid title pattern '${entry['title']}': ${e.message}`);
+            return null;
+        }
+    }
+
+    if (!wmClass && !appId && !title && !role) return null;
+
+    return { wmClass, appId, title, role };
+}
+
+function _compileRule(entry) {
+    const action = entry['action'];
+    if (!ACTIONS.includes(action)) {
+        Logger.warn(`[RULES] Ignoring rule with unknown action '${action}'`);
+        return null;
+    }
+
+    const matcher = _compileMatcher(entry);
+    return matcher ? { ...matcher, action } : null;
+}
+
+// Workspace targets are 1-based like the Quick Settings list, or a WorkspaceTarget
+function _compileAssignment(entry) {
+    const target = entry['workspace'];
+    const number = Number.parseInt(target, 10);
+    let workspace;
+    if (target === WorkspaceTarget.FEWEST_WINDOWS)
+        workspace = target;
+    else if (Number.isInteger(number) && number > 0)
+        workspace = number - 1;
+    else {
+        Logger.warn(`[RULES] Ignoring workspace rule with invalid target '${target}'`);
+        return null;
+    }
+
+    const matcher = _compileMatcher(entry);
+    return matcher ? { ...matcher, workspace } : null;
+}
+
+function _matches(rule, window) {
+    if (rule.wmClass && window.get_wm_class()?.toLowerCase() !== rule.wmClass) return false;
+    if (rule.role && window.get_role() !== rule.role) return false;
+    if (rule.title && !rule.title.test(window.get_title() ?? '')) return false;
+    if (rule.appId && !_getAppIds(window).includes(rule.appId)) return false;
+    return true;
+}
+
+export const WindowRulesManager = GObject.registerClass({
+    GTypeName: 'MosaicWindowRulesManager',
+    Signals: {
+        'rules-changed': {},
+    },
+}, class WindowRulesManager extends GObject.Object {
+    _init(settings) {
+        super._init();
+        this._settings = settings;
+        this._rules = [];
+        this._assignments = [];
+
+        this._load();
+        this._changedId = this._settings.connect('changed::window-rules', () => {
+            this._load();
+            this.emit('rules-changed');
+        });
+        this._assignmentsChangedId = this._settings.connect('changed::workspace-rules', () => this._loadAssignments());
+        this._loadAssignments();
+    }
+
+    _load() {
+        this._rules = this._settings.get_value('window-rules').deepUnpack()
+            .map(entry => _compileRule(entry))
+            .filter(Boolean);
+        Logger.log(`[RULES] Loaded ${this._rules.length} window rules`);
+    }
+
+    _loadAssignments() {
+        this._assignments = this._settings.get_value('workspace-rules').deepUnpack()
+            .map(entry => _compileAssignment(entry))
+            .filter(Boolean);
+        Logger.log(`[RULES] Loaded ${this._assignments.length} workspace rules`);
+    }
+
+    // All actions of every rule matching the window
+    getActions(window) {
+        const actions = new Set();
+        for (const rule of this._rules) {
+            if (_matches(rule, window))
+                actions.add(rule.action);
+        }
+        return actions;
+    }
+
+    hasAction(window, action) {
+        return this._rules.some(rule => rule.action === action && _matches(rule, window));
+    }
+
+    // Workspace index or WorkspaceTarget of the first matching workspace rule, null if none
+    getWorkspaceAssignment(window) {
+        const assignment = this._assignments.find(rule => _matches(rule, window));
+        return assignment ? assignment.workspace : null;
+    }
+
+    destroy() {
+        if (this._changedId) {
+            this._settings.disconnect(this._changedId);
+            this._changedId = 0;
+        }
+        if (this._assignmentsChangedId) {
+            this._settings.disconnect(this._assignmentsChangedId);
+            this._assignmentsChangedId = 0;
+        }
+        this._rules = [];
+        this._assignments = [];
+        this._settings = null;
+    }
+});
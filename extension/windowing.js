@@ -12,16 +12,15 @@ import { afterWorkspaceSwitch } from './timing.js';
 
 import { TileZone } from './constants.js';
 import * as WindowState from './windowState.js';
-
-const BLACKLISTED_WM_CLASSES = [
-    'org.gnome.Screenshot',
-    'Gnome-screenshot',
-];
+import { RuleAction, WorkspaceTarget } from './windowRules.js';
 
 import GObject from 'gi://GObject';
 
 export const WindowingManager = GObject.registerClass({
     GTypeName: 'MosaicWindowingManager',
+    Signals: {
+        'window-overflowed': { param_types: [GObject.TYPE_OBJECT, GObject.TYPE_INT, GObject.TYPE_INT] }, // (window, from, to)
+    },
 }, class WindowingManager extends GObject.Object {
     _init() {
         super._init();
@@ -29,6 +28,7 @@ export const WindowingManager = GObject.registerClass({
         this._animationsManager = null;
         this._tilingManager = null;
         this._timeoutRegistry = null;
+        this._windowRulesManager = null;
         this._overflowStartCallback = null;
         this._overflowEndCallback = null;
         
@@ -53,6 +53,10 @@ export const WindowingManager = GObject.registerClass({
         this._timeoutRegistry = registry;
     }
     
+    setWindowRulesManager(manager) {
+        this._windowRulesManager = manager;
+    }
+
     setOverflowCallbacks(startCallback, endCallback) {
         this._overflowStartCallback = startCallback;
         this._overflowEndCallback = endCallback;
@@ -203,10 +207,80 @@ export const WindowingManager = GObject.registerClass({
         }
     }
 
+    // Monitors whose windows follow workspace switches. With "workspaces on primary
+    // display only" the others show every workspace and nothing there is tiled.
+    hasOwnWorkspaces(monitor) {
+        return !Meta.prefs_get_workspaces_only_on_primary() || monitor === this.getPrimaryMonitor();
+    }
+
+    // Hand the window to another monitor's mosaic on its workspace when that one has room
+    _moveToMonitorWithRoom(window, monitor) {
+        if (!this._tilingManager || this.isIsolated(window)) return false;
+
+        const workspace = window.get_workspace();
+        const nMonitors = global.display.get_n_monitors();
+        for (let i = 1; i < nMonitors; i++) {
+            // Start with the monitors right after the window's own
+            const candidate = (monitor + i) % nMonitors;
+            if (!this.hasOwnWorkspaces(candidate)) continue;
+            if (!this._tilingManager.canFitWindow(window, workspace, candidate)) continue;
+
+            Logger.log(`moveOversizedWindow: window ${window.get_id()} fits on monitor ${candidate} - moving there`);
+            window.move_to_monitor(candidate);
+            // This can run from inside the source monitor's tiling pass, so retile once
+            // that pass has finished drawing instead of re-entering it
+            this._timeoutRegistry.add(0, () => {
+                this._tilingManager.tileWorkspaceWindows(workspace, null, monitor, true);
+                this._tilingManager.tileWorkspaceWindows(workspace, null, candidate, true);
+                return GLib.SOURCE_REMOVE;
+            }, 'moveToMonitorWithRoom');
+            return true;
+        }
+        return false;
+    }
+
+    // Workspace right after originIndex if the window fits there, otherwise a new one
+    // inserted at that position
+    getOverflowWorkspace(window, originIndex, monitor) {
+        const workspaceManager = global.workspace_manager;
+        const nextIndex = originIndex + 1;
+        
+        if (nextIndex < workspaceManager.get_n_workspaces()) {
+            const nextWorkspace = workspaceManager.get_workspace_by_index(nextIndex);
+            
+            Logger.log(`Checking if window ${window.get_id()} fits in workspace ${nextIndex}`);
+            
+            if (this._tilingManager && this._tilingManager.canFitWindow(window, nextWorkspace, monitor)) {
+                Logger.log(`Window fits in existing workspace ${nextIndex}`);
+                return nextWorkspace;
+            }
+            Logger.log(`Window does NOT fit in workspace ${nextIndex} - creating new`);
+        } else {
+            Logger.log(`No workspace at index ${nextIndex} - creating new`);
+        }
+        
+        const workspace = workspaceManager.append_new_workspace(false, this.getTimestamp());
+        workspaceManager.reorder_workspace(workspace, nextIndex);
+        Logger.log(`Created workspace at position ${nextIndex}`);
+        return workspace;
+    }
+
     // Moves a window that doesn't fit into another workspace.
-    moveOversizedWindow(window) {
+    // stayOnMonitor skips handing the window to another monitor that has room
+    moveOversizedWindow(window, stayOnMonitor = false) {
+        if (this.hasRule(window, RuleAction.NEVER_OVERFLOW)) {
+            Logger.log(`moveOversizedWindow: window ${window.get_id()} pinned by never-overflow rule`);
+            return null;
+        }
+
         const workspaceManager = global.workspace_manager;
-        const monitor = this.getPrimaryMonitor();
+        // Overflow stays on the window's own monitor, the primary one only as a fallback
+        const monitor = window.get_monitor() >= 0 ? window.get_monitor() : this.getPrimaryMonitor();
+        
+        // Room on another monitor of the same workspace beats creating a workspace
+        if (!stayOnMonitor && !WindowState.has(window, 'overflowOriginWorkspace') && this._moveToMonitorWithRoom(window, monitor)) {
+            return window.get_workspace();
+        }
         
         // Notify that overflow is starting
         if (this._overflowStartCallback) {
@@ -220,38 +294,15 @@ export const WindowingManager = GObject.registerClass({
         const currentIndex = WindowState.get(window, 'overflowOriginWorkspace') ?? window.get_workspace().index();
         WindowState.set(window, 'overflowOriginWorkspace', currentIndex);
         
-        const nextIndex = currentIndex + 1;
-        
-        Logger.log(`moveOversizedWindow: origin=${currentIndex}, next=${nextIndex}`);
+        Logger.log(`moveOversizedWindow: origin=${currentIndex}, next=${currentIndex + 1}`);
         
-        let target_workspace = null;
-        
-        if (nextIndex < workspaceManager.get_n_workspaces()) {
-            const nextWorkspace = workspaceManager.get_workspace_by_index(nextIndex);
-            
-            Logger.log(`Checking if window ${window.get_id()} fits in workspace ${nextIndex}`);
-            
-            if (this._tilingManager && this._tilingManager.canFitWindow(window, nextWorkspace, monitor)) {
-                target_workspace = nextWorkspace;
-                Logger.log(`Window fits in existing workspace ${nextIndex}`);
-            } else {
-                Logger.log(`Window does NOT fit in workspace ${nextIndex} - creating new`);
-            }
-        } else {
-            Logger.log(`No workspace at index ${nextIndex} - creating new`);
-        }
-        
-        // Create new workspace if next doesn't exist or can't fit
-        if (!target_workspace) {
-            target_workspace = workspaceManager.append_new_workspace(false, this.getTimestamp());
-            workspaceManager.reorder_workspace(target_workspace, nextIndex);
-            Logger.log(`Created workspace at position ${nextIndex}`);
-        }
+        const target_workspace = this.getOverflowWorkspace(window, currentIndex, monitor);
         
         const previous_workspace = window.get_workspace();
         const switchFocusToMovedWindow = previous_workspace.active;
         
         window.change_workspace(target_workspace);
+        this.emit('window-overflowed', window, previous_workspace.index(), target_workspace.index());
         
         // Clear flags after settling
         GLib.timeout_add(GLib.PRIORITY_DEFAULT, constants.REVERSE_RESIZE_PROTECTION_MS, () => {
@@ -358,6 +409,16 @@ export const WindowingManager = GObject.registerClass({
             return true;
         }
         
+        // Windows behind the active one of a stack; the stack takes a single slot
+        if (WindowState.get(meta_window, 'hiddenInStack')) {
+            return true;
+        }
+        
+        // Scratchpads only ever float above the mosaic (scratchpad.js)
+        if (WindowState.get(meta_window, 'scratchpad')) {
+            return true;
+        }
+        
         // Always on top (window is above other windows)
         if (meta_window.is_above()) {
             return true;
@@ -368,14 +429,53 @@ export const WindowingManager = GObject.registerClass({
             return true;
         }
         
-        const wmClass = meta_window.get_wm_class();
-        if (wmClass && BLACKLISTED_WM_CLASSES.includes(wmClass)) {
+        // User rules (screenshot tools, picture-in-picture, calculators...)
+        if (this.hasRule(meta_window, RuleAction.FLOAT)) {
             return true;
         }
         
         return false;
     }
 
+    hasRule(window, action) {
+        return this._windowRulesManager ? this._windowRulesManager.hasAction(window, action) : false;
+    }
+
+    // Workspace a workspace rule sends a new window to, or null to leave it where it opened
+    resolveAssignedWorkspace(window) {
+        const assignment = this._windowRulesManager ? this._windowRulesManager.getWorkspaceAssignment(window) : null;
+        if (assignment === null) return null;
+
+        const workspaceManager = global.workspace_manager;
+        const nWorkspaces = workspaceManager.get_n_workspaces();
+
+        if (assignment === WorkspaceTarget.FEWEST_WINDOWS) {
+            const monitor = window.get_monitor();
+            const current = window.get_workspace();
+            let best = null;
+            let bestCount = Infinity;
+            for (let i = 0; i < nWorkspaces; i++) {
+                const workspace = workspaceManager.get_workspace_by_index(i);
+                const count = this.getMonitorWorkspaceWindows(workspace, monitor)
+                    .filter(w => w.get_id() !== window.get_id() && !this.isExcluded(w)).length;
+                // Ties keep the window where it opened, then prefer the leftmost workspace
+                if (count < bestCount || (count === bestCount && workspace === current)) {
+                    best = workspace;
+                    bestCount = count;
+                }
+            }
+            return best;
+        }
+
+        // Workspaces past the end fall back to the last one (the empty one with dynamic workspaces)
+        return workspaceManager.get_workspace_by_index(Math.min(assignment, nWorkspaces - 1));
+    }
+
+    // Windows that never share a workspace with other tiled windows
+    isIsolated(window) {
+        return this.isMaximizedOrFullscreen(window) || this.hasRule(window, RuleAction.ALWAYS_OWN_WORKSPACE);
+    }
+
     isExcludedByID(id) {
         const window = global.display.list_all_windows().find(w => w.get_id() === id);
         return window ? this.isExcluded(window) : true;
@@ -522,5 +622,6 @@ export const WindowingManager = GObject.registerClass({
     destroy() {
         this._edgeTilingManager = null;
         this._animationsManager = null;
+        this._windowRulesManager = null;
     }
 });
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Benchmark of the window order search against the old fixed search (the given order
+// plus the heuristic sorts of generatePermutations) for 6-15 windows.
+// Usage: npm run bench [-- budgetMs [sets]]
+
+import * as LayoutEngine from '../extension/layoutEngine.js';
+
+const AREA = { x: 0, y: 32, width: 2560, height: 1408 };
+const SPACING = 10;
+const budgetMs = Number(process.argv[2] ?? LayoutEngine.SEARCH_BUDGET_MS);
+const sets = Number(process.argv[3] ?? 20);
+
+// Same window sets on every run
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Window sizes of typical apps, from small dialogs to large editors
+function windowSet(count, seed) {
+    const next = random(seed);
+    return Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        width: Math.round(300 + next() * 500),
+        height: Math.round(200 + next() * 350),
+    }));
+}
+
+function score(tilingFn, order, given) {
+    return LayoutEngine.scoreLayout(tilingFn(order, AREA, SPACING), AREA, LayoutEngine.DEFAULT_WEIGHTS, given);
+}
+
+// Counts the layouts the search tries; keeps the name, which the order cache is keyed by
+function counting(tilingFn) {
+    const counted = (...args) => {
+        counted.calls++;
+        return tilingFn(...args);
+    };
+    counted.calls = 0;
+    Object.defineProperty(counted, 'name', { value: tilingFn.name });
+    return counted;
+}
+
+function format(value) {
+    return Number.isFinite(value) ? value.toFixed(2) : '-';
+}
+
+// The engine logs every search, keep the table readable
+const log = console.log;
+console.log = () => {};
+
+// Let the JIT compile the engine first so the first rows aren't timed cold
+for (let count = 6; count <= 15; count++) {
+    for (let set = 0; set < 10; set++) {
+        LayoutEngine.clearOrderCache();
+        LayoutEngine.findOptimalOrder(windowSet(count, -1 - set), AREA, LayoutEngine.horizontalShelves, SPACING, { budgetMs });
+    }
+}
+
+// Scores are averaged over the sets where both searches found a layout that fits
+log(`Budget ${budgetMs}ms, ${sets} window sets per count, cold order cache\n`);
+log('windows | avg ms | max ms | avg orders | fit (old/new) | old score | new score | better | same | worse');
+log('--------|--------|--------|------------|---------------|-----------|-----------|--------|------|------');
+
+for (let count = 6; count <= 15; count++) {
+    let totalMs = 0, maxMs = 0, totalOrders = 0;
+    let baselineTotal = 0, searchTotal = 0, scored = 0;
+    let baselineFits = 0, searchFits = 0;
+    let better = 0, same = 0, worse = 0;
+
+    for (let set = 0; set < sets; set++) {
+        const given = windowSet(count, count * 1000 + set);
+        const tilingFn = LayoutEngine.horizontalShelves;
+
+        const baseline = Math.max(...LayoutEngine.generatePermutations(given).map(order => score(tilingFn, order, given)));
+
+        LayoutEngine.clearOrderCache();
+        const tracked = counting(tilingFn);
+        const start = process.hrtime.bigint();
+        const order = LayoutEngine.findOptimalOrder(given, AREA, tracked, SPACING, { budgetMs });
+        const ms = Number(process.hrtime.bigint() - start) / 1e6;
+        const result = score(tilingFn, order, given);
+
+        totalMs += ms;
+        maxMs = Math.max(maxMs, ms);
+        totalOrders += tracked.calls;
+        if (result > baseline) better++;
+        else if (result === baseline) same++;
+        else worse++;
+        if (Number.isFinite(baseline)) baselineFits++;
+        if (Number.isFinite(result)) searchFits++;
+        if (Number.isFinite(baseline) && Number.isFinite(result)) {
+            baselineTotal += baseline;
+            searchTotal += result;
+            scored++;
+        }
+    }
+
+    log([
+        String(count).padStart(7),
+        (totalMs / sets).toFixed(2).padStart(6),
+        maxMs.toFixed(2).padStart(6),
+        (totalOrders / sets).toFixed(0).padStart(10),
+        `${baselineFits}/${searchFits}`.padStart(13),
+        format(scored ? baselineTotal / scored : NaN).padStart(9),
+        format(scored ? searchTotal / scored : NaN).padStart(9),
+        String(better).padStart(6),
+        String(same).padStart(4),
+        String(worse).padStart(5),
+    ].join(' | '));
+}
+
+console.log = log;
@@ -0,0 +1,400 @@
+// Copyright 2025 Cleo Menezes Jr.
+// SPDX-License-Identifier: GPL-3.0-or-later
+// Layout engine tests on plain {id, width, height} descriptors, run with `npm test`
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as LayoutEngine from '../extension/layoutEngine.js';
+
+const AREA = { x: 100, y: 50, width: 1600, height: 900 };
+
+// Fresh descriptors every time, the engine writes placements back into them
+function windows(...sizes) {
+    return sizes.map(([width, height], i) => ({ id: i + 1, width, height }));
+}
+
+function ids(order) {
+    return order.map(w => w.id);
+}
+
+// Same horizontal space on both sides of a level (or vertical space for columns)
+function assertCentred(start, size, areaStart, areaSize) {
+    const before = start - areaStart;
+    const after = areaStart + areaSize - (start + size);
+    assert.ok(Math.abs(before - after) <= 1, `off-centre by ${before - after}px`);
+}
+
+describe('tile', () => {
+    beforeEach(() => LayoutEngine.clearOrderCache());
+
+    it('fits windows that have room', () => {
+        const result = LayoutEngine.tile(windows([600, 400], [500, 300], [400, 300]), AREA, 10);
+        assert.equal(result.overflow, false);
+        assert.equal(result.levels.flatMap(level => level.windows).length, 3);
+    });
+
+    it('overflows when the windows cannot fit side by side or stacked', () => {
+        const result = LayoutEngine.tile(windows([1000, 800], [1000, 800]), AREA, 10);
+        assert.equal(result.overflow, true);
+    });
+
+    it('overflows with more windows than rows and columns can hold', () => {
+        const sizes = Array.from({ length: 12 }, () => [700, 400]);
+        assert.equal(LayoutEngine.tile(windows(...sizes), AREA, 10).overflow, true);
+    });
+
+    it('overflows a single window larger than the work area', () => {
+        assert.equal(LayoutEngine.tile(windows([1700, 500]), AREA, 10).overflow, true);
+    });
+
+    it('centres a single row in the work area', () => {
+        const result = LayoutEngine.tile(windows([400, 300], [200, 100]), AREA, 10);
+        const [level] = result.levels;
+        assert.equal(result.vertical, false);
+        assert.equal(level.width, 610);
+        assertCentred(level.x, level.width, AREA.x, AREA.width);
+        assertCentred(level.y, level.height, AREA.y, AREA.height);
+    });
+
+    it('centres the shorter window within its row', () => {
+        const result = LayoutEngine.tile(windows([400, 300], [200, 100]), AREA, 10);
+        const short = result.levels[0].windows.find(w => w.id === 2);
+        assert.equal(short.targetY, result.levels[0].y + 100);
+    });
+
+    it('centres every row and the rows as a block', () => {
+        const result = LayoutEngine.tile(windows([500, 300], [400, 250], [450, 300], [300, 200], [350, 250]), AREA, 10);
+        assert.equal(result.vertical, false);
+        assert.ok(result.levels.length > 1);
+        for (const level of result.levels)
+            assertCentred(level.x, level.width, AREA.x, AREA.width);
+
+        const first = result.levels[0];
+        const last = result.levels[result.levels.length - 1];
+        assertCentred(first.y, last.y + last.height - first.y, AREA.y, AREA.height);
+    });
+
+    it('centres columns when a window is too tall for rows', () => {
+        const result = LayoutEngine.tile(windows([400, 700], [300, 300], [300, 300]), AREA, 10);
+        assert.equal(result.vertical, true);
+        for (const level of result.levels)
+            assertCentred(level.y, level.height, AREA.y, AREA.height);
+
+        const first = result.levels[0];
+        const last = result.levels[result.levels.length - 1];
+        assertCentred(first.x, last.x + last.width - first.x, AREA.x, AREA.width);
+    });
+
+    it('keeps windows of a row one spacing apart', () => {
+        const result = LayoutEngine.tile(windows([500, 300], [400, 250], [450, 300], [300, 200]), AREA, 24);
+        for (const level of result.levels) {
+            for (let i = 1; i < level.windows.length; i++) {
+                const previous = level.windows[i - 1];
+                assert.equal(level.windows[i].targetX - (previous.targetX + previous.width), 24);
+            }
+        }
+        for (let i = 1; i < result.levels.length; i++) {
+            const previous = result.levels[i - 1];
+            assert.equal(result.levels[i].y - (previous.y + previous.height), 24);
+        }
+    });
+});
+
+describe('insetCell', () => {
+    const area = { x: 0, y: 0, width: 1000, height: 800 };
+    const gaps = { inner: 10, outer: 20 };
+
+    it('uses the outer margin along the work area edges', () => {
+        assert.deepEqual(LayoutEngine.insetCell(area, area, gaps), { x: 20, y: 20, width: 960, height: 760 });
+    });
+
+    it('leaves one inner gap between neighbouring cells', () => {
+        const left = LayoutEngine.insetCell({ x: 0, y: 0, width: 500, height: 800 }, area, gaps);
+        const right = LayoutEngine.insetCell({ x: 500, y: 0, width: 500, height: 800 }, area, gaps);
+        assert.deepEqual(left, { x: 20, y: 20, width: 475, height: 760 });
+        assert.deepEqual(right, { x: 505, y: 20, width: 475, height: 760 });
+        assert.equal(right.x - (left.x + left.width), gaps.inner);
+    });
+
+    it('splits an odd inner gap without losing a pixel', () => {
+        const oddGaps = { inner: 7, outer: 0 };
+        const top = LayoutEngine.insetCell({ x: 0, y: 0, width: 1000, height: 400 }, area, oddGaps);
+        const bottom = LayoutEngine.insetCell({ x: 0, y: 400, width: 1000, height: 400 }, area, oddGaps);
+        assert.equal(bottom.y - (top.y + top.height), 7);
+        assert.equal(bottom.y + bottom.height, area.height);
+    });
+
+    it('never returns a negative size', () => {
+        const tiny = LayoutEngine.insetCell({ x: 0, y: 0, width: 10, height: 10 }, area, gaps);
+        assert.equal(tiny.width, 0);
+        assert.equal(tiny.height, 0);
+    });
+
+    it('is undone by outsetFrame', () => {
+        for (const cell of [area, { x: 0, y: 0, width: 500, height: 400 }, { x: 500, y: 400, width: 500, height: 400 }]) {
+            const frame = LayoutEngine.insetCell(cell, area, gaps);
+            assert.deepEqual(LayoutEngine.outsetFrame(frame, area, gaps), cell);
+        }
+    });
+});
+
+describe('findOptimalOrder', () => {
+    beforeEach(() => LayoutEngine.clearOrderCache());
+
+    const tilingFn = LayoutEngine.horizontalShelves;
+    const score = order => LayoutEngine.scoreLayout(tilingFn(order, AREA, 10), AREA);
+
+    it('returns one window as given', () => {
+        const given = windows([400, 300]);
+        assert.deepEqual(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10), given);
+    });
+
+    it('keeps the given order when every order scores the same', () => {
+        const given = windows([400, 300], [400, 300], [400, 300], [400, 300]);
+        assert.deepEqual(ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10)), [1, 2, 3, 4]);
+    });
+
+    it('picks the first best-scoring permutation of a few windows', () => {
+        const given = windows([900, 500], [300, 250], [500, 300], [700, 200], [250, 400]);
+        let expected = null;
+        let best = -Infinity;
+        for (const perm of LayoutEngine.generatePermutations(given)) {
+            const s = score(perm);
+            if (s > best) {
+                best = s;
+                expected = ids(perm);
+            }
+        }
+
+        LayoutEngine.clearOrderCache();
+        const order = LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10);
+        assert.deepEqual(ids(order), expected);
+        assert.notDeepEqual(expected, [1, 2, 3, 4, 5]);
+    });
+
+    it('tries every permutation of a few windows whatever the budget', () => {
+        const given = windows([900, 500], [300, 250], [500, 300], [700, 200], [250, 400]);
+        const best = Math.max(...LayoutEngine.generatePermutations(given).map(perm => score(perm, given)));
+
+        const order = LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10, { budgetMs: 0 });
+        assert.equal(score(order, given), best);
+    });
+
+    it('does at least as well as the heuristic sorts for many windows', () => {
+        const given = windows([520, 300], [300, 420], [640, 260], [280, 200], [400, 380],
+            [360, 240], [450, 320], [250, 300], [600, 200]);
+        const baseline = Math.max(...LayoutEngine.generatePermutations(given).map(perm => score(perm)));
+
+        LayoutEngine.clearOrderCache();
+        const order = LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10);
+        assert.deepEqual([...ids(order)].sort((a, b) => a - b), ids(given));
+        assert.ok(score(order) >= baseline);
+    });
+
+    it('returns the same order again for the same windows', () => {
+        const given = windows([520, 300], [300, 420], [640, 260], [280, 200], [400, 380], [360, 240], [450, 320]);
+        const first = ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10));
+        assert.deepEqual(ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10)), first);
+    });
+});
+
+describe('masterStack', () => {
+    it('splits the work area by the ratio', () => {
+        const [master, first, second] = windows([400, 300], [400, 300], [400, 300]);
+        const result = LayoutEngine.masterStack([master, first, second], AREA, 10, 0.6);
+        assert.equal(result.overflow, false);
+        assert.deepEqual([master.targetX, master.targetY, master.width, master.height], [100, 50, 954, 900]);
+        assert.equal(first.targetX, master.targetX + master.width + 10);
+        assert.equal(first.targetX + first.width, AREA.x + AREA.width);
+    });
+
+    it('stacks the other windows in equal heights one spacing apart', () => {
+        const stacked = windows([400, 300], [400, 300], [400, 300], [400, 300]);
+        LayoutEngine.masterStack(stacked, AREA, 10, 0.5);
+        const [, ...stack] = stacked;
+        for (const w of stack)
+            assert.equal(w.height, 293);
+        for (let i = 1; i < stack.length; i++)
+            assert.equal(stack[i].targetY - (stack[i - 1].targetY + stack[i - 1].height), 10);
+        assert.equal(stack[0].targetY, AREA.y);
+    });
+
+    it('overflows when stacked windows would be shorter than minHeight', () => {
+        const sizes = Array.from({ length: 5 }, () => [400, 300]);
+        assert.equal(LayoutEngine.masterStack(windows(...sizes), AREA, 10, 0.5, 300).overflow, true);
+        assert.equal(LayoutEngine.masterStack(windows(...sizes), AREA, 10, 0.5, 200).overflow, false);
+    });
+
+    it('gives a single window the whole area', () => {
+        const [only] = windows([400, 300]);
+        const result = LayoutEngine.masterStack([only], AREA, 10, 0.6);
+        assert.equal(result.levels.length, 1);
+        assert.deepEqual([only.targetX, only.targetY, only.width, only.height], [100, 50, 1600, 900]);
+    });
+});
+
+describe('columns', () => {
+    it('gives every window a full-height column of the same width', () => {
+        const placed = windows([400, 300], [600, 500], [300, 200]);
+        const result = LayoutEngine.columns(placed, AREA, 10);
+        assert.equal(result.overflow, false);
+        for (const w of placed)
+            assert.deepEqual([w.targetY, w.width, w.height], [AREA.y, 526, AREA.height]);
+        assert.deepEqual(placed.map(w => w.targetX), [100, 636, 1172]);
+    });
+
+    it('keeps columns one spacing apart', () => {
+        const placed = windows([400, 300], [400, 300], [400, 300], [400, 300]);
+        LayoutEngine.columns(placed, AREA, 16);
+        for (let i = 1; i < placed.length; i++)
+            assert.equal(placed[i].targetX - (placed[i - 1].targetX + placed[i - 1].width), 16);
+    });
+
+    it('overflows when columns would be narrower than minWidth', () => {
+        const sizes = [[400, 300], [400, 300], [400, 300]];
+        assert.equal(LayoutEngine.columns(windows(...sizes), AREA, 10, 600).overflow, true);
+        assert.equal(LayoutEngine.columns(windows(...sizes), AREA, 10, 500).overflow, false);
+    });
+});
+
+describe('grid', () => {
+    it('gives every window a cell of the same size', () => {
+        const placed = windows([400, 300], [600, 500], [300, 200], [500, 400]);
+        const result = LayoutEngine.grid(placed, AREA, 10);
+        assert.equal(result.overflow, false);
+        assert.equal(result.levels.length, 2);
+        for (const w of placed)
+            assert.deepEqual([w.width, w.height], [795, 445]);
+        assert.deepEqual(placed.map(w => [w.targetX, w.targetY]), [[100, 50], [905, 50], [100, 505], [905, 505]]);
+    });
+
+    it('keeps cells one spacing apart and stretches the last row', () => {
+        const placed = windows([400, 300], [400, 300], [400, 300]);
+        LayoutEngine.grid(placed, AREA, 10);
+        const [first, second, last] = placed;
+        assert.equal(second.targetX - (first.targetX + first.width), 10);
+        assert.equal(last.targetY - (first.targetY + first.height), 10);
+        assert.deepEqual([last.targetX, last.width], [AREA.x, AREA.width]);
+    });
+
+    it('overflows when cells would be smaller than minWidth or minHeight', () => {
+        const sizes = [[400, 300], [400, 300], [400, 300], [400, 300]];
+        assert.equal(LayoutEngine.grid(windows(...sizes), AREA, 10, 800, 0).overflow, true);
+        assert.equal(LayoutEngine.grid(windows(...sizes), AREA, 10, 0, 450).overflow, true);
+        assert.equal(LayoutEngine.grid(windows(...sizes), AREA, 10, 700, 400).overflow, false);
+    });
+});
+
+describe('scoreLayout objectives', () => {
+    beforeEach(() => LayoutEngine.clearOrderCache());
+
+    const { Objective } = LayoutEngine;
+
+    // One 400x300 window at x/y, placed by hand
+    const single = (x, y) => ({
+        overflow: false,
+        levels: [{ x, y, windows: [{ id: 1, width: 400, height: 300, targetX: x, targetY: y }] }],
+    });
+    const centred = single(700, 350);
+    const corner = single(100, 50);
+
+    it('scores overflowing layouts as -Infinity', () => {
+        assert.equal(LayoutEngine.scoreLayout({ ...centred, overflow: true }, AREA), -Infinity);
+    });
+
+    it('ignores an objective with a zero weight', () => {
+        const weights = { [Objective.COMPACTNESS]: 50, [Objective.CENTRALIZATION]: 0 };
+        assert.equal(LayoutEngine.scoreLayout(centred, AREA, weights), LayoutEngine.scoreLayout(corner, AREA, weights));
+        assert.equal(LayoutEngine.scoreLayout(centred, AREA, weights), 50);
+
+        const centring = { ...weights, [Objective.CENTRALIZATION]: 30 };
+        assert.ok(LayoutEngine.scoreLayout(centred, AREA, centring) > LayoutEngine.scoreLayout(corner, AREA, centring));
+    });
+
+    it('keeps windows near their previous placement with a high displacement weight', () => {
+        const tilingFn = LayoutEngine.horizontalShelves;
+        const sizes = [[400, 300], [400, 300], [400, 300]];
+        const slots = tilingFn(windows(...sizes), AREA, 10).levels.flatMap(level => level.windows)
+            .map(w => ({ x: w.targetX, y: w.targetY }));
+
+        // Same sizes, so every order fills the same slots; each window was in the mirrored one
+        const given = windows(...sizes).map((w, i) => ({ ...w, previous: { ...slots[slots.length - 1 - i], index: i } }));
+        const weights = { ...LayoutEngine.DEFAULT_WEIGHTS, [Objective.DISPLACEMENT]: 100 };
+        const order = LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10, { weights });
+        assert.deepEqual(ids(order), [3, 2, 1]);
+        for (const w of order)
+            assert.deepEqual({ x: w.targetX, y: w.targetY }, { x: w.previous.x, y: w.previous.y });
+
+        LayoutEngine.clearOrderCache();
+        assert.deepEqual(ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10)), [1, 2, 3]);
+    });
+
+    it('prefers the given order with an order-stability weight when areas tie', () => {
+        const tilingFn = LayoutEngine.horizontalShelves;
+        // Same area, so only their shapes tell the layouts apart
+        const given = windows([400, 300], [300, 400], [600, 200]);
+        const weights = { [Objective.ORDER_STABILITY]: 100 };
+        assert.equal(LayoutEngine.scoreLayout(tilingFn(given, AREA, 10), AREA, weights, given), 100);
+        assert.equal(LayoutEngine.scoreLayout(tilingFn([...given].reverse(), AREA, 10), AREA, weights, given), 0);
+
+        assert.deepEqual(ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10)), [3, 1, 2]);
+        LayoutEngine.clearOrderCache();
+        const stable = { ...LayoutEngine.DEFAULT_WEIGHTS, ...weights };
+        assert.deepEqual(ids(LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10, { weights: stable })), [1, 2, 3]);
+    });
+});
+
+describe('incremental findOptimalOrder', () => {
+    beforeEach(() => LayoutEngine.clearOrderCache());
+
+    const tilingFn = LayoutEngine.horizontalShelves;
+    const sizes = [[500, 300], [400, 350], [450, 300], [300, 250], [350, 280]];
+
+    // Lays out the first count windows and returns them all with previous set for those
+    function placedSet(count) {
+        const placed = LayoutEngine.tile(windows(...sizes.slice(0, count)), AREA, 10);
+        const previous = new Map(placed.levels.flatMap(level => level.windows)
+            .map((w, index) => [w.id, { x: w.targetX, y: w.targetY, index }]));
+        LayoutEngine.clearOrderCache();
+        return {
+            order: [...previous.keys()],
+            given: windows(...sizes).map(w => previous.has(w.id) ? { ...w, previous: previous.get(w.id) } : w),
+        };
+    }
+
+    // Total distance the placed windows move from their previous placement
+    function displacement(order) {
+        tilingFn(order, AREA, 10);
+        return order.filter(w => w.previous)
+            .reduce((sum, w) => sum + Math.hypot(w.targetX - w.previous.x, w.targetY - w.previous.y), 0);
+    }
+
+    it('keeps placed windows in their order and slots the new one in least disruptively', () => {
+        const { order, given } = placedSet(4);
+        const result = LayoutEngine.findOptimalOrder(given, AREA, tilingFn, 10, { incremental: true });
+        assert.deepEqual(ids(result.filter(w => w.previous)), order);
+
+        // Every slot the new window could take between the placed ones
+        const placed = order.map(id => given.find(w => w.id === id));
+        const added = given.find(w => !w.previous);
+        const least = Math.min(...placed.map((_, i) => displacement([...placed.slice(0, i), added, ...placed.slice(i)])),
+            displacement([...placed, added]));
+        assert.equal(displacement(result), least);
+    });
+
+    it('keeps the remaining windows in their order when one closes', () => {
+        const { order, given } = placedSet(4);
+        const closed = order[0];
+        const remaining = given.filter(w => w.previous && w.id !== closed);
+        const result = LayoutEngine.findOptimalOrder(remaining, AREA, tilingFn, 10, { incremental: true });
+        assert.deepEqual(ids(result), order.filter(id => id !== closed));
+    });
+
+    it('reorders freely without a previous layout', () => {
+        const { order, given } = placedSet(4);
+        const fresh = given.map(({ previous, ...w }) => w);
+        const result = LayoutEngine.findOptimalOrder(fresh, AREA, tilingFn, 10, { incremental: true });
+        assert.notDeepEqual(ids(result.filter(w => order.includes(w.id))), order);
+    });
+});